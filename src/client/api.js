@@ -38,13 +38,25 @@ export function createApiClient(config = {}) {
 
     // Handle text/plain responses
     const contentType = response.headers.get('content-type');
-    if (contentType?.includes('text/plain')) {
+    if (contentType?.includes('text/plain') || contentType?.includes('application/x-ndjson')) {
       return response.text();
     }
 
     return response.json();
   }
 
+  /**
+   * Query string of run filters; list values are comma-separated
+   */
+  function toQueryString(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value === null || value === undefined || value === '') continue;
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    return params.toString();
+  }
+
   return {
     // Providers
     providers: {
@@ -76,8 +88,18 @@ export function createApiClient(config = {}) {
 
     // Runs
     runs: {
-      list: (limit = 50, offset = 0, source = 'all') =>
-        request(`/runs?limit=${limit}&offset=${offset}&source=${source}`),
+      // Takes a filter object ({ limit, cursor, status, providerId, q, ... }) or (limit, offset, source, status, cursor)
+      list: (limit = 50, offset = 0, source = 'all', status = null, cursor = null) => {
+        const filters = typeof limit === 'object' && limit !== null ? limit : { limit, offset, source, status, cursor };
+        return request(`/runs?${toQueryString(filters)}`);
+      },
+      // NDJSON archive text of the runs matching filters (all of them by default)
+      export: (filters = {}) => request(`/runs/export?${toQueryString(filters)}`),
+      import: (archive, onConflict = 'rename') => request(`/runs/import?onConflict=${onConflict}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: archive
+      }),
       create: (data) => request('/runs', {
         method: 'POST',
         body: JSON.stringify(data)
@@ -85,6 +107,25 @@ export function createApiClient(config = {}) {
       getById: (id) => request(`/runs/${id}`),
       getOutput: (id) => request(`/runs/${id}/output`),
       getPrompt: (id) => request(`/runs/${id}/prompt`),
+      getResult: (id) => request(`/runs/${id}/result`),
+      getEvents: (id) => request(`/runs/${id}/events`),
+      getConversation: (id) => request(`/runs/${id}/conversation`),
+      continue: (id, data) => request(`/runs/${id}/continue`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+      // Overrides: providerId, model, timeout, workspacePath, workspaceName, priority
+      rerun: (id, overrides = {}) => request(`/runs/${id}/rerun`, {
+        method: 'POST',
+        body: JSON.stringify(overrides)
+      }),
+      // One prompt on several targets: { prompt, targets: [{ providerId, model }], ... }
+      compare: (data) => request('/runs/compare', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+      getComparison: (id, includeOutput = false) =>
+        request(`/runs/compare/${id}${includeOutput ? '?output=true' : ''}`),
       stop: (id) => request(`/runs/${id}/stop`, {
         method: 'POST'
       }),
@@ -93,6 +134,19 @@ export function createApiClient(config = {}) {
       }),
       deleteFailedRuns: () => request('/runs?filter=failed', {
         method: 'DELETE'
+      }),
+      // Apply the retention policy; { dryRun: true } only reports what would be deleted
+      prune: (options = {}) => request('/runs/prune', {
+        method: 'POST',
+        body: JSON.stringify(options)
+      })
+    },
+
+    // Embeddings
+    embeddings: {
+      create: (data) => request('/embeddings', {
+        method: 'POST',
+        body: JSON.stringify(data)
       })
     }
   };
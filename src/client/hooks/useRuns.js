@@ -1,13 +1,20 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 
 /**
- * Hook for managing AI runs
+ * Hook for managing AI runs.
+ * Options other than autoLoad are the filters of api.runs.list
+ * (limit, offset, source, status, providerId, model, success, q, ...).
  */
 export function useRuns(apiClient, options = {}) {
-  const { autoLoad = true, limit = 50, offset = 0, source = 'all' } = options;
+  const { autoLoad = true, ...filterOptions } = options;
+
+  // Compare filters by value so callers can pass a fresh object on every render
+  const filterKey = JSON.stringify({ limit: 50, offset: 0, source: 'all', ...filterOptions });
+  const filters = useMemo(() => JSON.parse(filterKey), [filterKey]);
 
   const [runs, setRuns] = useState([]);
   const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -20,15 +27,38 @@ export function useRuns(apiClient, options = {}) {
     setIsLoading(true);
     setError(null);
 
-    const data = await apiClient.runs.list(limit, offset, source).catch(err => {
+    const data = await apiClient.runs.list(filters).catch(err => {
       setError(err.message);
       return { runs: [], total: 0 };
     });
 
     setRuns(data.runs || []);
     setTotal(data.total || 0);
+    setNextCursor(data.nextCursor || null);
     setIsLoading(false);
-  }, [apiClient, limit, offset, source]);
+  }, [apiClient, filters]);
+
+  /**
+   * Append the next page of runs, continuing from the last page's cursor
+   */
+  const loadMore = useCallback(async () => {
+    if (!apiClient || !nextCursor) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    const data = await apiClient.runs.list({ ...filters, offset: 0, cursor: nextCursor }).catch(err => {
+      setError(err.message);
+      return null;
+    });
+
+    if (data) {
+      setRuns(prev => [...prev, ...(data.runs || [])]);
+      setTotal(data.total || 0);
+      setNextCursor(data.nextCursor || null);
+    }
+    setIsLoading(false);
+  }, [apiClient, filters, nextCursor]);
 
   const createRun = useCallback(async (data) => {
     if (!apiClient) return null;
@@ -38,6 +68,36 @@ export function useRuns(apiClient, options = {}) {
     return result;
   }, [apiClient, loadRuns]);
 
+  const continueRun = useCallback(async (id, data) => {
+    if (!apiClient) return null;
+
+    const result = await apiClient.runs.continue(id, data);
+    await loadRuns();
+    return result;
+  }, [apiClient, loadRuns]);
+
+  const rerun = useCallback(async (id, overrides) => {
+    if (!apiClient) return null;
+
+    const result = await apiClient.runs.rerun(id, overrides);
+    await loadRuns();
+    return result;
+  }, [apiClient, loadRuns]);
+
+  const compareRuns = useCallback(async (data) => {
+    if (!apiClient) return null;
+
+    const result = await apiClient.runs.compare(data);
+    await loadRuns();
+    return result;
+  }, [apiClient, loadRuns]);
+
+  const getComparison = useCallback(async (id, includeOutput) => {
+    if (!apiClient) return null;
+
+    return apiClient.runs.getComparison(id, includeOutput);
+  }, [apiClient]);
+
   const stopRun = useCallback(async (id) => {
     if (!apiClient) return;
 
@@ -72,6 +132,12 @@ export function useRuns(apiClient, options = {}) {
     return apiClient.runs.getPrompt(id);
   }, [apiClient]);
 
+  const getRunResult = useCallback(async (id) => {
+    if (!apiClient) return null;
+
+    return apiClient.runs.getResult(id);
+  }, [apiClient]);
+
   useEffect(() => {
     if (autoLoad) {
       loadRuns();
@@ -81,14 +147,21 @@ export function useRuns(apiClient, options = {}) {
   return {
     runs,
     total,
+    hasMore: nextCursor !== null,
     isLoading,
     error,
     refetch: loadRuns,
+    loadMore,
     createRun,
+    continueRun,
+    rerun,
+    compareRuns,
+    getComparison,
     stopRun,
     deleteRun,
     deleteFailedRuns,
     getRunOutput,
-    getRunPrompt
+    getRunPrompt,
+    getRunResult
   };
 }
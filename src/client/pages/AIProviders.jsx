@@ -135,6 +135,22 @@ export default function AIProviders({ onError = console.error, colorPrefix = 'ap
     setActiveRun(result.runId);
   };
 
+  // Rerun a past run's full prompt on its own provider and model, or on providerId when given
+  const handleRerun = async (run, providerId) => {
+    setShowRunPanel(true);
+    setRunOutput('');
+    const result = await api.runs.rerun(run.id, providerId ? { providerId } : {})
+      .catch(err => ({ error: err.message }));
+
+    if (result.error) {
+      setRunOutput(`Error: ${result.error}`);
+      return;
+    }
+
+    setActiveRun(result.runId);
+    loadRuns();
+  };
+
   const handleStopRun = async () => {
     if (activeRun) {
       await api.runs.stop(activeRun);
@@ -255,7 +271,7 @@ export default function AIProviders({ onError = console.error, colorPrefix = 'ap
                   {provider.type === 'cli' && (
                     <p className="break-words">Command: <code className="text-gray-300 break-all">{provider.command} {provider.args?.join(' ')}</code></p>
                   )}
-                  {provider.type === 'api' && (
+                  {provider.type !== 'cli' && (
                     <p className="break-words">Endpoint: <code className="text-gray-300 break-all">{provider.endpoint}</code></p>
                   )}
                   {provider.models?.length > 0 && (
@@ -272,7 +288,10 @@ export default function AIProviders({ onError = console.error, colorPrefix = 'ap
                       {provider.heavyModel && <span className="ml-1 text-red-400">{provider.heavyModel}</span>}
                     </p>
                   )}
-                  {provider.type === 'cli' && (provider.command === 'codex' || provider.command === 'gemini') && (
+                  {provider.type === 'cli' && provider.modelArgs?.length > 0 && (
+                    <p className="break-words">Model args: <code className="text-gray-300 break-all">{provider.modelArgs.join(' ')}</code></p>
+                  )}
+                  {provider.type === 'cli' && !provider.modelArgs?.length && (provider.command === 'codex' || provider.command === 'gemini') && (
                     <p className="text-xs text-yellow-400/80 mt-1">
                       ⚠️ The {provider.command} CLI runs with its own configured default model in headless execution. Any model metadata here is reference-only and is not passed to the CLI.
                     </p>
@@ -298,7 +317,7 @@ export default function AIProviders({ onError = console.error, colorPrefix = 'ap
                   {testResults[provider.id]?.testing ? 'Testing...' : 'Test'}
                 </button>
 
-                {provider.type === 'api' && (
+                {provider.type !== 'cli' && (
                   <button
                     onClick={() => handleRefreshModels(provider.id)}
                     className={`px-3 py-1.5 text-sm ${colors.borderColor} ${colors.borderHover} text-white rounded transition-colors`}
@@ -372,11 +391,39 @@ export default function AIProviders({ onError = console.error, colorPrefix = 'ap
                     <p className="text-sm text-white truncate">{run.prompt}</p>
                     <p className="text-xs text-gray-500">
                       {run.providerName} • {run.workspaceName || 'No workspace'} • {new Date(run.startTime).toLocaleString()}
+                      {run.rerunOf && ' • rerun'}
                     </p>
                   </div>
                 </div>
-                <div className="text-sm text-gray-400 flex-shrink-0 pl-5 sm:pl-0">
-                  {run.duration ? `${(run.duration / 1000).toFixed(1)}s` : 'Running...'}
+                <div className="text-sm text-gray-400 flex-shrink-0 pl-5 sm:pl-0 flex items-center gap-3">
+                  {run.usage && (
+                    <span className="text-xs text-gray-500">
+                      {run.usage.totalTokens.toLocaleString()} tokens
+                      {run.cost && ` • $${run.cost.total.toFixed(4)}`}
+                    </span>
+                  )}
+                  {run.status && !['succeeded', 'failed', 'running'].includes(run.status) && (
+                    <span className="text-xs text-gray-500">{run.status.replace('_', ' ')}</span>
+                  )}
+                  <span>{run.duration ? `${(run.duration / 1000).toFixed(1)}s` : 'Running...'}</span>
+                  <button
+                    onClick={() => handleRerun(run)}
+                    disabled={!!activeRun}
+                    title="Rerun with the same provider and model"
+                    className={`px-2 py-1 text-xs ${colors.borderColor} ${colors.borderHover} text-white rounded transition-colors disabled:opacity-50`}
+                  >
+                    Rerun
+                  </button>
+                  {activeProviderId && activeProviderId !== (run.originalProviderId || run.providerId) && (
+                    <button
+                      onClick={() => handleRerun(run, activeProviderId)}
+                      disabled={!!activeRun}
+                      title="Rerun with the provider selected in the run panel and its default model"
+                      className={`px-2 py-1 text-xs ${colors.borderColor} ${colors.borderHover} text-white rounded transition-colors disabled:opacity-50`}
+                    >
+                      Rerun on {providers.find(p => p.id === activeProviderId)?.name || activeProviderId}
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -404,25 +451,58 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
     type: provider?.type || 'cli',
     command: provider?.command || '',
     args: provider?.args?.join(' ') || '',
+    modelArgs: provider?.modelArgs?.join(' ') || '',
+    outputFormat: provider?.outputFormat || 'text',
+    promptDelivery: provider?.promptDelivery || 'arg',
     endpoint: provider?.endpoint || '',
     apiKey: provider?.apiKey || '',
     models: provider?.models || [],
     defaultModel: provider?.defaultModel || '',
+    embeddingModel: provider?.embeddingModel || '',
     lightModel: provider?.lightModel || '',
     mediumModel: provider?.mediumModel || '',
     heavyModel: provider?.heavyModel || '',
     timeout: provider?.timeout || 300000,
-    enabled: provider?.enabled !== false
+    firstTokenTimeout: provider?.firstTokenTimeout ?? '',
+    idleTimeout: provider?.idleTimeout ?? '',
+    maxOutputBytes: provider?.maxOutputBytes ?? '',
+    enabled: provider?.enabled !== false,
+    systemPrompt: provider?.systemPrompt || '',
+    temperature: provider?.generationParams?.temperature ?? '',
+    maxTokens: provider?.generationParams?.maxTokens ?? '',
+    numCtx: provider?.generationParams?.numCtx ?? '',
+    keepAlive: provider?.generationParams?.keepAlive ?? ''
   });
 
   const availableModels = formData.models || [];
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const { temperature, maxTokens, numCtx, keepAlive, ...fields } = formData;
+    const generationParams = { ...provider?.generationParams };
+    delete generationParams.temperature;
+    delete generationParams.maxTokens;
+    delete generationParams.numCtx;
+    delete generationParams.keepAlive;
+    if (temperature !== '') generationParams.temperature = parseFloat(temperature);
+    if (maxTokens !== '') generationParams.maxTokens = parseInt(maxTokens);
+    if (fields.type === 'ollama' && numCtx !== '') generationParams.numCtx = parseInt(numCtx);
+    if (fields.type === 'ollama' && keepAlive !== '') {
+      // Plain numbers are seconds; anything else is a duration like "10m"
+      generationParams.keepAlive = /^-?\d+$/.test(keepAlive) ? parseInt(keepAlive) : keepAlive;
+    }
+
     const data = {
-      ...formData,
+      ...fields,
+      systemPrompt: fields.systemPrompt || null,
+      embeddingModel: fields.embeddingModel || null,
+      generationParams,
       args: formData.args ? formData.args.split(' ').filter(Boolean) : [],
-      timeout: parseInt(formData.timeout)
+      modelArgs: formData.modelArgs ? formData.modelArgs.split(' ').filter(Boolean) : [],
+      timeout: parseInt(formData.timeout),
+      firstTokenTimeout: formData.firstTokenTimeout !== '' ? parseInt(formData.firstTokenTimeout) : null,
+      idleTimeout: formData.idleTimeout !== '' ? parseInt(formData.idleTimeout) : null,
+      maxOutputBytes: formData.maxOutputBytes !== '' ? parseInt(formData.maxOutputBytes) : null
     };
 
     if (provider) {
@@ -458,7 +538,10 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
               className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
             >
               <option value="cli">CLI</option>
-              <option value="api">API</option>
+              <option value="api">API (OpenAI-compatible)</option>
+              <option value="anthropic">Anthropic API</option>
+              <option value="gemini">Gemini API</option>
+              <option value="ollama">Ollama</option>
             </select>
           </div>
           {formData.type === 'cli' && (
@@ -484,22 +567,60 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
                   className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
                 />
               </div>
-              {(formData.command === 'codex' || formData.command === 'gemini') && (
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Model Arguments (space-separated)</label>
+                <input
+                  type="text"
+                  value={formData.modelArgs}
+                  onChange={(e) => setFormData(prev => ({ ...prev, modelArgs: e.target.value }))}
+                  placeholder="--model {{model}}"
+                  className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Output Format</label>
+                <select
+                  value={formData.outputFormat}
+                  onChange={(e) => setFormData(prev => ({ ...prev, outputFormat: e.target.value }))}
+                  className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                >
+                  <option value="text">Plain text</option>
+                  <option value="claude-json">Claude JSON (records token usage)</option>
+                  <option value="codex-json">Codex JSON (records token usage)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Prompt Delivery</label>
+                <select
+                  value={formData.promptDelivery}
+                  onChange={(e) => setFormData(prev => ({ ...prev, promptDelivery: e.target.value }))}
+                  className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                >
+                  <option value="arg">Last argument</option>
+                  <option value="stdin">Standard input (long prompts)</option>
+                  <option value="file">Temp file ({'{{promptFile}}'} in arguments, or appended)</option>
+                </select>
+              </div>
+              {!formData.modelArgs.trim() && (formData.command === 'codex' || formData.command === 'gemini') && (
                 <div className="text-xs text-yellow-400/80 bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-2">
-                  ⚠️ The {formData.command} CLI runs with its own configured default model in headless execution. Leave model fields empty unless you only need reference metadata; values here are not passed to the CLI.
+                  ⚠️ The {formData.command} CLI runs with its own configured default model in headless execution. Leave model fields empty unless you only need reference metadata; values here are not passed to the CLI unless Model Arguments are set.
                 </div>
               )}
             </>
           )}
-          {formData.type === 'api' && (
+          {formData.type !== 'cli' && (
             <>
               <div>
-                <label className="block text-sm text-gray-400 mb-1">Endpoint *</label>
+                <label className="block text-sm text-gray-400 mb-1">Endpoint{formData.type === 'api' && ' *'}</label>
                 <input
                   type="url"
                   value={formData.endpoint}
                   onChange={(e) => setFormData(prev => ({ ...prev, endpoint: e.target.value }))}
-                  placeholder="http://localhost:1234/v1"
+                  placeholder={{
+                    anthropic: 'https://api.anthropic.com/v1',
+                    gemini: 'https://generativelanguage.googleapis.com/v1beta',
+                    ollama: 'http://localhost:11434'
+                  }[formData.type] || 'http://localhost:1234/v1'}
                   required={formData.type === 'api'}
                   className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
                 />
@@ -513,13 +634,74 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
                   className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
                 />
               </div>
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">System Prompt</label>
+                <textarea
+                  value={formData.systemPrompt}
+                  onChange={(e) => setFormData(prev => ({ ...prev, systemPrompt: e.target.value }))}
+                  placeholder="Default system prompt for runs on this provider"
+                  rows={2}
+                  className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white resize-none focus:border-${colorPrefix}-accent focus:outline-none`}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Temperature</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    max="2"
+                    value={formData.temperature}
+                    onChange={(e) => setFormData(prev => ({ ...prev, temperature: e.target.value }))}
+                    placeholder="Model default"
+                    className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Max Tokens</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.maxTokens}
+                    onChange={(e) => setFormData(prev => ({ ...prev, maxTokens: e.target.value }))}
+                    placeholder="Model default"
+                    className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                  />
+                </div>
+              </div>
+              {formData.type === 'ollama' && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-1">Context Window</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={formData.numCtx}
+                      onChange={(e) => setFormData(prev => ({ ...prev, numCtx: e.target.value }))}
+                      placeholder="Model default"
+                      className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-1">Keep Alive</label>
+                    <input
+                      type="text"
+                      value={formData.keepAlive}
+                      onChange={(e) => setFormData(prev => ({ ...prev, keepAlive: e.target.value }))}
+                      placeholder="5m"
+                      className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+                    />
+                  </div>
+                </div>
+              )}
             </>
           )}
 
           <div>
             <label className="block text-sm text-gray-400 mb-1">
               Available Models
-              {formData.type === 'api' && <span className="text-xs text-gray-500 ml-2">(Use Refresh after saving)</span>}
+              {formData.type !== 'cli' && <span className="text-xs text-gray-500 ml-2">(Use Refresh after saving)</span>}
             </label>
             <textarea
               value={(formData.models || []).join(', ')}
@@ -557,6 +739,19 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
             )}
           </div>
 
+          {['api', 'ollama', 'gemini'].includes(formData.type) && (
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Embedding Model</label>
+              <input
+                type="text"
+                value={formData.embeddingModel}
+                onChange={(e) => setFormData(prev => ({ ...prev, embeddingModel: e.target.value }))}
+                placeholder="text-embedding-3-small"
+                className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
+              />
+            </div>
+          )}
+
           {/* Model Tiers */}
           <div className={`border-t border-${colorPrefix}-border pt-4 mt-4`}>
             <h4 className="text-sm font-medium text-gray-300 mb-3">Model Tiers</h4>
@@ -651,6 +846,29 @@ function ProviderForm({ provider, onClose, onSave, api, colorPrefix = 'app' }) {
               className={`w-full px-3 py-2 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white focus:border-${colorPrefix}-accent focus:outline-none`}
             />
           </div>
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Run Limits</label>
+            <p className="text-xs text-gray-500 mb-2">Leave blank to disable</p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {[
+                ['firstTokenTimeout', 'First output (ms)', '60000'],
+                ['idleTimeout', 'Idle stall (ms)', '30000'],
+                ['maxOutputBytes', 'Max output (bytes)', '1000000']
+              ].map(([field, label, placeholder]) => (
+                <div key={field}>
+                  <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData[field]}
+                    onChange={(e) => setFormData(prev => ({ ...prev, [field]: e.target.value }))}
+                    placeholder={placeholder}
+                    className={`w-full px-2 py-1.5 bg-${colorPrefix}-bg border border-${colorPrefix}-border rounded-lg text-white text-sm focus:border-${colorPrefix}-accent focus:outline-none`}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
           <label className="flex items-center gap-2">
             <input
               type="checkbox"
@@ -0,0 +1,68 @@
+/**
+ * Anthropic Messages API
+ *
+ * Request building for providers of type `anthropic`, which stream from
+ * /v1/messages instead of an OpenAI-compatible /chat/completions endpoint.
+ */
+
+export const DEFAULT_ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1';
+export const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Headers for Anthropic API requests
+ */
+export function getAnthropicHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey || '',
+    'anthropic-version': ANTHROPIC_API_VERSION
+  };
+}
+
+/**
+ * Convert a base64 data URL into an Anthropic image block
+ */
+function toImageBlock(dataUrl) {
+  const [, mediaType, data] = dataUrl.match(/^data:([^;]+);base64,(.*)$/) || [];
+  return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+}
+
+/**
+ * Convert a conversation to Messages API form. System turns move to the
+ * top-level `system` field (falling back to systemPrompt), and images
+ * (data URLs) are attached to the latest user turn.
+ */
+export function toAnthropicMessages(conversation, { systemPrompt = null, images = [] } = {}) {
+  const systemTurns = conversation.filter(m => m.role === 'system').map(m => m.content);
+  const system = systemTurns.length > 0 ? systemTurns.join('\n\n') : systemPrompt;
+
+  const messages = conversation
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role, content: m.content }));
+
+  const latest = messages[messages.length - 1];
+  if (latest && images.length > 0) {
+    latest.content = [...images.map(toImageBlock), { type: 'text', text: latest.content }];
+  }
+
+  return { system, messages };
+}
+
+/**
+ * Map generation params to Messages API fields, omitting unset values.
+ * `seed` has no Anthropic equivalent and is dropped.
+ */
+export function toAnthropicParams(params = {}) {
+  const { maxTokens, thinkingBudget } = params;
+  const body = {
+    // Thinking tokens count towards max_tokens, so leave room for the answer
+    max_tokens: maxTokens ?? (thinkingBudget ? thinkingBudget + DEFAULT_MAX_TOKENS : DEFAULT_MAX_TOKENS),
+    temperature: params.temperature,
+    top_p: params.topP,
+    stop_sequences: typeof params.stop === 'string' ? [params.stop] : params.stop,
+    thinking: thinkingBudget ? { type: 'enabled', budget_tokens: thinkingBudget } : undefined
+  };
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined && value !== null));
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAnthropicHeaders,
+  toAnthropicMessages,
+  toAnthropicParams,
+  ANTHROPIC_API_VERSION
+} from './anthropic.js';
+
+describe('Anthropic Messages API', () => {
+  describe('getAnthropicHeaders', () => {
+    it('should send the API key and version headers', () => {
+      expect(getAnthropicHeaders('sk-test')).toEqual({
+        'x-api-key': 'sk-test',
+        'anthropic-version': ANTHROPIC_API_VERSION
+      });
+    });
+  });
+
+  describe('toAnthropicMessages', () => {
+    it('should move system turns to the system field', () => {
+      const { system, messages } = toAnthropicMessages([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'Bye' }
+      ], { systemPrompt: 'Ignored' });
+
+      expect(system).toBe('Be brief.');
+      expect(messages).toEqual([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'Bye' }
+      ]);
+    });
+
+    it('should fall back to the system prompt and attach images to the latest turn', () => {
+      const { system, messages } = toAnthropicMessages([{ role: 'user', content: 'Describe' }], {
+        systemPrompt: 'You see images.',
+        images: ['data:image/png;base64,AAAA']
+      });
+
+      expect(system).toBe('You see images.');
+      expect(messages[0].content).toEqual([
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+        { type: 'text', text: 'Describe' }
+      ]);
+    });
+  });
+
+  describe('toAnthropicParams', () => {
+    it('should map generation params and always set max_tokens', () => {
+      expect(toAnthropicParams({})).toEqual({ max_tokens: 4096 });
+      expect(toAnthropicParams({ temperature: 0.2, topP: 0.9, stop: 'END', maxTokens: 100, seed: 1 })).toEqual({
+        max_tokens: 100,
+        temperature: 0.2,
+        top_p: 0.9,
+        stop_sequences: ['END']
+      });
+    });
+
+    it('should enable thinking with room for the answer', () => {
+      expect(toAnthropicParams({ thinkingBudget: 2048 })).toEqual({
+        max_tokens: 2048 + 4096,
+        thinking: { type: 'enabled', budget_tokens: 2048 }
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Embeddings
+ *
+ * Request building and response parsing for the embedding endpoints of
+ * OpenAI-compatible, Ollama and Gemini providers, plus an on-disk cache of
+ * vectors keyed by a hash of provider, model and input text.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'node:crypto';
+import { DEFAULT_GEMINI_ENDPOINT, getGeminiHeaders } from './gemini.js';
+import { getOllamaBaseUrl } from './ollama.js';
+
+/**
+ * Provider types with an embeddings endpoint
+ */
+export const EMBEDDING_PROVIDER_TYPES = ['api', 'ollama', 'gemini'];
+
+export function supportsEmbeddings(provider) {
+  return EMBEDDING_PROVIDER_TYPES.includes(provider?.type);
+}
+
+/**
+ * Build the embeddings request for a batch of texts: { url, headers, body }
+ */
+export function buildEmbeddingRequest(provider, model, texts) {
+  if (provider.type === 'ollama') {
+    const keepAlive = provider.generationParams?.keepAlive;
+    return {
+      url: `${getOllamaBaseUrl(provider.endpoint)}/api/embed`,
+      headers: {},
+      body: { model, input: texts, ...(keepAlive !== undefined && { keep_alive: keepAlive }) }
+    };
+  }
+
+  if (provider.type === 'gemini') {
+    const modelName = model.replace(/^models\//, '');
+    return {
+      url: `${provider.endpoint || DEFAULT_GEMINI_ENDPOINT}/models/${encodeURIComponent(modelName)}:batchEmbedContents`,
+      headers: getGeminiHeaders(provider.apiKey),
+      body: {
+        requests: texts.map(text => ({ model: `models/${modelName}`, content: { parts: [{ text }] } }))
+      }
+    };
+  }
+
+  return {
+    url: `${provider.endpoint}/embeddings`,
+    headers: provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {},
+    body: { model, input: texts }
+  };
+}
+
+/**
+ * Parse an embeddings response into { embeddings, promptTokens }, with the
+ * vectors in input order
+ */
+export function parseEmbeddingResponse(provider, data) {
+  if (provider.type === 'ollama') {
+    return { embeddings: data.embeddings || [], promptTokens: data.prompt_eval_count || 0 };
+  }
+
+  if (provider.type === 'gemini') {
+    return { embeddings: (data.embeddings || []).map(e => e.values), promptTokens: 0 };
+  }
+
+  const embeddings = [...(data.data || [])]
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => item.embedding);
+  return { embeddings, promptTokens: data.usage?.prompt_tokens || 0 };
+}
+
+/**
+ * Cache key for a text embedded by a provider's model
+ */
+export function getEmbeddingCacheKey(providerId, model, text) {
+  return createHash('sha256').update(JSON.stringify([providerId, model, text])).digest('hex');
+}
+
+/**
+ * Create an on-disk embedding cache. Vectors are stored one per file,
+ * sharded by the first two characters of the key.
+ */
+export function createEmbeddingCache(cacheDir) {
+  const pathFor = (key) => join(cacheDir, key.slice(0, 2), `${key}.json`);
+
+  return {
+    /**
+     * Cached vector for a key, or null when missing or unreadable
+     */
+    async get(key) {
+      const content = await readFile(pathFor(key), 'utf-8').catch(() => null);
+      if (!content) return null;
+      try {
+        return JSON.parse(content);
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, embedding) {
+      await mkdir(join(cacheDir, key.slice(0, 2)), { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify(embedding));
+    }
+  };
+}
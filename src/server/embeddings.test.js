@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { rm } from 'fs/promises';
+import { join } from 'path';
+import {
+  supportsEmbeddings,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getEmbeddingCacheKey,
+  createEmbeddingCache
+} from './embeddings.js';
+
+const TEST_CACHE_DIR = join(process.cwd(), 'test-data-embeddings');
+
+describe('Embeddings', () => {
+  afterEach(async () => {
+    await rm(TEST_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  describe('supportsEmbeddings', () => {
+    it('should only accept provider types with an embeddings endpoint', () => {
+      expect(supportsEmbeddings({ type: 'api' })).toBe(true);
+      expect(supportsEmbeddings({ type: 'ollama' })).toBe(true);
+      expect(supportsEmbeddings({ type: 'gemini' })).toBe(true);
+      expect(supportsEmbeddings({ type: 'anthropic' })).toBe(false);
+      expect(supportsEmbeddings({ type: 'cli' })).toBe(false);
+    });
+  });
+
+  describe('buildEmbeddingRequest', () => {
+    it('should build an OpenAI-compatible request with a bearer token', () => {
+      expect(buildEmbeddingRequest({ type: 'api', endpoint: 'http://host/v1', apiKey: 'sk' }, 'embed-small', ['a', 'b'])).toEqual({
+        url: 'http://host/v1/embeddings',
+        headers: { 'Authorization': 'Bearer sk' },
+        body: { model: 'embed-small', input: ['a', 'b'] }
+      });
+    });
+
+    it('should use /api/embed for Ollama', () => {
+      const request = buildEmbeddingRequest({
+        type: 'ollama',
+        endpoint: 'http://localhost:11434/v1',
+        generationParams: { keepAlive: '1h' }
+      }, 'nomic-embed-text', ['a']);
+      expect(request.url).toBe('http://localhost:11434/api/embed');
+      expect(request.body).toEqual({ model: 'nomic-embed-text', input: ['a'], keep_alive: '1h' });
+    });
+
+    it('should use batchEmbedContents for Gemini', () => {
+      const request = buildEmbeddingRequest({ type: 'gemini', endpoint: 'http://host/v1beta', apiKey: 'AIza' }, 'gemini-embedding-001', ['a']);
+      expect(request.url).toBe('http://host/v1beta/models/gemini-embedding-001:batchEmbedContents');
+      expect(request.headers).toEqual({ 'x-goog-api-key': 'AIza' });
+      expect(request.body.requests).toEqual([{ model: 'models/gemini-embedding-001', content: { parts: [{ text: 'a' }] } }]);
+    });
+  });
+
+  describe('parseEmbeddingResponse', () => {
+    it('should order OpenAI-style vectors by index', () => {
+      expect(parseEmbeddingResponse({ type: 'api' }, {
+        data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }],
+        usage: { prompt_tokens: 7 }
+      })).toEqual({ embeddings: [[1], [2]], promptTokens: 7 });
+    });
+
+    it('should read Ollama and Gemini vectors', () => {
+      expect(parseEmbeddingResponse({ type: 'ollama' }, { embeddings: [[1, 2]], prompt_eval_count: 3 }))
+        .toEqual({ embeddings: [[1, 2]], promptTokens: 3 });
+      expect(parseEmbeddingResponse({ type: 'gemini' }, { embeddings: [{ values: [1, 2] }] }))
+        .toEqual({ embeddings: [[1, 2]], promptTokens: 0 });
+    });
+  });
+
+  describe('embedding cache', () => {
+    it('should key entries by provider, model and text', () => {
+      const key = getEmbeddingCacheKey('openai', 'embed-small', 'hello');
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(getEmbeddingCacheKey('openai', 'embed-large', 'hello')).not.toBe(key);
+      expect(getEmbeddingCacheKey('openai', 'embed-small', 'hello')).toBe(key);
+    });
+
+    it('should store and read vectors on disk', async () => {
+      const cache = createEmbeddingCache(TEST_CACHE_DIR);
+      const key = getEmbeddingCacheKey('openai', 'embed-small', 'hello');
+
+      expect(await cache.get(key)).toBeNull();
+      await cache.set(key, [0.1, 0.2]);
+      expect(await cache.get(key)).toEqual([0.1, 0.2]);
+    });
+  });
+});
@@ -16,7 +16,11 @@ export const ERROR_CATEGORIES = {
   MODEL_NOT_SUPPORTED: 'model-not-supported',
   NETWORK_ERROR: 'network-error',
   TIMEOUT: 'timeout',
+  FIRST_TOKEN_TIMEOUT: 'first-token-timeout',
+  IDLE_TIMEOUT: 'idle-timeout',
+  OUTPUT_LIMIT: 'output-limit',
   QUOTA_EXCEEDED: 'quota-exceeded',
+  INVALID_OUTPUT: 'invalid-output',
   UNKNOWN: 'unknown'
 };
 
@@ -80,6 +84,29 @@ const ERROR_PATTERNS = [
     suggestedFix: 'Check model name and availability in provider settings'
   },
 
+  // Run limits enforced by the runner (before network errors, which match "timeout")
+  {
+    pattern: /first token timeout/i,
+    category: ERROR_CATEGORIES.FIRST_TOKEN_TIMEOUT,
+    requiresFallback: false,
+    actionable: true,
+    suggestedFix: 'Check that the provider is loading the model, or increase firstTokenTimeout'
+  },
+  {
+    pattern: /stream stalled|idle timeout/i,
+    category: ERROR_CATEGORIES.IDLE_TIMEOUT,
+    requiresFallback: false,
+    actionable: true,
+    suggestedFix: 'Check the provider for a hung generation, or increase idleTimeout'
+  },
+  {
+    pattern: /\(output limit\)/i,
+    category: ERROR_CATEGORIES.OUTPUT_LIMIT,
+    requiresFallback: false,
+    actionable: true,
+    suggestedFix: 'Lower maxTokens or ask for a shorter answer, or increase maxOutputBytes'
+  },
+
   // Network errors
   {
     pattern: /ECONNREFUSED|ENOTFOUND|network error|connection refused|timeout|ETIMEDOUT/i,
@@ -262,6 +289,72 @@ export function isAuthErrorStatus(statusCode) {
   return statusCode === 401 || statusCode === 403;
 }
 
+/**
+ * Parse a Google API error payload: { error: { code, message, status, details } }
+ * @param {string} body - Response body
+ * @returns {Object|null} - The error object, or null for other payloads
+ */
+function parseGoogleError(body) {
+  if (typeof body !== 'string' || !/^\s*[{[]/.test(body)) return null;
+  let parsed = null;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  // Streamed errors may arrive wrapped in an array
+  const error = (Array.isArray(parsed) ? parsed[0] : parsed)?.error;
+  return typeof error?.status === 'string' ? error : null;
+}
+
+/**
+ * Categorize a Google API error by its gRPC-style status
+ * @param {Object} error - Google error object
+ * @returns {Object} - Error analysis result
+ */
+function analyzeGoogleError(error) {
+  const message = error.message || error.status;
+  const retryDelay = error.details?.find(d => d.retryDelay)?.retryDelay;
+  const result = (category, requiresFallback, actionable, suggestedFix, waitTime = null) => ({
+    hasError: true,
+    category,
+    message,
+    waitTime,
+    requiresFallback,
+    actionable,
+    suggestedFix
+  });
+
+  switch (error.status) {
+    case 'RESOURCE_EXHAUSTED':
+      // Per-minute limits come with a short retry delay; exhausted daily quotas do not
+      if (retryDelay || !/quota/i.test(message)) {
+        return result(ERROR_CATEGORIES.RATE_LIMIT, false, false, 'Wait and retry - temporary rate limiting',
+          retryDelay ? `${parseFloat(retryDelay)} seconds` : null);
+      }
+      return result(ERROR_CATEGORIES.USAGE_LIMIT, true, false, 'Wait for the quota to reset or use a fallback provider');
+    case 'UNAUTHENTICATED':
+    case 'PERMISSION_DENIED':
+      return result(ERROR_CATEGORIES.AUTH_ERROR, true, true, 'Check API key configuration for this provider');
+    case 'INVALID_ARGUMENT':
+      if (/api key/i.test(message)) {
+        return result(ERROR_CATEGORIES.AUTH_ERROR, true, true, 'Check API key configuration for this provider');
+      }
+      break;
+    case 'NOT_FOUND':
+      return result(ERROR_CATEGORIES.MODEL_NOT_FOUND, true, true, 'Check the model name or refresh the provider models');
+    case 'UNAVAILABLE':
+      return result(ERROR_CATEGORIES.NETWORK_ERROR, false, false, 'The service is temporarily unavailable - retry later');
+    case 'DEADLINE_EXCEEDED':
+      return result(ERROR_CATEGORIES.TIMEOUT, false, false, 'Retry with a shorter prompt or a longer timeout');
+  }
+
+  const analysis = analyzeError(message);
+  return analysis.hasError
+    ? analysis
+    : result(ERROR_CATEGORIES.UNKNOWN, false, false, null);
+}
+
 /**
  * Analyze an HTTP response for errors
  * @param {Object} response - HTTP response object with status and body
@@ -282,6 +375,12 @@ export function analyzeHttpError(response) {
     };
   }
 
+  // Google APIs describe the error precisely in the payload status
+  const googleError = parseGoogleError(body);
+  if (googleError) {
+    return analyzeGoogleError(googleError);
+  }
+
   // Check status code first
   if (isRateLimitStatus(status)) {
     return {
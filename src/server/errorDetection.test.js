@@ -86,6 +86,16 @@ describe('Error Detection', () => {
       expect(result.category).toBe(ERROR_CATEGORIES.UNKNOWN);
     });
 
+    it('should tell run limit errors apart', () => {
+      expect(analyzeError('No output within 60000ms of starting (first token timeout)').category)
+        .toBe(ERROR_CATEGORIES.FIRST_TOKEN_TIMEOUT);
+      expect(analyzeError('Stream stalled: no output for 30000ms (idle timeout)').category)
+        .toBe(ERROR_CATEGORIES.IDLE_TIMEOUT);
+      expect(analyzeError('Output exceeded 1000 bytes (output limit)').category)
+        .toBe(ERROR_CATEGORIES.OUTPUT_LIMIT);
+      expect(analyzeError('Timed out after 300000ms').category).toBe(ERROR_CATEGORIES.TIMEOUT);
+    });
+
     it('should return no error for success', () => {
       const result = analyzeError('', 0);
       expect(result.hasError).toBe(false);
@@ -189,5 +199,50 @@ describe('Error Detection', () => {
       expect(result.hasError).toBe(true);
       expect(result.waitTime).toBeTruthy();
     });
+
+    it('should categorize Google RESOURCE_EXHAUSTED with a retry delay as a rate limit', () => {
+      const result = analyzeHttpError({
+        status: 429,
+        statusText: 'Too Many Requests',
+        body: JSON.stringify({
+          error: {
+            code: 429,
+            status: 'RESOURCE_EXHAUSTED',
+            message: 'You exceeded your current quota.',
+            details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }]
+          }
+        })
+      });
+      expect(result.category).toBe(ERROR_CATEGORIES.RATE_LIMIT);
+      expect(result.waitTime).toBe('12 seconds');
+    });
+
+    it('should categorize an exhausted Google quota as a usage limit', () => {
+      const result = analyzeHttpError({
+        status: 429,
+        statusText: 'Too Many Requests',
+        body: JSON.stringify({ error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded for metric: requests per day' } })
+      });
+      expect(result.category).toBe(ERROR_CATEGORIES.USAGE_LIMIT);
+      expect(result.requiresFallback).toBe(true);
+    });
+
+    it('should categorize an invalid Google API key as an auth error', () => {
+      const result = analyzeHttpError({
+        status: 400,
+        statusText: 'Bad Request',
+        body: JSON.stringify([{ error: { code: 400, status: 'INVALID_ARGUMENT', message: 'API key not valid. Please pass a valid API key.' } }])
+      });
+      expect(result.category).toBe(ERROR_CATEGORIES.AUTH_ERROR);
+    });
+
+    it('should categorize a Google NOT_FOUND as model not found', () => {
+      const result = analyzeHttpError({
+        status: 404,
+        statusText: 'Not Found',
+        body: JSON.stringify({ error: { code: 404, status: 'NOT_FOUND', message: 'models/gemini-x is not found' } })
+      });
+      expect(result.category).toBe(ERROR_CATEGORIES.MODEL_NOT_FOUND);
+    });
   });
 });
@@ -0,0 +1,70 @@
+/**
+ * Gemini generateContent API
+ *
+ * Request building for providers of type `gemini`, which stream from the
+ * Generative Language API (models/{model}:streamGenerateContent?alt=sse).
+ */
+
+export const DEFAULT_GEMINI_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Headers for Gemini API requests
+ */
+export function getGeminiHeaders(apiKey) {
+  return { 'x-goog-api-key': apiKey || '' };
+}
+
+/**
+ * Convert a base64 data URL into an inlineData part
+ */
+function toInlineDataPart(dataUrl) {
+  const [, mimeType, data] = dataUrl.match(/^data:([^;]+);base64,(.*)$/) || [];
+  return { inlineData: { mimeType, data } };
+}
+
+/**
+ * Convert a conversation to Gemini `contents`. System turns become the
+ * systemInstruction (falling back to systemPrompt), assistant turns use the
+ * `model` role, and images (data URLs) are attached to the latest user turn.
+ */
+export function toGeminiContents(conversation, { systemPrompt = null, images = [] } = {}) {
+  const systemTurns = conversation.filter(m => m.role === 'system').map(m => m.content);
+  const system = systemTurns.length > 0 ? systemTurns.join('\n\n') : systemPrompt;
+
+  const contents = conversation
+    .filter(m => m.role !== 'system')
+    .map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.content }]
+    }));
+
+  const latest = contents[contents.length - 1];
+  if (latest && images.length > 0) {
+    latest.parts = [...images.map(toInlineDataPart), ...latest.parts];
+  }
+
+  return {
+    systemInstruction: system ? { parts: [{ text: system }] } : null,
+    contents
+  };
+}
+
+/**
+ * Map generation params (and an optional response JSON Schema) to a
+ * generationConfig, omitting unset values
+ */
+export function toGeminiGenerationConfig(params = {}, responseSchema = null) {
+  const config = {
+    temperature: params.temperature,
+    maxOutputTokens: params.maxTokens,
+    topP: params.topP,
+    stopSequences: typeof params.stop === 'string' ? [params.stop] : params.stop,
+    seed: params.seed,
+    thinkingConfig: params.thinkingBudget
+      ? { thinkingBudget: params.thinkingBudget, includeThoughts: true }
+      : undefined,
+    responseMimeType: responseSchema ? 'application/json' : undefined,
+    responseJsonSchema: responseSchema || undefined
+  };
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+}
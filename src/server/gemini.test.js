@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getGeminiHeaders,
+  toGeminiContents,
+  toGeminiGenerationConfig
+} from './gemini.js';
+
+describe('Gemini generateContent API', () => {
+  describe('getGeminiHeaders', () => {
+    it('should send the API key header', () => {
+      expect(getGeminiHeaders('AIza-test')).toEqual({ 'x-goog-api-key': 'AIza-test' });
+    });
+  });
+
+  describe('toGeminiContents', () => {
+    it('should move system turns to systemInstruction and use the model role', () => {
+      const { systemInstruction, contents } = toGeminiContents([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'Bye' }
+      ], { systemPrompt: 'Ignored' });
+
+      expect(systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+      expect(contents).toEqual([
+        { role: 'user', parts: [{ text: 'Hi' }] },
+        { role: 'model', parts: [{ text: 'Hello' }] },
+        { role: 'user', parts: [{ text: 'Bye' }] }
+      ]);
+    });
+
+    it('should fall back to the system prompt and attach images to the latest turn', () => {
+      const { systemInstruction, contents } = toGeminiContents([{ role: 'user', content: 'Describe' }], {
+        systemPrompt: 'You see images.',
+        images: ['data:image/png;base64,AAAA']
+      });
+
+      expect(systemInstruction).toEqual({ parts: [{ text: 'You see images.' }] });
+      expect(contents[0].parts).toEqual([
+        { inlineData: { mimeType: 'image/png', data: 'AAAA' } },
+        { text: 'Describe' }
+      ]);
+    });
+
+    it('should omit systemInstruction without a system prompt', () => {
+      expect(toGeminiContents([{ role: 'user', content: 'Hi' }]).systemInstruction).toBeNull();
+    });
+  });
+
+  describe('toGeminiGenerationConfig', () => {
+    it('should map generation params and omit unset values', () => {
+      expect(toGeminiGenerationConfig({ temperature: 0.2, maxTokens: 500, stop: 'END' })).toEqual({
+        temperature: 0.2,
+        maxOutputTokens: 500,
+        stopSequences: ['END']
+      });
+      expect(toGeminiGenerationConfig()).toEqual({});
+    });
+
+    it('should request thoughts for a thinking budget', () => {
+      expect(toGeminiGenerationConfig({ thinkingBudget: 2048 })).toEqual({
+        thinkingConfig: { thinkingBudget: 2048, includeThoughts: true }
+      });
+    });
+
+    it('should request JSON matching the response schema', () => {
+      const schema = { type: 'object', properties: { ok: { type: 'boolean' } } };
+      expect(toGeminiGenerationConfig({}, schema)).toEqual({
+        responseMimeType: 'application/json',
+        responseJsonSchema: schema
+      });
+    });
+  });
+});
@@ -15,17 +15,192 @@ export interface ProviderService {
   getSampleProviders(): Promise<any[]>;
 }
 
+export interface ConversationMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface RunnerTool {
+  name: string;
+  description?: string;
+  parameters?: Record<string, any>;
+  handler(args: any, context: { runId: string; signal: AbortSignal }): any | Promise<any>;
+}
+
+export interface EmbedOptions {
+  providerId: string;
+  model?: string;
+  input: string | string[];
+  fallbackProviderId?: string;
+  batchSize?: number;
+  cache?: boolean;
+}
+
+export interface EmbedResult {
+  providerId: string;
+  model: string;
+  embeddings: number[][];
+  dimensions: number;
+  cached: number;
+  usage: RunUsage | null;
+  usedFallback: boolean;
+}
+
+export type RunStatus =
+  | 'queued'
+  | 'starting'
+  | 'running'
+  | 'succeeded'
+  | 'failed'
+  | 'cancelled'
+  | 'timed_out'
+  | 'interrupted';
+
+export interface RunStatusTransition {
+  runId: string;
+  status: RunStatus;
+  previousStatus: RunStatus | null;
+  at: string;
+}
+
+export interface RetentionPolicy {
+  /** Delete finished runs older than this many days */
+  maxAgeDays?: number | null;
+  /** Age limit for failed runs, replacing maxAgeDays for them */
+  keepFailedDays?: number | null;
+  /** Keep at most this many runs, deleting the oldest finished runs first */
+  maxRuns?: number | null;
+  /** Keep the run directories under this many bytes, deleting the oldest finished runs first */
+  maxTotalBytes?: number | null;
+}
+
+export interface PruneResult {
+  dryRun: boolean;
+  count: number;
+  bytes: number;
+  runs: { id: string; reason: 'max-age' | 'failed-age' | 'max-runs' | 'max-size'; startTime: string; status: RunStatus | null; size: number }[];
+}
+
+export interface RerunOverrides {
+  providerId?: string;
+  model?: string;
+  timeout?: number;
+  workspacePath?: string;
+  workspaceName?: string;
+  priority?: number;
+}
+
+export interface ComparisonTarget {
+  providerId: string;
+  model?: string;
+}
+
+export interface ComparisonResult {
+  comparisonId: string;
+  prompt: string;
+  startTime: string;
+  /** Whether every target's run has finished */
+  complete: boolean;
+  results: {
+    runId: string;
+    providerId: string;
+    providerName: string;
+    model: string;
+    status: RunStatus;
+    success: boolean | null;
+    duration: number | null;
+    outputSize: number;
+    error: string | null;
+    errorCategory: string | null;
+    usage: RunUsage | null;
+    cost: RunCost | null;
+    output?: string | null;
+  }[];
+}
+
+export type RunImportConflictMode = 'rename' | 'skip' | 'overwrite';
+
+export interface RunImportResult {
+  imported: { id: string; originalId: string }[];
+  skipped: string[];
+  errors: { line: number; error: string }[];
+}
+
+export interface RunFilters {
+  limit?: number;
+  offset?: number;
+  cursor?: string | null;
+  source?: string;
+  status?: RunStatus | RunStatus[];
+  providerId?: string | string[];
+  model?: string | string[];
+  errorCategory?: string | string[];
+  success?: boolean;
+  usedFallback?: boolean;
+  /** Workspace name or path */
+  workspace?: string;
+  comparisonId?: string;
+  /** ISO date or timestamp; a date-only `until` includes that whole day */
+  since?: string;
+  until?: string;
+  /** Shortest duration in ms */
+  minDuration?: number;
+  /** Case-insensitive text searched in prompt.txt and output.txt */
+  q?: string;
+}
+
+export interface RunEvent {
+  timestamp: string;
+  type: 'tool_call';
+  toolCallId: string;
+  name: string;
+  arguments: any;
+  result: string | null;
+  error: string | null;
+  duration: number;
+}
+
 export interface RunnerService {
+  events: import('events').EventEmitter;
+  init(): Promise<void>;
   createRun(options: any): Promise<any>;
+  enqueueRun(runId: string, options?: { priority?: number }): Promise<{ runId: string; queued: boolean; queuePosition: number | null }>;
+  getQueuePosition(runId: string): number | null;
   executeCliRun(...args: any[]): Promise<string>;
   executeApiRun(...args: any[]): Promise<string>;
+  executeAnthropicRun(...args: any[]): Promise<string>;
+  executeGeminiRun(...args: any[]): Promise<string>;
+  executeOllamaRun(...args: any[]): Promise<string>;
   stopRun(runId: string): Promise<boolean>;
   getRun(runId: string): Promise<any | null>;
   getRunOutput(runId: string): Promise<string | null>;
+  getRunResult(runId: string): Promise<any | null>;
+  getRunEvents(runId: string): Promise<RunEvent[] | null>;
+  registerTool(tool: RunnerTool): void;
+  unregisterTool(name: string): boolean;
+  listTools(): Omit<RunnerTool, 'handler'>[];
+  embed(options: EmbedOptions): Promise<EmbedResult>;
   getRunPrompt(runId: string): Promise<string | null>;
-  listRuns(limit?: number, offset?: number, source?: string): Promise<{ total: number; runs: any[] }>;
+  getRunConversation(runId: string): Promise<ConversationMessage[] | null>;
+  continueRun(runId: string, options: { prompt: string; [key: string]: any }): Promise<any>;
+  rerun(runId: string, overrides?: RerunOverrides): Promise<any>;
+  compareRuns(options: { targets: ComparisonTarget[]; prompt?: string; [key: string]: any }): Promise<{
+    comparisonId: string;
+    runs: { runId: string; providerId: string; model: string; status: 'queued' | 'started'; queuePosition: number | null }[];
+  }>;
+  getComparison(comparisonId: string, options?: { includeOutput?: boolean }): Promise<ComparisonResult | null>;
+  listRuns(filters: RunFilters): Promise<{ total: number; runs: any[]; nextCursor: string | null }>;
+  listRuns(limit?: number, offset?: number, source?: string, status?: RunStatus | RunStatus[] | null, cursor?: string | null): Promise<{ total: number; runs: any[]; nextCursor: string | null }>;
+  rebuildRunIndex(): Promise<number>;
   deleteRun(runId: string): Promise<boolean>;
   deleteFailedRuns(): Promise<number>;
+  pruneRuns(options?: { dryRun?: boolean; policy?: RetentionPolicy }): Promise<PruneResult>;
+  exportRuns(filters?: RunFilters): AsyncGenerator<string>;
+  importRuns(
+    source: string | Iterable<string | Uint8Array> | AsyncIterable<string | Uint8Array>,
+    options?: { onConflict?: RunImportConflictMode }
+  ): Promise<RunImportResult>;
+  stopRetentionSweeper(): void;
   isRunActive(runId: string): Promise<boolean>;
 }
 
@@ -57,10 +232,79 @@ export interface AIToolkit {
     providers: any;
     runs: any;
     prompts: any;
+    embeddings: any;
   };
   mountRoutes(app: any, basePath?: string): void;
 }
 
+export interface RunUsage {
+  promptTokens: number;
+  completionTokens: number;
+  reasoningTokens: number;
+  cachedTokens: number;
+  totalTokens: number;
+}
+
+export interface RunCost {
+  currency: 'USD';
+  input: number | null;
+  output: number | null;
+  total: number;
+  source: 'pricing' | 'reported';
+}
+
+export interface ModelPricing {
+  input: number;
+  output: number;
+  cachedInput?: number;
+}
+
+export const CLI_OUTPUT_FORMATS: {
+  TEXT: 'text';
+  CLAUDE_JSON: 'claude-json';
+  CODEX_JSON: 'codex-json';
+};
+
+export function calculateCost(
+  usage: RunUsage | null,
+  pricing: Record<string, ModelPricing> | null | undefined,
+  model: string | null,
+  reportedCost?: number | null
+): RunCost | null;
+
+export interface SchemaValidationError {
+  path: string;
+  message: string;
+}
+
+export function extractJson(text: string): { found: true; value: any } | { found: false };
+export function validateJsonSchema(schema: Record<string, any> | boolean, value: any): SchemaValidationError[];
+export function validateStructuredOutput(schema: any, text: string): { value: any; errors: SchemaValidationError[] };
+
+export const RUN_STATUSES: {
+  QUEUED: 'queued';
+  STARTING: 'starting';
+  RUNNING: 'running';
+  SUCCEEDED: 'succeeded';
+  FAILED: 'failed';
+  CANCELLED: 'cancelled';
+  TIMED_OUT: 'timed_out';
+  INTERRUPTED: 'interrupted';
+};
+export function isRunStatus(status: any): status is RunStatus;
+export function isTerminalRunStatus(status: any): boolean;
+export function canTransitionRun(from: RunStatus | null | undefined, to: RunStatus): boolean;
+
+export interface RetryPolicy {
+  maxAttempts?: number;
+  backoffMs?: number;
+  maxBackoffMs?: number;
+  jitter?: number;
+  retryOn?: string[];
+}
+
+export const DEFAULT_RETRY_POLICY: Required<RetryPolicy>;
+
 export interface AIToolkitConfig {
   dataDir?: string;
   providersFile?: string;
@@ -77,8 +321,20 @@ export interface AIToolkitConfig {
     onRunFailed?: (metadata: any, error: string, output: string) => void;
   };
   maxConcurrentRuns?: number;
+  queueFile?: string;
+  maxFailoverAttempts?: number;
+  retryPolicy?: RetryPolicy;
+  tools?: RunnerTool[];
+  maxToolRounds?: number;
+  killGracePeriodMs?: number;
+  retention?: RetentionPolicy;
+  retentionSweepIntervalMs?: number;
+  embeddingBatchSize?: number;
+  embeddingCacheDir?: string | null;
 }
 
+export const SECRET_MASK: string;
+export function redactProviderSecrets<T>(provider: T): T;
 export function createAIToolkit(config?: AIToolkitConfig): AIToolkit;
 export function createProviderService(config?: Partial<AIToolkitConfig>): ProviderService;
 export function createRunnerService(config?: Partial<AIToolkitConfig>): RunnerService;
@@ -86,3 +342,4 @@ export function createPromptsService(config?: Partial<AIToolkitConfig>): Prompts
 export function createProvidersRoutes(service: ProviderService, options?: any): any;
 export function createRunsRoutes(service: RunnerService, options?: any): any;
 export function createPromptsRoutes(service: PromptsService, options?: any): any;
+export function createEmbeddingsRoutes(service: RunnerService, options?: any): any;
@@ -3,14 +3,15 @@
  * Configurable AI provider, runner, and prompt services with Express routes
  */
 
-import { createProviderService } from './providers.js';
-import { createRunnerService } from './runner.js';
+import { createProviderService, redactProviderSecrets, SECRET_MASK } from './providers.js';
+import { createRunnerService, DEFAULT_RETRY_POLICY } from './runner.js';
 import { createPromptsService } from './prompts.js';
 import { createProviderStatusService } from './providerStatus.js';
 import { createProvidersRoutes } from './routes/providers.js';
 import { createRunsRoutes } from './routes/runs.js';
 import { createPromptsRoutes } from './routes/prompts.js';
 import { createProviderStatusRoutes } from './routes/providerStatus.js';
+import { createEmbeddingsRoutes } from './routes/embeddings.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -30,8 +31,12 @@ export const DEFAULT_PROVIDERS_SAMPLE = join(__dirname, 'defaults/providers.samp
 
 export * from './validation.js';
 export * from './errorDetection.js';
+export { CLI_OUTPUT_FORMATS, calculateCost } from './usage.js';
+export { extractJson, validateJsonSchema, validateStructuredOutput } from './structuredOutput.js';
+export { RUN_STATUSES, isRunStatus, isTerminalRunStatus, canTransitionRun } from './runStatus.js';
 export { createProviderService, createRunnerService, createPromptsService, createProviderStatusService };
-export { createProvidersRoutes, createRunsRoutes, createPromptsRoutes, createProviderStatusRoutes };
+export { redactProviderSecrets, SECRET_MASK, DEFAULT_RETRY_POLICY };
+export { createProvidersRoutes, createRunsRoutes, createPromptsRoutes, createProviderStatusRoutes, createEmbeddingsRoutes };
 
 /**
  * Create a complete AI toolkit instance with services and routes
@@ -57,6 +62,16 @@ export function createAIToolkit(config = {}) {
 
     // Runner config
     maxConcurrentRuns = 5,
+    queueFile = 'run-queue.json', // Persisted run queue, under dataDir
+    maxFailoverAttempts = 2,
+    retryPolicy = {},
+    tools = [], // Tools API runs can call: { name, description, parameters, handler }
+    maxToolRounds = 10,
+    killGracePeriodMs = 5000,
+    retention = {}, // { maxAgeDays, keepFailedDays, maxRuns, maxTotalBytes }; unset limits are off
+    retentionSweepIntervalMs = 60 * 60 * 1000,
+    embeddingBatchSize = 64,
+    embeddingCacheDir = 'embeddings', // Under dataDir; null disables the embedding cache
 
     // Provider status config
     enableProviderStatus = true,
@@ -103,7 +118,22 @@ export function createAIToolkit(config = {}) {
         hooks.onProviderError?.(providerId, errorAnalysis, output);
       }
     },
-    maxConcurrentRuns
+    maxConcurrentRuns,
+    queueFile,
+    maxFailoverAttempts,
+    retryPolicy,
+    tools,
+    maxToolRounds,
+    killGracePeriodMs,
+    retention,
+    retentionSweepIntervalMs,
+    embeddingBatchSize,
+    embeddingCacheDir
+  });
+
+  // Restore queued runs from the previous session
+  runnerService.init().catch(err => {
+    console.error(`❌ Failed to initialize runner: ${err.message}`);
   });
 
   const promptsService = createPromptsService({
@@ -120,6 +150,7 @@ export function createAIToolkit(config = {}) {
   const providersRouter = createProvidersRoutes(providerService, { asyncHandler });
   const runsRouter = createRunsRoutes(runnerService, { asyncHandler, io });
   const promptsRouter = createPromptsRoutes(promptsService, { asyncHandler });
+  const embeddingsRouter = createEmbeddingsRoutes(runnerService, { asyncHandler });
 
   // Create provider status routes if enabled
   let providerStatusRouter = null;
@@ -141,6 +172,7 @@ export function createAIToolkit(config = {}) {
       providers: providersRouter,
       runs: runsRouter,
       prompts: promptsRouter,
+      embeddings: embeddingsRouter,
       providerStatus: providerStatusRouter
     },
 
@@ -149,6 +181,7 @@ export function createAIToolkit(config = {}) {
       app.use(`${basePath}/providers`, providersRouter);
       app.use(`${basePath}/runs`, runsRouter);
       app.use(`${basePath}/prompts`, promptsRouter);
+      app.use(`${basePath}/embeddings`, embeddingsRouter);
       if (providerStatusRouter) {
         app.use(`${basePath}/providers/status`, providerStatusRouter);
       }
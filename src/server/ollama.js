@@ -0,0 +1,81 @@
+/**
+ * Ollama chat API
+ *
+ * Request building for providers of type `ollama`, which stream NDJSON from
+ * Ollama's native /api/chat endpoint instead of its OpenAI-compatible /v1 API.
+ */
+
+export const DEFAULT_OLLAMA_ENDPOINT = 'http://localhost:11434';
+
+/**
+ * Base URL of the native API. Endpoints configured for the OpenAI-compatible
+ * API (ending in /v1) are accepted and the suffix is dropped.
+ */
+export function getOllamaBaseUrl(endpoint) {
+  return (endpoint || DEFAULT_OLLAMA_ENDPOINT).replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * Convert a conversation to Ollama chat messages. The system prompt is sent
+ * as a system message when the conversation has none, and images (data URLs)
+ * are attached to the latest message as bare base64.
+ */
+export function toOllamaMessages(conversation, { systemPrompt = null, images = [] } = {}) {
+  const messages = conversation.map(m => ({ role: m.role, content: m.content }));
+
+  if (systemPrompt && !messages.some(m => m.role === 'system')) {
+    messages.unshift({ role: 'system', content: systemPrompt });
+  }
+
+  const latest = messages[messages.length - 1];
+  if (latest && images.length > 0) {
+    latest.images = images.map(dataUrl => dataUrl.replace(/^data:[^;]+;base64,/, ''));
+  }
+
+  return messages;
+}
+
+/**
+ * Map generation params to /api/chat fields, omitting unset values.
+ * Sampling params go in `options` on top of any raw ollamaOptions; a response
+ * schema takes precedence over `format: "json"`.
+ */
+export function toOllamaParams(params = {}, responseSchema = null) {
+  const options = Object.fromEntries(Object.entries({
+    ...params.ollamaOptions,
+    temperature: params.temperature,
+    num_predict: params.maxTokens,
+    top_p: params.topP,
+    stop: typeof params.stop === 'string' ? [params.stop] : params.stop,
+    seed: params.seed,
+    num_ctx: params.numCtx
+  }).filter(([, value]) => value !== undefined && value !== null));
+
+  const body = {
+    options: Object.keys(options).length > 0 ? options : undefined,
+    format: responseSchema || params.format,
+    keep_alive: params.keepAlive,
+    think: params.thinkingBudget ? true : undefined
+  };
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Timing statistics from the final (done) chunk, with durations converted
+ * from nanoseconds to milliseconds
+ */
+export function toOllamaStats(chunk) {
+  const ms = (ns) => (typeof ns === 'number' ? Math.round(ns / 1e6) : null);
+  const evalDurationMs = ms(chunk.eval_duration);
+  return {
+    totalDurationMs: ms(chunk.total_duration),
+    loadDurationMs: ms(chunk.load_duration),
+    promptEvalCount: chunk.prompt_eval_count ?? null,
+    promptEvalDurationMs: ms(chunk.prompt_eval_duration),
+    evalCount: chunk.eval_count ?? null,
+    evalDurationMs,
+    tokensPerSecond: evalDurationMs && chunk.eval_count
+      ? Math.round(chunk.eval_count / (chunk.eval_duration / 1e9) * 100) / 100
+      : null
+  };
+}
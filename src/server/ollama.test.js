@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getOllamaBaseUrl,
+  toOllamaMessages,
+  toOllamaParams,
+  toOllamaStats
+} from './ollama.js';
+
+describe('Ollama chat API', () => {
+  describe('getOllamaBaseUrl', () => {
+    it('should drop an OpenAI-compatible /v1 suffix and trailing slashes', () => {
+      expect(getOllamaBaseUrl('http://localhost:11434/v1')).toBe('http://localhost:11434');
+      expect(getOllamaBaseUrl('http://gpu-box:11434/')).toBe('http://gpu-box:11434');
+      expect(getOllamaBaseUrl(null)).toBe('http://localhost:11434');
+    });
+  });
+
+  describe('toOllamaMessages', () => {
+    it('should add the system prompt when the conversation has no system turn', () => {
+      expect(toOllamaMessages([{ role: 'user', content: 'Hi' }], { systemPrompt: 'Be brief.' })).toEqual([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' }
+      ]);
+      expect(toOllamaMessages([
+        { role: 'system', content: 'Own system' },
+        { role: 'user', content: 'Hi' }
+      ], { systemPrompt: 'Ignored' })[0].content).toBe('Own system');
+    });
+
+    it('should attach images to the latest message as bare base64', () => {
+      const messages = toOllamaMessages([{ role: 'user', content: 'Describe' }], {
+        images: ['data:image/png;base64,AAAA']
+      });
+      expect(messages[0].images).toEqual(['AAAA']);
+    });
+  });
+
+  describe('toOllamaParams', () => {
+    it('should map generation params to options on top of raw ollamaOptions', () => {
+      expect(toOllamaParams({
+        temperature: 0.3,
+        maxTokens: 200,
+        stop: 'END',
+        numCtx: 8192,
+        keepAlive: '10m',
+        ollamaOptions: { repeat_penalty: 1.1, num_ctx: 2048 }
+      })).toEqual({
+        options: { repeat_penalty: 1.1, num_ctx: 8192, temperature: 0.3, num_predict: 200, stop: ['END'] },
+        keep_alive: '10m'
+      });
+      expect(toOllamaParams()).toEqual({});
+    });
+
+    it('should prefer the response schema over JSON mode', () => {
+      const schema = { type: 'object' };
+      expect(toOllamaParams({ format: 'json' })).toEqual({ format: 'json' });
+      expect(toOllamaParams({ format: 'json' }, schema)).toEqual({ format: schema });
+    });
+
+    it('should enable thinking for a thinking budget', () => {
+      expect(toOllamaParams({ thinkingBudget: 1024 })).toEqual({ think: true });
+    });
+  });
+
+  describe('toOllamaStats', () => {
+    it('should convert durations to milliseconds and compute tokens per second', () => {
+      expect(toOllamaStats({
+        total_duration: 3_000_000_000,
+        load_duration: 500_000_000,
+        prompt_eval_count: 26,
+        prompt_eval_duration: 130_000_000,
+        eval_count: 100,
+        eval_duration: 2_000_000_000
+      })).toEqual({
+        totalDurationMs: 3000,
+        loadDurationMs: 500,
+        promptEvalCount: 26,
+        promptEvalDurationMs: 130,
+        evalCount: 100,
+        evalDurationMs: 2000,
+        tokensPerSecond: 50
+      });
+    });
+  });
+});
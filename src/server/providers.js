@@ -4,12 +4,46 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { DEFAULT_ANTHROPIC_ENDPOINT, getAnthropicHeaders } from './anthropic.js';
+import { DEFAULT_GEMINI_ENDPOINT, getGeminiHeaders } from './gemini.js';
+import { DEFAULT_OLLAMA_ENDPOINT, getOllamaBaseUrl } from './ollama.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DEFAULT_SAMPLE_PATH = join(__dirname, '../defaults/providers.sample.json');
 
 const execAsync = promisify(exec);
 
+const DEFAULT_ENDPOINTS = {
+  anthropic: DEFAULT_ANTHROPIC_ENDPOINT,
+  gemini: DEFAULT_GEMINI_ENDPOINT,
+  ollama: DEFAULT_OLLAMA_ENDPOINT
+};
+
+/**
+ * Most pages read from a paginated models list, in case a server keeps returning more
+ */
+const MAX_MODEL_PAGES = 50;
+
+/**
+ * Placeholder returned in place of secret env var values
+ */
+export const SECRET_MASK = '********';
+
+/**
+ * Return a copy of a provider with secretEnvVars values masked, safe to send to clients
+ */
+export function redactProviderSecrets(provider) {
+  if (!provider?.secretEnvVars?.length || !provider.envVars) return provider;
+
+  const envVars = { ...provider.envVars };
+  for (const key of provider.secretEnvVars) {
+    if (envVars[key]) {
+      envVars[key] = SECRET_MASK;
+    }
+  }
+  return { ...provider, envVars };
+}
+
 /**
  * Create a provider service with configurable storage
  */
@@ -109,10 +143,14 @@ export function createProviderService(config = {}) {
         type: providerData.type || 'cli',
         command: providerData.command || null,
         args: providerData.args || [],
-        endpoint: providerData.endpoint || null,
+        // Template for passing the selected model to a CLI, e.g. ["--model", "{{model}}"]
+        modelArgs: providerData.modelArgs || [],
+        endpoint: providerData.endpoint || DEFAULT_ENDPOINTS[providerData.type] || null,
         apiKey: providerData.apiKey || '',
         models: providerData.models || [],
         defaultModel: providerData.defaultModel || null,
+        // Model used by runner.embed() when the caller does not pick one
+        embeddingModel: providerData.embeddingModel || null,
         // Model tiers for intelligent task routing
         lightModel: providerData.lightModel || null,
         mediumModel: providerData.mediumModel || null,
@@ -120,10 +158,25 @@ export function createProviderService(config = {}) {
         // Fallback provider when this one hits usage limits
         fallbackProvider: providerData.fallbackProvider || null,
         timeout: providerData.timeout || 300000,
+        // Optional stall limits (ms) and output cap (bytes); null disables each
+        firstTokenTimeout: providerData.firstTokenTimeout || null,
+        idleTimeout: providerData.idleTimeout || null,
+        maxOutputBytes: providerData.maxOutputBytes || null,
         enabled: providerData.enabled !== false,
         envVars: providerData.envVars || {},
         secretEnvVars: providerData.secretEnvVars || [],
-        headlessArgs: providerData.headlessArgs || []
+        headlessArgs: providerData.headlessArgs || [],
+        // CLI output mode: 'text', or 'claude-json' / 'codex-json' to record token usage
+        outputFormat: providerData.outputFormat || 'text',
+        // How CLI providers receive the prompt: 'arg', 'stdin' or 'file' ({{promptFile}} in args)
+        promptDelivery: providerData.promptDelivery || 'arg',
+        // Per-model prices in USD per million tokens: { [model | "*"]: { input, output, cachedInput? } }
+        pricing: providerData.pricing || {},
+        // Retry policy for transient errors (see DEFAULT_RETRY_POLICY in runner.js)
+        retryPolicy: providerData.retryPolicy || null,
+        // Defaults for API runs; runs can override them individually
+        systemPrompt: providerData.systemPrompt || null,
+        generationParams: providerData.generationParams || {}
       };
 
       data.providers[id] = provider;
@@ -147,12 +200,24 @@ export function createProviderService(config = {}) {
         return null;
       }
 
+      const existing = data.providers[id];
       const provider = {
-        ...data.providers[id],
+        ...existing,
         ...updates,
         id // Prevent ID override
       };
 
+      // Masked secrets echoed back by a client keep their stored value
+      if (updates.envVars) {
+        const secretKeys = provider.secretEnvVars || [];
+        provider.envVars = { ...updates.envVars };
+        for (const key of secretKeys) {
+          if (provider.envVars[key] === SECRET_MASK) {
+            provider.envVars[key] = existing.envVars?.[key] ?? '';
+          }
+        }
+      }
+
       data.providers[id] = provider;
       await saveProviders(data);
       return provider;
@@ -228,6 +293,59 @@ export function createProviderService(config = {}) {
         };
       }
 
+      if (provider.type === 'anthropic') {
+        const endpoint = provider.endpoint || DEFAULT_ANTHROPIC_ENDPOINT;
+        const response = await fetch(`${endpoint}/models`, {
+          headers: getAnthropicHeaders(provider.apiKey)
+        }).catch(err => ({ ok: false, error: err.message }));
+
+        if (!response.ok) {
+          return { success: false, error: `API not reachable: ${response.error || response.status}` };
+        }
+
+        const models = await response.json().catch(() => ({ data: [] }));
+        return {
+          success: true,
+          endpoint,
+          models: models.data?.map(m => m.id) || []
+        };
+      }
+
+      if (provider.type === 'gemini') {
+        const endpoint = provider.endpoint || DEFAULT_GEMINI_ENDPOINT;
+        const response = await fetch(`${endpoint}/models`, {
+          headers: getGeminiHeaders(provider.apiKey)
+        }).catch(err => ({ ok: false, error: err.message }));
+
+        if (!response.ok) {
+          return { success: false, error: `API not reachable: ${response.error || response.status}` };
+        }
+
+        const models = await response.json().catch(() => ({ models: [] }));
+        return {
+          success: true,
+          endpoint,
+          models: models.models?.map(m => m.name.replace('models/', '')) || []
+        };
+      }
+
+      if (provider.type === 'ollama') {
+        const endpoint = getOllamaBaseUrl(provider.endpoint);
+        const response = await fetch(`${endpoint}/api/tags`)
+          .catch(err => ({ ok: false, error: err.message }));
+
+        if (!response.ok) {
+          return { success: false, error: `API not reachable: ${response.error || response.status}` };
+        }
+
+        const models = await response.json().catch(() => ({ models: [] }));
+        return {
+          success: true,
+          endpoint,
+          models: models.models?.map(m => m.name || m.model) || []
+        };
+      }
+
       return { success: false, error: 'Unknown provider type' };
     },
 
@@ -248,6 +366,12 @@ export function createProviderService(config = {}) {
         // Provider-specific refresh strategies
         if (provider.type === 'api') {
           models = await this._refreshAPIProviderModels(provider);
+        } else if (provider.type === 'anthropic') {
+          models = await this._fetchAnthropicModels(provider);
+        } else if (provider.type === 'gemini') {
+          models = await this._fetchGeminiModels(provider);
+        } else if (provider.type === 'ollama') {
+          models = await this._fetchOllamaModels(provider);
         } else if (provider.type === 'cli') {
           models = await this._refreshCLIProviderModels(provider);
         }
@@ -278,14 +402,9 @@ export function createProviderService(config = {}) {
     async _refreshAPIProviderModels(provider) {
       // Try Ollama format first if endpoint suggests it
       if (provider.endpoint?.includes('ollama') || provider.endpoint?.includes(':11434')) {
-        const ollamaUrl = `${provider.endpoint}/api/tags`;
-        const response = await fetch(ollamaUrl).catch(() => null);
-
-        if (response?.ok) {
-          const data = await response.json().catch(() => null);
-          if (data?.models) {
-            return data.models.map(m => m.name || m.model);
-          }
+        const models = await this._fetchOllamaModels(provider).catch(() => null);
+        if (models) {
+          return models;
         }
       }
 
@@ -318,6 +437,20 @@ export function createProviderService(config = {}) {
       return [];
     },
 
+    /**
+     * Fetch locally installed models from Ollama's /api/tags
+     */
+    async _fetchOllamaModels(provider) {
+      const response = await fetch(`${getOllamaBaseUrl(provider.endpoint)}/api/tags`).catch(() => null);
+
+      if (!response?.ok) {
+        throw new Error(`HTTP ${response?.status || 'error'}`);
+      }
+
+      const data = await response.json().catch(() => ({ models: [] }));
+      return (data.models || []).map(m => m.name || m.model);
+    },
+
     /**
      * Refresh models from CLI providers using provider-specific APIs
      */
@@ -339,11 +472,51 @@ export function createProviderService(config = {}) {
     },
 
     /**
-     * Fetch available Claude models from Anthropic API
+     * Fetch available Claude models from the Anthropic API (/v1/models).
+     * Claude CLI providers logged in without an API key fall back to a curated list.
      */
     async _fetchAnthropicModels(provider) {
-      // Known Claude models — Anthropic doesn't have a public models list endpoint
-      // so we maintain a curated list of current and recent models
+      const apiKey = provider.apiKey || provider.envVars?.ANTHROPIC_API_KEY || process.env.ANTHROPIC_API_KEY;
+
+      if (!apiKey) {
+        if (provider.type === 'anthropic') {
+          throw new Error('Anthropic API key required for model refresh');
+        }
+        return this._curatedAnthropicModels();
+      }
+
+      const endpoint = (provider.type === 'anthropic' && provider.endpoint) || DEFAULT_ANTHROPIC_ENDPOINT;
+      const models = [];
+      const seenIds = new Set();
+      let afterId = null;
+      let pages = 0;
+
+      // The models list is paginated with has_more / last_id
+      do {
+        const query = afterId ? `?limit=1000&after_id=${encodeURIComponent(afterId)}` : '?limit=1000';
+        const response = await fetch(`${endpoint}/models${query}`, {
+          headers: getAnthropicHeaders(apiKey)
+        }).catch(() => null);
+
+        if (!response?.ok) {
+          throw new Error(`HTTP ${response?.status || 'error'}`);
+        }
+
+        const page = await response.json().catch(() => ({ data: [] }));
+        models.push(...(page.data || []).map(m => m.id));
+        pages++;
+        seenIds.add(afterId);
+        // A cursor that does not advance would repeat pages forever
+        afterId = page.has_more && !seenIds.has(page.last_id) ? page.last_id : null;
+      } while (afterId && pages < MAX_MODEL_PAGES);
+
+      return [...new Set(models)];
+    },
+
+    /**
+     * Known Claude models, used when the Anthropic API cannot be queried
+     */
+    _curatedAnthropicModels() {
       return [
         'claude-opus-4-7',
         'claude-sonnet-4-6',
@@ -364,26 +537,42 @@ export function createProviderService(config = {}) {
      * Fetch available Gemini models from Google AI API
      */
     async _fetchGeminiModels(provider) {
-      const apiKey = provider.apiKey || process.env.GOOGLE_API_KEY;
+      const apiKey = provider.apiKey || provider.envVars?.GEMINI_API_KEY || process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
 
       if (!apiKey) {
         throw new Error('Google API key required for model refresh');
       }
 
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`
-      ).catch(() => null);
+      const endpoint = (provider.type === 'gemini' && provider.endpoint) || DEFAULT_GEMINI_ENDPOINT;
+      const models = [];
+      const seenTokens = new Set();
+      let pageToken = null;
+      let pages = 0;
+
+      // The models list is paginated with nextPageToken
+      do {
+        const query = pageToken ? `?pageSize=1000&pageToken=${encodeURIComponent(pageToken)}` : '?pageSize=1000';
+        const response = await fetch(`${endpoint}/models${query}`, {
+          headers: getGeminiHeaders(apiKey)
+        }).catch(() => null);
+
+        if (!response?.ok) {
+          throw new Error(`HTTP ${response?.status || 'error'}`);
+        }
 
-      if (!response?.ok) {
-        throw new Error(`HTTP ${response?.status || 'error'}`);
-      }
+        const page = await response.json().catch(() => ({ models: [] }));
 
-      const data = await response.json().catch(() => ({ models: [] }));
+        // Filter to only generative models
+        models.push(...(page.models || [])
+          .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+          .map(m => m.name.replace('models/', '')));
+        pages++;
+        seenTokens.add(pageToken);
+        // A repeated token would request the same pages forever
+        pageToken = page.nextPageToken && !seenTokens.has(page.nextPageToken) ? page.nextPageToken : null;
+      } while (pageToken && pages < MAX_MODEL_PAGES);
 
-      // Filter to only generative models
-      return (data.models || [])
-        .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
-        .map(m => m.name.replace('models/', ''));
+      return [...new Set(models)];
     },
 
     /**
@@ -2,7 +2,8 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { mkdir, rm, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
-import { createProviderService } from './providers.js';
+import { createServer } from 'http';
+import { createProviderService, redactProviderSecrets, SECRET_MASK } from './providers.js';
 
 const TEST_DATA_DIR = join(process.cwd(), 'test-data');
 
@@ -199,4 +200,241 @@ describe('Provider Service', () => {
       expect(existing).toBeUndefined();
     });
   });
+
+  describe('secret env vars', () => {
+    it('should mask secret env var values', () => {
+      const redacted = redactProviderSecrets({
+        id: 'bedrock',
+        envVars: { CLAUDE_CODE_USE_BEDROCK: '1', AWS_BEARER_TOKEN_BEDROCK: 'token' },
+        secretEnvVars: ['AWS_BEARER_TOKEN_BEDROCK']
+      });
+
+      expect(redacted.envVars.AWS_BEARER_TOKEN_BEDROCK).toBe(SECRET_MASK);
+      expect(redacted.envVars.CLAUDE_CODE_USE_BEDROCK).toBe('1');
+    });
+
+    it('should keep stored secrets when a masked value is saved back', async () => {
+      const provider = await providerService.createProvider({
+        name: 'Bedrock',
+        type: 'cli',
+        command: 'claude',
+        envVars: { AWS_BEARER_TOKEN_BEDROCK: 'token' },
+        secretEnvVars: ['AWS_BEARER_TOKEN_BEDROCK']
+      });
+
+      const updated = await providerService.updateProvider(provider.id, {
+        ...redactProviderSecrets(provider),
+        timeout: 60000
+      });
+
+      expect(updated.envVars.AWS_BEARER_TOKEN_BEDROCK).toBe('token');
+      expect(updated.timeout).toBe(60000);
+    });
+  });
+
+  describe('anthropic providers', () => {
+    let server;
+
+    afterEach(async () => {
+      await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+      server = null;
+    });
+
+    it('should default the endpoint to the Anthropic API', async () => {
+      const provider = await providerService.createProvider({ name: 'Claude API', type: 'anthropic' });
+      expect(provider.endpoint).toBe('https://api.anthropic.com/v1');
+    });
+
+    it('should discover models through paginated /models', async () => {
+      const requests = [];
+      server = createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const page = req.url.includes('after_id')
+          ? { data: [{ id: 'claude-c' }], has_more: false, last_id: 'claude-c' }
+          : { data: [{ id: 'claude-a' }, { id: 'claude-b' }], has_more: true, last_id: 'claude-b' };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(page));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Claude API',
+        type: 'anthropic',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+        apiKey: 'sk-ant-test'
+      });
+
+      const refreshed = await providerService.refreshProviderModels(provider.id);
+
+      expect(refreshed.models).toEqual(['claude-a', 'claude-b', 'claude-c']);
+      expect(requests[1].url).toBe('/v1/models?limit=1000&after_id=claude-b');
+      expect(requests[0].headers['x-api-key']).toBe('sk-ant-test');
+      expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    });
+
+    it('should stop paging when the cursor does not advance', async () => {
+      let requests = 0;
+      server = createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: [{ id: 'claude-a' }], has_more: true, last_id: 'claude-a' }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Claude API',
+        type: 'anthropic',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+        apiKey: 'sk-ant-test'
+      });
+
+      const refreshed = await providerService.refreshProviderModels(provider.id);
+
+      expect(requests).toBe(2);
+      expect(refreshed.models).toEqual(['claude-a']);
+    });
+
+    it('should stop paging after the page limit', async () => {
+      let requests = 0;
+      server = createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: [], has_more: true, last_id: `cursor-${requests}` }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Claude API',
+        type: 'anthropic',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+        apiKey: 'sk-ant-test'
+      });
+
+      await providerService.refreshProviderModels(provider.id);
+
+      expect(requests).toBe(50);
+    });
+  });
+
+  describe('gemini providers', () => {
+    let server;
+
+    afterEach(async () => {
+      await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+      server = null;
+    });
+
+    it('should default the endpoint to the Gemini API', async () => {
+      const provider = await providerService.createProvider({ name: 'Gemini API', type: 'gemini' });
+      expect(provider.endpoint).toBe('https://generativelanguage.googleapis.com/v1beta');
+    });
+
+    it('should discover generateContent models through paginated /models', async () => {
+      const requests = [];
+      server = createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const page = req.url.includes('pageToken')
+          ? { models: [{ name: 'models/gemini-c', supportedGenerationMethods: ['generateContent'] }] }
+          : {
+            models: [
+              { name: 'models/gemini-a', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+              { name: 'models/embedding-b', supportedGenerationMethods: ['embedContent'] }
+            ],
+            nextPageToken: 'page-2'
+          };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(page));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Gemini API',
+        type: 'gemini',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1beta`,
+        apiKey: 'AIza-test'
+      });
+
+      const refreshed = await providerService.refreshProviderModels(provider.id);
+
+      expect(refreshed.models).toEqual(['gemini-a', 'gemini-c']);
+      expect(requests[1].url).toBe('/v1beta/models?pageSize=1000&pageToken=page-2');
+      expect(requests[0].headers['x-goog-api-key']).toBe('AIza-test');
+    });
+
+    it('should stop paging when the page token repeats', async () => {
+      let requests = 0;
+      server = createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          models: [{ name: 'models/gemini-a', supportedGenerationMethods: ['generateContent'] }],
+          nextPageToken: 'same-token'
+        }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Gemini API',
+        type: 'gemini',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1beta`,
+        apiKey: 'AIza-test'
+      });
+
+      const refreshed = await providerService.refreshProviderModels(provider.id);
+
+      expect(requests).toBe(2);
+      expect(refreshed.models).toEqual(['gemini-a']);
+    });
+
+    it('should stop paging after the page limit', async () => {
+      let requests = 0;
+      server = createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ models: [], nextPageToken: `token-${requests}` }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Gemini API',
+        type: 'gemini',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1beta`,
+        apiKey: 'AIza-test'
+      });
+
+      await providerService.refreshProviderModels(provider.id);
+
+      expect(requests).toBe(50);
+    });
+  });
+
+  describe('ollama providers', () => {
+    let server;
+
+    afterEach(async () => {
+      await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+      server = null;
+    });
+
+    it('should discover models through /api/tags', async () => {
+      const requests = [];
+      server = createServer((req, res) => {
+        requests.push(req.url);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ models: [{ name: 'llama3.2:latest' }, { model: 'qwen3:8b' }] }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      const provider = await providerService.createProvider({
+        name: 'Ollama',
+        type: 'ollama',
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`
+      });
+
+      const refreshed = await providerService.refreshProviderModels(provider.id);
+
+      expect(refreshed.models).toEqual(['llama3.2:latest', 'qwen3:8b']);
+      expect(requests).toEqual(['/api/tags']);
+    });
+  });
 });
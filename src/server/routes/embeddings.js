@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { validate, embeddingRequestSchema } from '../validation.js';
+
+/**
+ * Create embeddings routes
+ */
+export function createEmbeddingsRoutes(runnerService, options = {}) {
+  const router = Router();
+  const { asyncHandler = (fn) => fn } = options;
+
+  // POST /embeddings - Embed one or more texts
+  router.post('/', asyncHandler(async (req, res) => {
+    const result = validate(embeddingRequestSchema, req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid embeddings request', details: result.errors });
+    }
+
+    const { providerId, model, input, fallbackProviderId, cache } = result.data;
+    console.log(`🧮 POST /embeddings - provider: ${providerId}, inputs: ${Array.isArray(input) ? input.length : 1}`);
+
+    const embeddings = await runnerService.embed({ providerId, model, input, fallbackProviderId, cache });
+    res.json(embeddings);
+  }));
+
+  return router;
+}
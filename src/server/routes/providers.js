@@ -1,4 +1,8 @@
 import { Router } from 'express';
+import { redactProviderSecrets } from '../providers.js';
+import { providerSchema } from '../validation.js';
+
+const PROVIDER_TYPES = providerSchema.shape.type.options;
 
 /**
  * Create providers routes
@@ -10,13 +14,16 @@ export function createProvidersRoutes(providerService, options = {}) {
   // GET /providers - List all providers
   router.get('/', asyncHandler(async (req, res) => {
     const data = await providerService.getAllProviders();
-    res.json(data);
+    res.json({
+      ...data,
+      providers: data.providers.map(redactProviderSecrets)
+    });
   }));
 
   // GET /providers/active - Get active provider
   router.get('/active', asyncHandler(async (req, res) => {
     const provider = await providerService.getActiveProvider();
-    res.json(provider);
+    res.json(redactProviderSecrets(provider));
   }));
 
   // PUT /providers/active - Set active provider
@@ -32,13 +39,13 @@ export function createProvidersRoutes(providerService, options = {}) {
       return res.status(404).json({ error: 'Provider not found' });
     }
 
-    res.json(provider);
+    res.json(redactProviderSecrets(provider));
   }));
 
   // GET /providers/samples - Get sample providers not yet in user's config
   router.get('/samples', asyncHandler(async (req, res) => {
     const providers = await providerService.getSampleProviders();
-    res.json({ providers });
+    res.json({ providers: providers.map(redactProviderSecrets) });
   }));
 
   // GET /providers/:id - Get provider by ID
@@ -49,23 +56,23 @@ export function createProvidersRoutes(providerService, options = {}) {
       return res.status(404).json({ error: 'Provider not found' });
     }
 
-    res.json(provider);
+    res.json(redactProviderSecrets(provider));
   }));
 
   // POST /providers - Create new provider
   router.post('/', asyncHandler(async (req, res) => {
-    const { name, type } = req.body;
+    const { name, type } = req.body || {};
 
     if (!name) {
       return res.status(400).json({ error: 'Name is required' });
     }
 
-    if (!type || !['cli', 'api'].includes(type)) {
-      return res.status(400).json({ error: 'Type must be "cli" or "api"' });
+    if (!PROVIDER_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${PROVIDER_TYPES.join(', ')}` });
     }
 
     const provider = await providerService.createProvider(req.body);
-    res.status(201).json(provider);
+    res.status(201).json(redactProviderSecrets(provider));
   }));
 
   // PUT /providers/:id - Update provider
@@ -76,7 +83,7 @@ export function createProvidersRoutes(providerService, options = {}) {
       return res.status(404).json({ error: 'Provider not found' });
     }
 
-    res.json(provider);
+    res.json(redactProviderSecrets(provider));
   }));
 
   // DELETE /providers/:id - Delete provider
@@ -104,7 +111,7 @@ export function createProvidersRoutes(providerService, options = {}) {
       return res.status(404).json({ error: 'Provider not found or not an API type' });
     }
 
-    res.json(provider);
+    res.json(redactProviderSecrets(provider));
   }));
 
   return router;
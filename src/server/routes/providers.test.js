@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import express from 'express';
+import request from 'supertest';
+import { createProviderService } from '../providers.js';
+import { createProvidersRoutes } from './providers.js';
+
+const TEST_DATA_DIR = join(process.cwd(), 'test-data-provider-routes');
+
+describe('Providers Routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    await mkdir(TEST_DATA_DIR, { recursive: true });
+    const providerService = createProviderService({ dataDir: TEST_DATA_DIR, providersFile: 'providers.json' });
+    app = express();
+    app.use(express.json());
+    app.use('/providers', createProvidersRoutes(providerService));
+  });
+
+  afterEach(async () => {
+    if (existsSync(TEST_DATA_DIR)) {
+      await rm(TEST_DATA_DIR, { recursive: true });
+    }
+  });
+
+  describe('POST /providers', () => {
+    it('should create anthropic providers', async () => {
+      const res = await request(app).post('/providers').send({ name: 'Claude API', type: 'anthropic', apiKey: 'sk-ant-test' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ name: 'Claude API', type: 'anthropic', endpoint: 'https://api.anthropic.com/v1' });
+    });
+
+    it('should create gemini providers', async () => {
+      const res = await request(app).post('/providers').send({ name: 'Gemini API', type: 'gemini', apiKey: 'AIza-test' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        name: 'Gemini API',
+        type: 'gemini',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta'
+      });
+    });
+
+    it('should create ollama providers', async () => {
+      const res = await request(app).post('/providers').send({ name: 'Ollama', type: 'ollama' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ name: 'Ollama', type: 'ollama', endpoint: 'http://localhost:11434' });
+    });
+
+    it('should reject unknown types and missing names', async () => {
+      const unknown = await request(app).post('/providers').send({ name: 'Mystery', type: 'mystery' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toBe('Type must be one of: cli, api, anthropic, gemini, ollama');
+
+      const unnamed = await request(app).post('/providers').send({ type: 'cli' });
+      expect(unnamed.status).toBe(400);
+    });
+  });
+});
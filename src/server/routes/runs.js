@@ -1,4 +1,33 @@
 import { Router } from 'express';
+import { once } from 'events';
+import { RUN_IMPORT_CONFLICT_MODES } from '../runArchive.js';
+import { validate, runSchema, continueRunSchema, rerunSchema, comparisonRequestSchema, runFiltersSchema, retentionPolicySchema } from '../validation.js';
+
+const LIST_FILTERS = ['status', 'providerId', 'model', 'errorCategory'];
+const BOOLEAN_FILTERS = ['success', 'usedFallback'];
+const NUMBER_FILTERS = ['limit', 'offset', 'minDuration'];
+
+/**
+ * Convert GET /runs query strings to typed filters for runFiltersSchema.
+ * Lists are comma-separated; values that do not convert are left for the schema to reject.
+ */
+function parseRunFilters(query) {
+  const filters = {};
+  for (const [key, value] of Object.entries(query)) {
+    const text = String(value);
+    if (text === '') continue;
+    if (LIST_FILTERS.includes(key)) {
+      filters[key] = text.split(',');
+    } else if (BOOLEAN_FILTERS.includes(key)) {
+      filters[key] = { true: true, false: false }[text] ?? text;
+    } else if (NUMBER_FILTERS.includes(key)) {
+      filters[key] = Number(text);
+    } else {
+      filters[key] = text;
+    }
+  }
+  return filters;
+}
 
 /**
  * Create runs routes
@@ -7,83 +36,220 @@ export function createRunsRoutes(runnerService, options = {}) {
   const router = Router();
   const { asyncHandler = (fn) => fn, io = null } = options;
 
-  // GET /runs - List runs
+  // GET /runs - List runs. Filters: source, status, providerId, model, errorCategory
+  // (comma-separated), success, usedFallback, workspace, comparisonId, since, until,
+  // minDuration and q (full-text over prompt and output). ?cursor= takes the previous page's nextCursor.
   router.get('/', asyncHandler(async (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-    const source = req.query.source || 'all';
+    const result = validate(runFiltersSchema, parseRunFilters(req.query));
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid filters', details: result.errors });
+    }
 
-    const result = await runnerService.listRuns(limit, offset, source);
-    res.json(result);
+    res.json(await runnerService.listRuns(result.data));
   }));
 
-  // POST /runs - Create and execute a new run
+  // Forward runner events to Socket.IO clients
+  if (io && runnerService.events) {
+    runnerService.events.on('run:data', ({ runId, data }) => {
+      io.emit(`run:${runId}:data`, data);
+    });
+    runnerService.events.on('run:status', ({ runId, ...transition }) => {
+      io.emit(`run:${runId}:status`, transition);
+    });
+    runnerService.events.on('run:retry', ({ runId, retry }) => {
+      io.emit(`run:${runId}:retry`, retry);
+    });
+    runnerService.events.on('run:tool', ({ runId, event }) => {
+      io.emit(`run:${runId}:tool`, event);
+    });
+    runnerService.events.on('run:complete', ({ runId, metadata }) => {
+      console.log(`✅ Run complete: ${runId}, success: ${metadata.success}`);
+      io.emit(`run:${runId}:complete`, metadata);
+    });
+  }
+
+  // POST /runs - Create and queue a new run
   router.post('/', asyncHandler(async (req, res) => {
-    const { providerId, model, prompt, workspacePath, workspaceName, timeout, screenshots } = req.body;
+    const result = validate(runSchema.omit({ type: true }), req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid run', details: result.errors });
+    }
+
+    // Runs triggered over HTTP are headless unless the caller explicitly opts out
+    const {
+      providerId,
+      model,
+      prompt,
+      messages,
+      systemPrompt,
+      generationParams,
+      responseSchema,
+      repairAttempts,
+      tools,
+      workspacePath,
+      workspaceName,
+      timeout,
+      firstTokenTimeout,
+      idleTimeout,
+      maxOutputBytes,
+      screenshots,
+      priority,
+      retryPolicy,
+      headless = true
+    } = result.data;
     console.log(`🚀 POST /runs - provider: ${providerId}, model: ${model}, workspace: ${workspaceName}`);
 
     if (!providerId) {
       return res.status(400).json({ error: 'providerId is required' });
     }
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'prompt is required' });
+    if (!prompt && !messages) {
+      return res.status(400).json({ error: 'prompt or messages is required' });
+    }
+
+    if (tools) {
+      const registered = new Set(runnerService.listTools().map(tool => tool.name));
+      const unknown = tools.filter(name => !registered.has(name));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown tools: ${unknown.join(', ')}` });
+      }
     }
 
     const runData = await runnerService.createRun({
       providerId,
       model,
       prompt,
+      messages,
+      systemPrompt,
+      generationParams,
+      responseSchema,
+      repairAttempts,
+      tools,
       workspacePath,
       workspaceName,
       timeout,
-      screenshots
+      firstTokenTimeout,
+      idleTimeout,
+      maxOutputBytes,
+      screenshots,
+      priority,
+      retryPolicy,
+      headless: headless !== false
     });
 
-    const { runId, provider, metadata, timeout: effectiveTimeout } = runData;
+    const { runId, provider, metadata } = runData;
     console.log(`🚀 Run created: ${runId}, provider type: ${provider.type}`);
 
-    // Execute based on provider type
-    if (provider.type === 'cli') {
-      runnerService.executeCliRun(
-        runId,
-        provider,
-        prompt,
-        workspacePath,
-        (data) => {
-          io?.emit(`run:${runId}:data`, data);
-        },
-        (finalMetadata) => {
-          console.log(`✅ Run complete: ${runId}, success: ${finalMetadata.success}`);
-          io?.emit(`run:${runId}:complete`, finalMetadata);
-        },
-        effectiveTimeout
-      );
-    } else if (provider.type === 'api') {
-      runnerService.executeApiRun(
-        runId,
-        provider,
-        model,
-        prompt,
-        workspacePath,
-        screenshots,
-        (data) => {
-          io?.emit(`run:${runId}:data`, data);
-        },
-        (finalMetadata) => {
-          io?.emit(`run:${runId}:complete`, finalMetadata);
-        }
-      );
-    }
+    // Starts right away if a slot is free, otherwise waits in the queue
+    const { queued, queuePosition } = await runnerService.enqueueRun(runId, { priority });
 
     // Return immediately with run ID
     res.status(202).json({
       runId,
-      status: 'started',
+      status: queued ? 'queued' : 'started',
+      queuePosition,
       metadata
     });
   }));
 
+  // POST /runs/compare - Run one prompt on several targets: { prompt, targets: [{ providerId, model }], ... }
+  // with the other POST /runs options shared by every target. Each target streams as its own run.
+  router.post('/compare', asyncHandler(async (req, res) => {
+    const result = validate(comparisonRequestSchema, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid comparison', details: result.errors });
+    }
+
+    const { tools, headless = true } = result.data;
+    if (tools) {
+      const registered = new Set(runnerService.listTools().map(tool => tool.name));
+      const unknown = tools.filter(name => !registered.has(name));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown tools: ${unknown.join(', ')}` });
+      }
+    }
+
+    console.log(`⚖️ POST /runs/compare - targets: ${result.data.targets.map(target => target.providerId).join(', ')}`);
+    const comparison = await runnerService.compareRuns({ ...result.data, headless }).catch(err => {
+      if (err.invalidComparison) return { error: err.message };
+      throw err;
+    });
+    if (comparison.error) {
+      return res.status(400).json({ error: comparison.error });
+    }
+
+    res.status(202).json(comparison);
+  }));
+
+  // GET /runs/compare/:id - Per-target results of a comparison (?output=true adds each output)
+  router.get('/compare/:id', asyncHandler(async (req, res) => {
+    const comparison = await runnerService.getComparison(req.params.id, {
+      includeOutput: req.query.output === 'true'
+    });
+
+    if (!comparison) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+
+    res.json(comparison);
+  }));
+
+  // POST /runs/index/rebuild - Rebuild the run index from the run directories
+  router.post('/index/rebuild', asyncHandler(async (req, res) => {
+    const indexed = await runnerService.rebuildRunIndex();
+    res.json({ indexed });
+  }));
+
+  // POST /runs/prune - Apply the retention policy now. Body: { dryRun, ...limits }, where
+  // limits override the configured policy. A dry run reports what would be deleted.
+  router.post('/prune', asyncHandler(async (req, res) => {
+    const { dryRun = false, ...limits } = req.body || {};
+    const result = validate(retentionPolicySchema, limits);
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid retention policy', details: result.errors });
+    }
+
+    res.json(await runnerService.pruneRuns({ dryRun: dryRun === true, policy: result.data }));
+  }));
+
+  // GET /runs/export - Download runs as an NDJSON archive. Takes the filters of GET /runs;
+  // every matching run is included unless ?limit= is given.
+  router.get('/export', asyncHandler(async (req, res) => {
+    const result = validate(runFiltersSchema, parseRunFilters(req.query));
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid filters', details: result.errors });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="runs-${date}.ndjson"`);
+    for await (const line of runnerService.exportRuns(result.data)) {
+      if (!res.write(line)) await once(res, 'drain');
+    }
+    res.end();
+  }));
+
+  // POST /runs/import - Restore runs from an NDJSON archive sent as the request body
+  // (Content-Type: application/x-ndjson). ?onConflict=rename|skip|overwrite handles existing IDs.
+  router.post('/import', asyncHandler(async (req, res) => {
+    const onConflict = req.query.onConflict || 'rename';
+    if (!RUN_IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of: ${RUN_IMPORT_CONFLICT_MODES.join(', ')}` });
+    }
+
+    // JSON body parsers leave NDJSON unread; a text parser may already have read it
+    const source = typeof req.body === 'string' ? req.body : req;
+    const result = await runnerService.importRuns(source, { onConflict }).catch(err => {
+      if (err.invalidArchive) return { error: err.message };
+      throw err;
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  }));
+
   // GET /runs/:id - Get run metadata
   router.get('/:id', asyncHandler(async (req, res) => {
     const metadata = await runnerService.getRun(req.params.id);
@@ -95,7 +261,8 @@ export function createRunsRoutes(runnerService, options = {}) {
     const isActive = await runnerService.isRunActive(req.params.id);
     res.json({
       ...metadata,
-      isActive
+      isActive,
+      queuePosition: runnerService.getQueuePosition(req.params.id)
     });
   }));
 
@@ -110,6 +277,113 @@ export function createRunsRoutes(runnerService, options = {}) {
     res.type('text/plain').send(output);
   }));
 
+  // GET /runs/:id/result - Get the validated structured output of a run
+  router.get('/:id/result', asyncHandler(async (req, res) => {
+    const result = await runnerService.getRunResult(req.params.id);
+
+    if (result === null) {
+      return res.status(404).json({ error: 'Run not found or has no structured result' });
+    }
+
+    res.json(result);
+  }));
+
+  // GET /runs/:id/events - Get the event history of a run (tool calls)
+  router.get('/:id/events', asyncHandler(async (req, res) => {
+    const events = await runnerService.getRunEvents(req.params.id);
+
+    if (events === null) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json({ events });
+  }));
+
+  // GET /runs/:id/conversation - Get all conversation turns of a run
+  router.get('/:id/conversation', asyncHandler(async (req, res) => {
+    const conversation = await runnerService.getRunConversation(req.params.id);
+
+    if (conversation === null) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json({ messages: conversation });
+  }));
+
+  // POST /runs/:id/continue - Continue a finished run with a new user turn
+  router.post('/:id/continue', asyncHandler(async (req, res) => {
+    const result = validate(continueRunSchema, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid continuation', details: result.errors });
+    }
+
+    const { prompt, providerId, model, systemPrompt, generationParams, timeout, screenshots, priority, retryPolicy, headless } = result.data;
+
+    const previous = await runnerService.getRun(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    if (previous.success === null || await runnerService.isRunActive(req.params.id)) {
+      return res.status(409).json({ error: 'Run is still in progress' });
+    }
+
+    const { runId, metadata } = await runnerService.continueRun(req.params.id, {
+      prompt,
+      providerId,
+      model,
+      ...(systemPrompt !== undefined && { systemPrompt }),
+      ...(generationParams !== undefined && { generationParams }),
+      timeout,
+      screenshots,
+      priority,
+      retryPolicy,
+      ...(headless !== undefined && { headless: headless !== false })
+    });
+
+    const { queued, queuePosition } = await runnerService.enqueueRun(runId, { priority });
+
+    res.status(202).json({
+      runId,
+      status: queued ? 'queued' : 'started',
+      queuePosition,
+      metadata
+    });
+  }));
+
+  // POST /runs/:id/rerun - Run the stored prompt again, optionally overriding
+  // providerId, model, timeout, workspacePath/workspaceName or priority
+  router.post('/:id/rerun', asyncHandler(async (req, res) => {
+    const result = validate(rerunSchema, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid rerun', details: result.errors });
+    }
+
+    const { providerId, model, timeout, workspacePath, workspaceName, priority } = result.data;
+
+    if (!await runnerService.getRun(req.params.id)) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { runId, metadata } = await runnerService.rerun(req.params.id, {
+      providerId,
+      model,
+      timeout,
+      workspacePath,
+      workspaceName,
+      priority
+    });
+
+    const { queued, queuePosition } = await runnerService.enqueueRun(runId, { priority: metadata.priority });
+
+    res.status(202).json({
+      runId,
+      status: queued ? 'queued' : 'started',
+      queuePosition,
+      metadata
+    });
+  }));
+
   // GET /runs/:id/prompt - Get run prompt
   router.get('/:id/prompt', asyncHandler(async (req, res) => {
     const prompt = await runnerService.getRunPrompt(req.params.id);
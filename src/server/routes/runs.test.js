@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import express from 'express';
+import request from 'supertest';
+import { createRunnerService } from '../runner.js';
+import { createRunsRoutes } from './runs.js';
+
+const TEST_DATA_DIR = join(process.cwd(), 'test-data-run-routes');
+
+describe('Runs Routes', () => {
+  let app;
+  let runner;
+
+  beforeEach(async () => {
+    await mkdir(TEST_DATA_DIR, { recursive: true });
+    const providers = {
+      echo: { id: 'echo', name: 'Echo', type: 'cli', command: 'echo', args: [], timeout: 10000, enabled: true },
+      local: { id: 'local', name: 'Local', type: 'api', endpoint: 'http://127.0.0.1:9/v1', timeout: 10000, enabled: true }
+    };
+    runner = createRunnerService({
+      dataDir: TEST_DATA_DIR,
+      providerService: {
+        getAllProviders: async () => ({ activeProvider: null, providers: Object.values(providers) }),
+        getProviderById: async (id) => providers[id] || null
+      },
+      tools: [{ name: 'lookup', handler: () => ({}) }]
+    });
+    app = express();
+    app.use(express.json());
+    app.use('/runs', createRunsRoutes(runner));
+  });
+
+  afterEach(async () => {
+    runner.stopRetentionSweeper();
+    if (existsSync(TEST_DATA_DIR)) {
+      await rm(TEST_DATA_DIR, { recursive: true });
+    }
+  });
+
+  describe('POST /runs/compare', () => {
+    it('should answer 400 and create no runs when a target cannot use the shared options', async () => {
+      const res = await request(app).post('/runs/compare').send({
+        prompt: 'hello',
+        tools: ['lookup'],
+        targets: [{ providerId: 'local' }, { providerId: 'echo' }]
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Tools are only supported by api providers');
+      expect((await runner.listRuns()).total).toBe(0);
+    });
+  });
+
+  describe('POST /runs/:id/continue', () => {
+    it('should reject continuations that do not match the run options', async () => {
+      for (const body of [{}, { prompt: 42 }, { prompt: 'next', timeout: 5 }, { prompt: 'next', screenshots: 'a.png' }, { prompt: 'next', priority: 1.5 }, { prompt: 'next', providerId: 7 }]) {
+        const res = await request(app).post('/runs/missing/continue').send(body);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid continuation');
+      }
+    });
+
+    it('should look the run up once the continuation is valid', async () => {
+      const res = await request(app).post('/runs/missing/continue').send({ prompt: 'next', model: 'm', timeout: 5000 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /runs/:id/rerun', () => {
+    it('should reject reruns that do not match the run options', async () => {
+      for (const body of [{ timeout: 5 }, { priority: 'high' }, { providerId: 7 }, { model: ['m'] }, { workspacePath: 1 }, { workspaceName: false }]) {
+        const res = await request(app).post('/runs/missing/rerun').send(body);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid rerun');
+      }
+    });
+
+    it('should look the run up once the rerun is valid', async () => {
+      const res = await request(app).post('/runs/missing/rerun').send({ providerId: 'echo', timeout: 5000, priority: 2 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Run Archives
+ *
+ * NDJSON archives of run history for moving runs between machines or
+ * attaching them to bug reports. The first line is a header
+ * ({ format, version, exportedAt }); every other line holds one run:
+ * { metadata, files: { name: content }, attachments: [{ path, name, data }] },
+ * with screenshot attachments base64-encoded.
+ */
+
+export const RUN_ARCHIVE_FORMAT = 'portos-run-archive';
+export const RUN_ARCHIVE_VERSION = 1;
+
+/**
+ * How an import treats a run whose ID already exists: store it under a new ID,
+ * keep the existing run, or replace it
+ */
+export const RUN_IMPORT_CONFLICT_MODES = ['rename', 'skip', 'overwrite'];
+
+/**
+ * Split text, or an (async) iterable of text or byte chunks such as a request
+ * stream, into lines
+ */
+export async function* readLines(source) {
+  const chunks = typeof source === 'string' ? [source] : source;
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+/**
+ * Parse an archive line, or null when it is not JSON
+ */
+export function parseArchiveLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Point a run's links to other runs (retryOf, continuedFrom, rerunOf, attempts) at
+ * their new IDs after an import renamed them
+ */
+export function remapRunReferences(metadata, idMap) {
+  const remap = (id) => idMap.get(id) ?? id;
+  return {
+    ...metadata,
+    ...(metadata.retryOf && { retryOf: remap(metadata.retryOf) }),
+    ...(metadata.continuedFrom && { continuedFrom: remap(metadata.continuedFrom) }),
+    ...(metadata.rerunOf && { rerunOf: remap(metadata.rerunOf) }),
+    ...(Array.isArray(metadata.attempts) && {
+      attempts: metadata.attempts.map(attempt => ({ ...attempt, runId: remap(attempt.runId) }))
+    })
+  };
+}
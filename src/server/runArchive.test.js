@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { readLines, parseArchiveLine, remapRunReferences } from './runArchive.js';
+import { validate, runArchiveEntrySchema, runArchiveHeaderSchema } from './validation.js';
+
+/**
+ * Collect the lines of a source
+ */
+async function collectLines(source) {
+  const lines = [];
+  for await (const line of readLines(source)) lines.push(line);
+  return lines;
+}
+
+describe('Run Archives', () => {
+  describe('readLines', () => {
+    it('should split text into lines', async () => {
+      expect(await collectLines('a\nb\n\nc')).toEqual(['a', 'b', '', 'c']);
+    });
+
+    it('should join lines and characters split across byte chunks', async () => {
+      const bytes = new TextEncoder().encode('{"text":"héllo"}\n{"n":2}\n');
+      async function* chunks() {
+        yield bytes.slice(0, 11); // Ends inside the two-byte é
+        yield bytes.slice(11);
+      }
+
+      expect(await collectLines(chunks())).toEqual(['{"text":"héllo"}', '{"n":2}']);
+    });
+  });
+
+  it('should parse JSON lines and return null for anything else', () => {
+    expect(parseArchiveLine('{"a":1}')).toEqual({ a: 1 });
+    expect(parseArchiveLine('{"a":')).toBeNull();
+  });
+
+  it('should remap links to renamed runs', () => {
+    const idMap = new Map([['old-root', 'new-root'], ['old-attempt', 'new-attempt']]);
+    const metadata = {
+      id: 'new-root',
+      retryOf: 'old-root',
+      continuedFrom: 'elsewhere',
+      rerunOf: 'old-attempt',
+      attempts: [{ runId: 'old-attempt', success: false }]
+    };
+
+    expect(remapRunReferences(metadata, idMap)).toEqual({
+      id: 'new-root',
+      retryOf: 'new-root',
+      continuedFrom: 'elsewhere',
+      rerunOf: 'new-attempt',
+      attempts: [{ runId: 'new-attempt', success: false }]
+    });
+    expect(remapRunReferences({ id: 'a', retryOf: null }, idMap)).toEqual({ id: 'a', retryOf: null });
+  });
+
+  describe('schemas', () => {
+    it('should only accept the current archive header', () => {
+      expect(validate(runArchiveHeaderSchema, { format: 'portos-run-archive', version: 1 }).success).toBe(true);
+      expect(validate(runArchiveHeaderSchema, { format: 'portos-run-archive', version: 2 }).success).toBe(false);
+    });
+
+    it('should keep unknown metadata fields and default files and attachments', () => {
+      const result = validate(runArchiveEntrySchema, {
+        metadata: { id: 'run-1', startTime: '2026-03-01T00:00:00.000Z', providerId: 'echo' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        metadata: { id: 'run-1', startTime: '2026-03-01T00:00:00.000Z', providerId: 'echo' },
+        files: {},
+        attachments: []
+      });
+    });
+
+    it('should reject unknown run statuses', () => {
+      const startTime = '2026-03-01T00:00:00.000Z';
+
+      expect(validate(runArchiveEntrySchema, { metadata: { id: 'run-1', startTime, status: 'running' } }).success).toBe(true);
+      expect(validate(runArchiveEntrySchema, { metadata: { id: 'run-1', startTime, status: null } }).success).toBe(true);
+      expect(validate(runArchiveEntrySchema, { metadata: { id: 'run-1', startTime, status: 'bogus' } }).errors)
+        .toEqual([{ path: 'metadata.status', message: 'Unknown status' }]);
+    });
+
+    it('should reject IDs and file names that could escape their directory', () => {
+      const startTime = '2026-03-01T00:00:00.000Z';
+
+      expect(validate(runArchiveEntrySchema, { metadata: { id: '../etc', startTime } }).success).toBe(false);
+      expect(validate(runArchiveEntrySchema, {
+        metadata: { id: 'run-1', startTime },
+        files: { '../metadata.json': '{}' }
+      }).success).toBe(false);
+      expect(validate(runArchiveEntrySchema, {
+        metadata: { id: 'run-1', startTime },
+        attachments: [{ path: 'a.png', name: '.hidden', data: '' }]
+      }).success).toBe(false);
+    });
+  });
+});
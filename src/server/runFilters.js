@@ -0,0 +1,70 @@
+/**
+ * Run Filters
+ *
+ * Matching of run metadata against the filters of GET /runs and listRuns.
+ * Full-text search (q) needs the run's files and is applied by the runner.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a value passes a filter given as one value or a list of values.
+ * An unset or empty filter passes everything.
+ */
+function isOneOf(value, allowed) {
+  const values = allowed == null ? [] : [allowed].flat();
+  return values.length === 0 || values.includes(value);
+}
+
+/**
+ * Exclusive upper bound of `until`; a date without a time covers the whole day
+ */
+function getRangeEnd(until) {
+  const end = Date.parse(until);
+  return DATE_ONLY.test(until) ? end + DAY_MS : end;
+}
+
+/**
+ * Whether run metadata matches the filters:
+ * - source: run source, or 'all'
+ * - status, providerId, model, errorCategory: one value or a list of values
+ * - success, usedFallback: booleans
+ * - workspace: workspace name or path
+ * - comparisonId: ID of the comparison the run belongs to
+ * - since / until: ISO dates or timestamps bounding startTime (date-only until is inclusive)
+ * - minDuration: shortest duration in ms
+ */
+export function matchesRunFilters(run, filters = {}) {
+  const {
+    source = 'all',
+    status,
+    providerId,
+    model,
+    errorCategory,
+    success,
+    usedFallback,
+    workspace,
+    comparisonId,
+    since,
+    until,
+    minDuration
+  } = filters;
+
+  if (source !== 'all' && (run.source || 'devtools') !== source) return false;
+  if (!isOneOf(run.status, status)) return false;
+  if (!isOneOf(run.providerId, providerId)) return false;
+  if (!isOneOf(run.model, model)) return false;
+  if (!isOneOf(run.errorCategory, errorCategory)) return false;
+  if (success != null && run.success !== success) return false;
+  if (usedFallback != null && Boolean(run.usedFallback) !== usedFallback) return false;
+  if (workspace && run.workspaceName !== workspace && run.workspacePath !== workspace) return false;
+  if (comparisonId && run.comparisonId !== comparisonId) return false;
+
+  const startTime = Date.parse(run.startTime);
+  if (since && !(startTime >= Date.parse(since))) return false;
+  if (until && !(startTime < getRangeEnd(until))) return false;
+  if (minDuration != null && !(typeof run.duration === 'number' && run.duration >= minDuration)) return false;
+
+  return true;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { matchesRunFilters } from './runFilters.js';
+import { validate, runFiltersSchema } from './validation.js';
+
+const run = {
+  id: 'run-1',
+  source: 'devtools',
+  status: 'failed',
+  providerId: 'openai',
+  model: 'gpt-4o',
+  errorCategory: 'rate-limit',
+  success: false,
+  usedFallback: true,
+  workspaceName: 'portos',
+  workspacePath: '/work/portos',
+  startTime: '2026-03-10T15:30:00.000Z',
+  duration: 4200
+};
+
+describe('Run Filters', () => {
+  it('should match everything without filters', () => {
+    expect(matchesRunFilters(run)).toBe(true);
+    expect(matchesRunFilters(run, { source: 'all', status: [] })).toBe(true);
+  });
+
+  it('should match one value or a list of values', () => {
+    expect(matchesRunFilters(run, { providerId: 'openai' })).toBe(true);
+    expect(matchesRunFilters(run, { providerId: ['anthropic', 'openai'] })).toBe(true);
+    expect(matchesRunFilters(run, { model: ['claude'] })).toBe(false);
+    expect(matchesRunFilters(run, { status: ['succeeded', 'timed_out'] })).toBe(false);
+    expect(matchesRunFilters(run, { errorCategory: 'rate-limit' })).toBe(true);
+  });
+
+  it('should treat runs without a source as devtools runs', () => {
+    const { source, ...unsourced } = run;
+
+    expect(matchesRunFilters(unsourced, { source })).toBe(true);
+    expect(matchesRunFilters(run, { source: 'cos' })).toBe(false);
+  });
+
+  it('should match booleans exactly', () => {
+    expect(matchesRunFilters(run, { success: false })).toBe(true);
+    expect(matchesRunFilters(run, { success: true })).toBe(false);
+    expect(matchesRunFilters({ ...run, success: null }, { success: false })).toBe(false);
+    expect(matchesRunFilters({ ...run, usedFallback: undefined }, { usedFallback: false })).toBe(true);
+  });
+
+  it('should match the workspace by name or path', () => {
+    expect(matchesRunFilters(run, { workspace: 'portos' })).toBe(true);
+    expect(matchesRunFilters(run, { workspace: '/work/portos' })).toBe(true);
+    expect(matchesRunFilters(run, { workspace: 'other' })).toBe(false);
+  });
+
+  it('should match runs of a comparison', () => {
+    const compared = { ...run, comparisonId: 'cmp-1' };
+
+    expect(matchesRunFilters(compared, { comparisonId: 'cmp-1' })).toBe(true);
+    expect(matchesRunFilters(compared, { comparisonId: 'cmp-2' })).toBe(false);
+    expect(matchesRunFilters(run, { comparisonId: 'cmp-1' })).toBe(false);
+  });
+
+  it('should bound the start time, including the whole day of a date-only until', () => {
+    expect(matchesRunFilters(run, { since: '2026-03-10' })).toBe(true);
+    expect(matchesRunFilters(run, { since: '2026-03-10T16:00:00Z' })).toBe(false);
+    expect(matchesRunFilters(run, { until: '2026-03-10' })).toBe(true);
+    expect(matchesRunFilters(run, { until: '2026-03-10T15:00:00Z' })).toBe(false);
+  });
+
+  it('should require a minimum duration', () => {
+    expect(matchesRunFilters(run, { minDuration: 4000 })).toBe(true);
+    expect(matchesRunFilters(run, { minDuration: 5000 })).toBe(false);
+    expect(matchesRunFilters({ ...run, duration: null }, { minDuration: 0 })).toBe(false);
+  });
+
+  describe('runFiltersSchema', () => {
+    it('should accept typed filters', () => {
+      const result = validate(runFiltersSchema, {
+        limit: 20,
+        status: ['failed', 'timed_out'],
+        success: false,
+        since: '2026-03-01',
+        minDuration: 1000,
+        q: 'stack trace'
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject unknown statuses, invalid dates and non-numeric limits', () => {
+      const result = validate(runFiltersSchema, { status: ['done'], since: 'yesterday', limit: NaN });
+
+      expect(result.success).toBe(false);
+      expect(result.errors.map(e => e.path).sort()).toEqual(['limit', 'since', 'status.0']);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Run Limits
+ *
+ * A per-run watchdog enforcing the total timeout, the time allowed before the
+ * first streamed data, the longest stall between chunks and the maximum
+ * output size. Each limit trips with its own error category.
+ */
+
+import { ERROR_CATEGORIES } from './errorDetection.js';
+
+/**
+ * Describe a tripped limit as an error analysis
+ */
+export function describeRunLimit(reason, limits) {
+  const details = {
+    [ERROR_CATEGORIES.TIMEOUT]: {
+      message: `Timed out after ${limits.timeout}ms`,
+      suggestedFix: 'Increase the run or provider timeout, or shorten the prompt'
+    },
+    [ERROR_CATEGORIES.FIRST_TOKEN_TIMEOUT]: {
+      message: `No output within ${limits.firstTokenTimeout}ms of starting (first token timeout)`,
+      suggestedFix: 'Check that the provider is loading the model, or increase firstTokenTimeout'
+    },
+    [ERROR_CATEGORIES.IDLE_TIMEOUT]: {
+      message: `Stream stalled: no output for ${limits.idleTimeout}ms (idle timeout)`,
+      suggestedFix: 'Check the provider for a hung generation, or increase idleTimeout'
+    },
+    [ERROR_CATEGORIES.OUTPUT_LIMIT]: {
+      message: `Output exceeded ${limits.maxOutputBytes} bytes (output limit)`,
+      suggestedFix: 'Lower maxTokens or ask for a shorter answer, or increase maxOutputBytes'
+    }
+  }[reason];
+
+  return {
+    hasError: true,
+    category: reason,
+    message: details.message,
+    waitTime: null,
+    requiresFallback: false,
+    actionable: true,
+    suggestedFix: details.suggestedFix
+  };
+}
+
+/**
+ * Create a watchdog for a run's limits: { timeout, firstTokenTimeout,
+ * idleTimeout, maxOutputBytes }, each disabled when unset.
+ * start() arms the timers, activity() records streamed data (resetting the idle
+ * timer), output(text) also counts it towards maxOutputBytes, and stop() clears
+ * everything. onTrip(reason, errorAnalysis) is called at most once, with the
+ * limit's error category as the reason.
+ */
+export function createRunWatchdog(limits, onTrip) {
+  const { timeout, firstTokenTimeout, idleTimeout, maxOutputBytes } = limits;
+  const timers = {};
+  let stopped = false;
+  let receivedData = false;
+  let outputBytes = 0;
+
+  const clear = (name) => {
+    clearTimeout(timers[name]);
+    delete timers[name];
+  };
+
+  const trip = (reason) => {
+    if (stopped) return;
+    watchdog.stop();
+    onTrip(reason, describeRunLimit(reason, limits));
+  };
+
+  const arm = (name, ms, reason) => {
+    clear(name);
+    if (ms > 0) {
+      timers[name] = setTimeout(() => trip(reason), ms);
+    }
+  };
+
+  const watchdog = {
+    start() {
+      arm('total', timeout, ERROR_CATEGORIES.TIMEOUT);
+      arm('firstToken', firstTokenTimeout, ERROR_CATEGORIES.FIRST_TOKEN_TIMEOUT);
+    },
+
+    activity() {
+      if (stopped) return;
+      if (!receivedData) {
+        receivedData = true;
+        clear('firstToken');
+      }
+      arm('idle', idleTimeout, ERROR_CATEGORIES.IDLE_TIMEOUT);
+    },
+
+    output(text) {
+      watchdog.activity();
+      outputBytes += Buffer.byteLength(text);
+      if (maxOutputBytes > 0 && outputBytes > maxOutputBytes) {
+        trip(ERROR_CATEGORIES.OUTPUT_LIMIT);
+      }
+    },
+
+    /**
+     * Pass a response body through, recording activity for every chunk read.
+     * The idle timer only runs while a body is being read, so tool calls
+     * between streamed responses do not count as stalls.
+     */
+    watch(body) {
+      if (receivedData) watchdog.activity();
+      return body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          watchdog.activity();
+          controller.enqueue(chunk);
+        },
+        flush() {
+          clear('idle');
+        }
+      }));
+    },
+
+    stop() {
+      stopped = true;
+      Object.keys(timers).forEach(clear);
+    }
+  };
+
+  return watchdog;
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRunWatchdog, describeRunLimit } from './runLimits.js';
+
+describe('runLimits', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('createRunWatchdog', () => {
+    it('should trip the total timeout', () => {
+      const onTrip = vi.fn();
+      const watchdog = createRunWatchdog({ timeout: 1000 }, onTrip);
+      watchdog.start();
+
+      watchdog.output('still going');
+      vi.advanceTimersByTime(1000);
+
+      expect(onTrip).toHaveBeenCalledOnce();
+      expect(onTrip.mock.calls[0][0]).toBe('timeout');
+      expect(onTrip.mock.calls[0][1].message).toBe('Timed out after 1000ms');
+    });
+
+    it('should trip the first token timeout until data arrives', () => {
+      const onTrip = vi.fn();
+      createRunWatchdog({ firstTokenTimeout: 500 }, onTrip).start();
+
+      vi.advanceTimersByTime(500);
+
+      expect(onTrip).toHaveBeenCalledWith('first-token-timeout', expect.objectContaining({ category: 'first-token-timeout' }));
+    });
+
+    it('should reset the idle timer on every chunk', () => {
+      const onTrip = vi.fn();
+      const watchdog = createRunWatchdog({ firstTokenTimeout: 500, idleTimeout: 300 }, onTrip);
+      watchdog.start();
+
+      for (let i = 0; i < 5; i++) {
+        vi.advanceTimersByTime(200);
+        watchdog.activity();
+      }
+      expect(onTrip).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(300);
+      expect(onTrip).toHaveBeenCalledWith('idle-timeout', expect.objectContaining({ category: 'idle-timeout' }));
+    });
+
+    it('should trip the output limit once the output exceeds it', () => {
+      const onTrip = vi.fn();
+      const watchdog = createRunWatchdog({ maxOutputBytes: 10 }, onTrip);
+      watchdog.start();
+
+      watchdog.output('12345');
+      watchdog.output('67890');
+      expect(onTrip).not.toHaveBeenCalled();
+
+      watchdog.output('é');
+      watchdog.output('more');
+      expect(onTrip).toHaveBeenCalledOnce();
+      expect(onTrip.mock.calls[0][0]).toBe('output-limit');
+    });
+
+    it('should not trip after stop', () => {
+      const onTrip = vi.fn();
+      const watchdog = createRunWatchdog({ timeout: 100, firstTokenTimeout: 50 }, onTrip);
+      watchdog.start();
+      watchdog.stop();
+
+      vi.advanceTimersByTime(1000);
+
+      expect(onTrip).not.toHaveBeenCalled();
+    });
+
+    it('should pause the idle timer between watched bodies', async () => {
+      vi.useRealTimers();
+      const onTrip = vi.fn();
+      const watchdog = createRunWatchdog({ idleTimeout: 50 }, onTrip);
+      watchdog.start();
+
+      const body = new Response('data').body;
+      await new Response(watchdog.watch(body)).text();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(onTrip).not.toHaveBeenCalled();
+      watchdog.stop();
+    });
+  });
+
+  describe('describeRunLimit', () => {
+    it('should describe each limit with its category', () => {
+      const limits = { timeout: 1, firstTokenTimeout: 2, idleTimeout: 3, maxOutputBytes: 4 };
+
+      expect(describeRunLimit('idle-timeout', limits)).toMatchObject({
+        hasError: true,
+        category: 'idle-timeout',
+        message: 'Stream stalled: no output for 3ms (idle timeout)'
+      });
+      expect(describeRunLimit('output-limit', limits).message).toBe('Output exceeded 4 bytes (output limit)');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Run Queue
+ *
+ * Persistent priority queue for AI runs. Queued and in-flight run IDs are
+ * written to disk so pending work can be resumed after a server restart.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Create a run queue backed by a JSON file
+ */
+export function createRunQueue(config = {}) {
+  const {
+    queuePath = './data/run-queue.json'
+  } = config;
+
+  // queued: ordered by priority (desc), then FIFO within the same priority
+  let state = { queued: [], running: [] };
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Load queue state from disk
+   */
+  async function loadQueue() {
+    if (!existsSync(queuePath)) {
+      return { queued: [], running: [] };
+    }
+    const content = await readFile(queuePath, 'utf-8');
+    const parsed = JSON.parse(content);
+    return {
+      queued: Array.isArray(parsed?.queued) ? parsed.queued : [],
+      running: Array.isArray(parsed?.running) ? parsed.running : []
+    };
+  }
+
+  /**
+   * Persist queue state (writes are serialized so the last state always wins)
+   */
+  function persist() {
+    const snapshot = JSON.stringify(state, null, 2);
+    pendingWrite = pendingWrite
+      .then(async () => {
+        const dir = dirname(queuePath);
+        if (!existsSync(dir)) {
+          await mkdir(dir, { recursive: true });
+        }
+        await writeFile(queuePath, snapshot);
+      })
+      .catch(err => {
+        console.error(`❌ Failed to persist run queue: ${err.message}`);
+      });
+    return pendingWrite;
+  }
+
+  return {
+    /**
+     * Load persisted state. Returns the loaded state so the caller can
+     * recover runs that were in flight when the process stopped.
+     */
+    async init() {
+      state = await loadQueue().catch(() => ({ queued: [], running: [] }));
+      return { queued: [...state.queued], running: [...state.running] };
+    },
+
+    /**
+     * Add a run to the queue. Higher priority runs are dequeued first.
+     */
+    enqueue(runId, priority = 0) {
+      const entry = { runId, priority, enqueuedAt: new Date().toISOString() };
+      let index = state.queued.length;
+      while (index > 0 && state.queued[index - 1].priority < priority) {
+        index--;
+      }
+      state.queued.splice(index, 0, entry);
+      persist();
+      return index + 1;
+    },
+
+    /**
+     * Take the next queued run and mark it as running
+     */
+    next() {
+      const entry = state.queued.shift();
+      if (!entry) return null;
+      state.running.push(entry.runId);
+      persist();
+      return entry;
+    },
+
+    /**
+     * Remove a run that has not started yet
+     */
+    remove(runId) {
+      const index = state.queued.findIndex(e => e.runId === runId);
+      if (index === -1) return false;
+      state.queued.splice(index, 1);
+      persist();
+      return true;
+    },
+
+    /**
+     * Release the slot held by a running run
+     */
+    complete(runId) {
+      const before = state.running.length;
+      state.running = state.running.filter(id => id !== runId);
+      if (state.running.length !== before) {
+        persist();
+      }
+    },
+
+    /**
+     * Get the 1-based position of a queued run, or null if not queued
+     */
+    getPosition(runId) {
+      const index = state.queued.findIndex(e => e.runId === runId);
+      return index === -1 ? null : index + 1;
+    },
+
+    isQueued(runId) {
+      return state.queued.some(e => e.runId === runId);
+    },
+
+    getRunningCount() {
+      return state.running.length;
+    },
+
+    getQueuedCount() {
+      return state.queued.length;
+    },
+
+    /**
+     * List queued entries in dispatch order
+     */
+    list() {
+      return state.queued.map((entry, index) => ({ ...entry, position: index + 1 }));
+    },
+
+    /**
+     * Wait for pending disk writes to finish
+     */
+    flush() {
+      return pendingWrite;
+    }
+  };
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createRunQueue } from './runQueue.js';
+
+const TEST_DATA_DIR = join(process.cwd(), 'test-data-queue');
+const QUEUE_PATH = join(TEST_DATA_DIR, 'run-queue.json');
+
+describe('Run Queue', () => {
+  let queue;
+
+  beforeEach(async () => {
+    if (!existsSync(TEST_DATA_DIR)) {
+      await mkdir(TEST_DATA_DIR, { recursive: true });
+    }
+    queue = createRunQueue({ queuePath: QUEUE_PATH });
+    await queue.init();
+  });
+
+  afterEach(async () => {
+    await queue.flush();
+    if (existsSync(TEST_DATA_DIR)) {
+      await rm(TEST_DATA_DIR, { recursive: true });
+    }
+  });
+
+  it('should dequeue runs in FIFO order', () => {
+    queue.enqueue('run-1');
+    queue.enqueue('run-2');
+    queue.enqueue('run-3');
+
+    expect(queue.next().runId).toBe('run-1');
+    expect(queue.next().runId).toBe('run-2');
+    expect(queue.next().runId).toBe('run-3');
+    expect(queue.next()).toBeNull();
+  });
+
+  it('should dequeue higher priority runs first', () => {
+    queue.enqueue('low', 0);
+    queue.enqueue('high', 10);
+    queue.enqueue('medium', 5);
+    queue.enqueue('high-2', 10);
+
+    expect(queue.list().map(e => e.runId)).toEqual(['high', 'high-2', 'medium', 'low']);
+  });
+
+  it('should report queue positions', () => {
+    queue.enqueue('run-1');
+    queue.enqueue('run-2');
+
+    expect(queue.getPosition('run-1')).toBe(1);
+    expect(queue.getPosition('run-2')).toBe(2);
+    expect(queue.getPosition('unknown')).toBeNull();
+
+    queue.next();
+    expect(queue.getPosition('run-1')).toBeNull();
+    expect(queue.getPosition('run-2')).toBe(1);
+  });
+
+  it('should track running slots', () => {
+    queue.enqueue('run-1');
+    queue.next();
+    expect(queue.getRunningCount()).toBe(1);
+
+    queue.complete('run-1');
+    expect(queue.getRunningCount()).toBe(0);
+  });
+
+  it('should remove queued runs', () => {
+    queue.enqueue('run-1');
+    expect(queue.remove('run-1')).toBe(true);
+    expect(queue.remove('run-1')).toBe(false);
+    expect(queue.getQueuedCount()).toBe(0);
+  });
+
+  it('should persist state across instances', async () => {
+    queue.enqueue('run-1');
+    queue.enqueue('run-2', 1);
+    queue.next();
+    await queue.flush();
+
+    const saved = JSON.parse(await readFile(QUEUE_PATH, 'utf-8'));
+    expect(saved.running).toEqual(['run-2']);
+
+    const restored = createRunQueue({ queuePath: QUEUE_PATH });
+    const state = await restored.init();
+    expect(state.running).toEqual(['run-2']);
+    expect(restored.getPosition('run-1')).toBe(1);
+  });
+});
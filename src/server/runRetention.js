@@ -0,0 +1,63 @@
+/**
+ * Run Retention
+ *
+ * Decides which runs a retention policy removes. Age limits come first
+ * (maxAgeDays, or keepFailedDays for failed runs), then the caps on run count
+ * (maxRuns) and total size (maxTotalBytes) remove the oldest remaining runs.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_REASONS = {
+  MAX_AGE: 'max-age',
+  FAILED_AGE: 'failed-age',
+  MAX_RUNS: 'max-runs',
+  MAX_SIZE: 'max-size'
+};
+
+/**
+ * Whether a policy sets any limit (unset and null limits are disabled)
+ */
+export function hasRetentionLimits(policy = {}) {
+  return ['maxAgeDays', 'keepFailedDays', 'maxRuns', 'maxTotalBytes'].some(key => policy[key] != null);
+}
+
+/**
+ * Plan the runs a policy deletes. runs are the metadata of every run, with
+ * `size` in bytes when maxTotalBytes is set; runs rejected by isDeletable
+ * (e.g. still in progress) are kept but still count towards the caps.
+ * Returns [{ run, reason }], oldest first.
+ */
+export function planRunPruning(runs, policy = {}, { now = Date.now(), isDeletable = () => true } = {}) {
+  const { maxAgeDays, keepFailedDays, maxRuns, maxTotalBytes } = policy;
+  const oldestFirst = [...runs].sort((a, b) =>
+    (a.startTime || '').localeCompare(b.startTime || '') || a.id.localeCompare(b.id));
+  const reasons = new Map(); // run ID -> reason it is deleted
+
+  for (const run of oldestFirst) {
+    if (!isDeletable(run)) continue;
+    const age = now - Date.parse(run.startTime);
+    if (run.success === false && keepFailedDays != null) {
+      if (age > keepFailedDays * DAY_MS) reasons.set(run.id, RETENTION_REASONS.FAILED_AGE);
+    } else if (maxAgeDays != null && age > maxAgeDays * DAY_MS) {
+      reasons.set(run.id, RETENTION_REASONS.MAX_AGE);
+    }
+  }
+
+  const kept = oldestFirst.filter(run => !reasons.has(run.id));
+  let count = kept.length;
+  let size = kept.reduce((total, run) => total + (run.size || 0), 0);
+
+  for (const run of kept) {
+    const overCount = maxRuns != null && count > maxRuns;
+    const overSize = maxTotalBytes != null && size > maxTotalBytes;
+    if (!overCount && !overSize) break;
+    if (!isDeletable(run)) continue;
+
+    reasons.set(run.id, overCount ? RETENTION_REASONS.MAX_RUNS : RETENTION_REASONS.MAX_SIZE);
+    count--;
+    size -= run.size || 0;
+  }
+
+  return oldestFirst.filter(run => reasons.has(run.id)).map(run => ({ run, reason: reasons.get(run.id) }));
+}
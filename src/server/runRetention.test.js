@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { planRunPruning, hasRetentionLimits } from './runRetention.js';
+
+const NOW = Date.parse('2026-03-31T00:00:00Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+const makeRun = (id, days, fields = {}) => ({ id, startTime: daysAgo(days), success: true, size: 100, ...fields });
+
+const plan = (runs, policy, options = {}) =>
+  planRunPruning(runs, policy, { now: NOW, ...options }).map(({ run, reason }) => [run.id, reason]);
+
+describe('Run Retention', () => {
+  it('should detect whether a policy sets any limit', () => {
+    expect(hasRetentionLimits({})).toBe(false);
+    expect(hasRetentionLimits({ maxRuns: null })).toBe(false);
+    expect(hasRetentionLimits({ maxRuns: 0 })).toBe(true);
+  });
+
+  it('should delete nothing without limits', () => {
+    expect(plan([makeRun('old', 400)], {})).toEqual([]);
+  });
+
+  it('should delete runs older than maxAgeDays', () => {
+    const runs = [makeRun('recent', 5), makeRun('old', 40)];
+
+    expect(plan(runs, { maxAgeDays: 30 })).toEqual([['old', 'max-age']]);
+  });
+
+  it('should apply keepFailedDays to failed runs instead of maxAgeDays', () => {
+    const runs = [
+      makeRun('failed-recent', 2, { success: false }),
+      makeRun('failed-old', 10, { success: false }),
+      makeRun('ok', 10)
+    ];
+
+    expect(plan(runs, { maxAgeDays: 30, keepFailedDays: 7 })).toEqual([['failed-old', 'failed-age']]);
+    expect(plan(runs, { maxAgeDays: 5, keepFailedDays: 60 })).toEqual([['ok', 'max-age']]);
+  });
+
+  it('should delete the oldest runs beyond maxRuns', () => {
+    const runs = [makeRun('a', 3), makeRun('b', 2), makeRun('c', 1)];
+
+    expect(plan(runs, { maxRuns: 1 })).toEqual([['a', 'max-runs'], ['b', 'max-runs']]);
+  });
+
+  it('should delete the oldest runs until under maxTotalBytes', () => {
+    const runs = [makeRun('a', 3, { size: 500 }), makeRun('b', 2, { size: 300 }), makeRun('c', 1, { size: 300 })];
+
+    expect(plan(runs, { maxTotalBytes: 700 })).toEqual([['a', 'max-size']]);
+    expect(plan(runs, { maxTotalBytes: 300 })).toEqual([['a', 'max-size'], ['b', 'max-size']]);
+  });
+
+  it('should count runs removed by age towards the caps', () => {
+    const runs = [makeRun('old', 40), makeRun('b', 2), makeRun('c', 1)];
+
+    expect(plan(runs, { maxAgeDays: 30, maxRuns: 2 })).toEqual([['old', 'max-age']]);
+  });
+
+  it('should keep runs that are not deletable but count them', () => {
+    const runs = [makeRun('active', 40, { success: null }), makeRun('b', 2), makeRun('c', 1)];
+    const isDeletable = run => run.success !== null;
+
+    expect(plan(runs, { maxAgeDays: 30, maxRuns: 2 }, { isDeletable })).toEqual([['b', 'max-runs']]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Run Lifecycle
+ *
+ * The statuses a run moves through and the transitions allowed between them:
+ * queued → starting → running → succeeded / failed / cancelled / timed_out,
+ * with `interrupted` for runs cut short by a server restart. Every transition
+ * is recorded in the run's `statusHistory`.
+ */
+
+export const RUN_STATUSES = {
+  QUEUED: 'queued',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  TIMED_OUT: 'timed_out',
+  INTERRUPTED: 'interrupted'
+};
+
+/**
+ * Allowed next statuses for each status. A finished attempt can be reopened:
+ * re-queued for a retry or a schema repair turn, failed by schema validation,
+ * or set running again while a fallback provider takes over.
+ */
+const TRANSITIONS = {
+  queued: ['starting', 'cancelled', 'interrupted'],
+  starting: ['running', 'failed', 'cancelled', 'interrupted'],
+  running: ['succeeded', 'failed', 'cancelled', 'timed_out', 'interrupted'],
+  succeeded: ['queued', 'failed'],
+  failed: ['queued', 'running'],
+  timed_out: ['queued'],
+  cancelled: [],
+  interrupted: []
+};
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled', 'timed_out', 'interrupted'];
+
+export function isRunStatus(status) {
+  return Object.hasOwn(TRANSITIONS, status);
+}
+
+export function isTerminalRunStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether a run may move from one status to another. Runs without a status
+ * (created before statuses were tracked) may move to any status.
+ */
+export function canTransitionRun(from, to) {
+  if (!isRunStatus(to)) return false;
+  if (!from) return true;
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+/**
+ * Move run metadata to a new status, appending { status, at } to its
+ * statusHistory. Returns the transition { from, to, at }, or null when the
+ * status is unchanged or the transition is not allowed (metadata is left as is).
+ */
+export function applyRunStatus(metadata, status, at = new Date().toISOString()) {
+  const from = metadata.status ?? null;
+  if (from === status || !canTransitionRun(from, status)) return null;
+
+  metadata.status = status;
+  metadata.statusHistory = [...(metadata.statusHistory || []), { status, at }];
+  return { from, to: status, at };
+}
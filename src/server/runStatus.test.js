@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { RUN_STATUSES, isRunStatus, isTerminalRunStatus, canTransitionRun, applyRunStatus } from './runStatus.js';
+
+describe('runStatus', () => {
+  describe('canTransitionRun', () => {
+    it('should follow the run lifecycle', () => {
+      expect(canTransitionRun('queued', 'starting')).toBe(true);
+      expect(canTransitionRun('starting', 'running')).toBe(true);
+      expect(canTransitionRun('running', 'timed_out')).toBe(true);
+      expect(canTransitionRun('queued', 'succeeded')).toBe(false);
+      expect(canTransitionRun('running', 'starting')).toBe(false);
+    });
+
+    it('should never leave cancelled or interrupted', () => {
+      for (const status of Object.values(RUN_STATUSES)) {
+        expect(canTransitionRun('cancelled', status)).toBe(false);
+        expect(canTransitionRun('interrupted', status)).toBe(false);
+      }
+    });
+
+    it('should allow any known status for runs without one', () => {
+      expect(canTransitionRun(undefined, 'failed')).toBe(true);
+      expect(canTransitionRun(null, 'bogus')).toBe(false);
+    });
+  });
+
+  describe('applyRunStatus', () => {
+    it('should record the transition in statusHistory', () => {
+      const metadata = { status: 'queued', statusHistory: [{ status: 'queued', at: '2026-01-01T00:00:00.000Z' }] };
+
+      const transition = applyRunStatus(metadata, 'starting', '2026-01-01T00:00:01.000Z');
+
+      expect(transition).toEqual({ from: 'queued', to: 'starting', at: '2026-01-01T00:00:01.000Z' });
+      expect(metadata.status).toBe('starting');
+      expect(metadata.statusHistory).toEqual([
+        { status: 'queued', at: '2026-01-01T00:00:00.000Z' },
+        { status: 'starting', at: '2026-01-01T00:00:01.000Z' }
+      ]);
+    });
+
+    it('should leave metadata unchanged for invalid or repeated transitions', () => {
+      const metadata = { status: 'cancelled', statusHistory: [] };
+
+      expect(applyRunStatus(metadata, 'running')).toBeNull();
+      expect(applyRunStatus(metadata, 'cancelled')).toBeNull();
+      expect(metadata).toEqual({ status: 'cancelled', statusHistory: [] });
+    });
+  });
+
+  it('should identify statuses and terminal statuses', () => {
+    expect(isRunStatus('timed_out')).toBe(true);
+    expect(isRunStatus('done')).toBe(false);
+    expect(isTerminalRunStatus('interrupted')).toBe(true);
+    expect(isTerminalRunStatus('running')).toBe(false);
+  });
+});
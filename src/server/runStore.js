@@ -0,0 +1,288 @@
+/**
+ * Run Store
+ *
+ * Locates run directories and maintains an index of run metadata so runs can
+ * be listed without reading every metadata.json. New runs get time-ordered
+ * (UUIDv7) IDs and live in date shards (runs/YYYY-MM-DD/<id>); runs created
+ * before sharding keep their flat runs/<id> directories.
+ *
+ * The index is an append-only JSONL file: a version header, then one line per
+ * metadata write ({ id, ...metadata }) or deletion ({ id, deleted: true }).
+ * It is replayed into memory on first use, compacted when superseded lines
+ * pile up, and rebuilt from the run directories when missing or unreadable.
+ */
+
+import { mkdir, readFile, writeFile, appendFile, readdir, rename, stat } from 'fs/promises';
+import { join } from 'path';
+import { randomBytes } from 'node:crypto';
+
+const INDEX_VERSION = 1;
+const SHARD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_V7_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Create a UUIDv7 run ID: a 48-bit millisecond timestamp followed by random
+ * bits, so IDs sort by creation time and carry their shard date
+ */
+export function createRunId(now = Date.now()) {
+  const bytes = randomBytes(16);
+  bytes.writeUIntBE(now, 0, 6);
+  bytes[6] = (bytes[6] & 0x0f) | 0x70;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Date shard (YYYY-MM-DD, UTC) of a run ID, or null for IDs without a timestamp
+ */
+export function getRunShard(runId) {
+  if (!UUID_V7_PATTERN.test(runId)) return null;
+  const timestamp = parseInt(runId.replace(/-/g, '').slice(0, 12), 16);
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Encode a list position as an opaque cursor
+ */
+function encodeCursor(run) {
+  return Buffer.from(JSON.stringify([run.startTime, run.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor into [startTime, id], or null when it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Array.isArray(position) && position.length === 2 ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Newest first, with the ID as a tie-breaker so the order is total
+ */
+function compareRuns(a, b) {
+  return (b.startTime || '').localeCompare(a.startTime || '') || b.id.localeCompare(a.id);
+}
+
+/**
+ * Total size in bytes of the files under a directory (0 when it is missing)
+ */
+async function getDirSize(dir) {
+  const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  let size = 0;
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    size += entry.isDirectory()
+      ? await getDirSize(path)
+      : (await stat(path).catch(() => null))?.size ?? 0;
+  }
+  return size;
+}
+
+/**
+ * Create a run store rooted at runsPath
+ */
+export function createRunStore(runsPath, { indexFile = 'index.jsonl' } = {}) {
+  const indexPath = join(runsPath, indexFile);
+  const entries = new Map(); // run ID -> latest metadata
+  let lineCount = 0;
+  let loading = null;
+  let writes = Promise.resolve(); // Index file operations run one at a time
+
+  const enqueue = (operation) => {
+    const result = writes.then(operation);
+    writes = result.catch(err => {
+      console.error(`❌ Run index write failed: ${err.message}`);
+    });
+    return result;
+  };
+
+  /**
+   * Read the metadata of every run directory, sharded or flat
+   */
+  async function scanRuns() {
+    const runs = [];
+    const readRun = async (dir) => {
+      const content = await readFile(join(dir, 'metadata.json'), 'utf-8').catch(() => null);
+      if (!content) return;
+      try {
+        const metadata = JSON.parse(content);
+        if (metadata.id) runs.push(metadata);
+      } catch {
+        // Skip unreadable metadata
+      }
+    };
+
+    const top = await readdir(runsPath, { withFileTypes: true }).catch(() => []);
+    for (const entry of top.filter(e => e.isDirectory())) {
+      if (!SHARD_PATTERN.test(entry.name)) {
+        await readRun(join(runsPath, entry.name));
+        continue;
+      }
+      const shard = await readdir(join(runsPath, entry.name), { withFileTypes: true }).catch(() => []);
+      for (const run of shard.filter(e => e.isDirectory())) {
+        await readRun(join(runsPath, entry.name, run.name));
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Rewrite the index file from the in-memory entries
+   */
+  async function writeIndex() {
+    const lines = [JSON.stringify({ version: INDEX_VERSION }), ...[...entries.values()].map(run => JSON.stringify(run))];
+    const tempPath = `${indexPath}.tmp`;
+    await mkdir(runsPath, { recursive: true });
+    await writeFile(tempPath, `${lines.join('\n')}\n`);
+    await rename(tempPath, indexPath);
+    lineCount = lines.length;
+  }
+
+  /**
+   * Replay the index file, returning false when it is missing or not a valid index
+   */
+  async function replayIndex() {
+    const content = await readFile(indexPath, 'utf-8').catch(() => null);
+    if (!content) return false;
+
+    const lines = content.split('\n').filter(Boolean);
+    const header = (() => {
+      try {
+        return JSON.parse(lines[0]);
+      } catch {
+        return null;
+      }
+    })();
+    if (header?.version !== INDEX_VERSION) return false;
+
+    for (const line of lines.slice(1)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // A torn final line from an interrupted append
+      }
+      if (entry.deleted) {
+        entries.delete(entry.id);
+      } else if (entry.id) {
+        entries.set(entry.id, entry);
+      }
+    }
+    lineCount = lines.length;
+    return true;
+  }
+
+  const store = {
+    /**
+     * Directory of a run: its date shard, or the flat directory of older runs
+     */
+    dirFor(runId) {
+      const shard = getRunShard(runId);
+      return shard ? join(runsPath, shard, runId) : join(runsPath, runId);
+    },
+
+    /**
+     * Disk usage of a run's directory in bytes
+     */
+    sizeOf(runId) {
+      return getDirSize(store.dirFor(runId));
+    },
+
+    /**
+     * Load the index into memory, rebuilding it when needed. Safe to call repeatedly.
+     */
+    load() {
+      loading ??= enqueue(async () => {
+        if (await replayIndex()) {
+          if (lineCount > entries.size * 2 + 100) await writeIndex();
+          return;
+        }
+        console.log('🗂️ Building run index');
+        entries.clear();
+        for (const run of await scanRuns()) entries.set(run.id, run);
+        await writeIndex();
+      });
+      return loading;
+    },
+
+    /**
+     * Rebuild the index from the run directories
+     */
+    async rebuild() {
+      await store.load();
+      return enqueue(async () => {
+        entries.clear();
+        for (const run of await scanRuns()) entries.set(run.id, run);
+        await writeIndex();
+        return entries.size;
+      });
+    },
+
+    /**
+     * Record a run's latest metadata
+     */
+    async upsert(metadata) {
+      if (!metadata?.id) return;
+      await store.load();
+      entries.set(metadata.id, { ...metadata });
+      return enqueue(async () => {
+        await appendFile(indexPath, `${JSON.stringify(metadata)}\n`);
+        lineCount++;
+        if (lineCount > entries.size * 2 + 100) await writeIndex();
+      });
+    },
+
+    async remove(runId) {
+      await store.load();
+      if (!entries.delete(runId)) return;
+      return enqueue(async () => {
+        await appendFile(indexPath, `${JSON.stringify({ id: runId, deleted: true })}\n`);
+        lineCount++;
+      });
+    },
+
+    /**
+     * Indexed metadata of every run, in no particular order
+     */
+    async all() {
+      await store.load();
+      return [...entries.values()];
+    },
+
+    /**
+     * List runs newest first. filter(run) selects runs and may be async;
+     * pagination continues from an opaque cursor (returned as nextCursor) or
+     * skips offset runs. Returns { total, runs, nextCursor }.
+     */
+    async list({ limit = 50, offset = 0, cursor = null, filter = () => true } = {}) {
+      await store.load();
+      const matching = [];
+      for (const run of [...entries.values()].sort(compareRuns)) {
+        if (await filter(run)) matching.push(run);
+      }
+
+      let start = offset;
+      const position = cursor ? decodeCursor(cursor) : null;
+      if (position) {
+        const after = { startTime: position[0], id: position[1] };
+        const index = matching.findIndex(run => compareRuns(after, run) < 0);
+        start = index === -1 ? matching.length : index;
+      }
+
+      const runs = matching.slice(start, start + limit);
+      const hasMore = start + limit < matching.length;
+      return {
+        total: matching.length,
+        runs,
+        nextCursor: hasMore && runs.length > 0 ? encodeCursor(runs[runs.length - 1]) : null
+      };
+    }
+  };
+
+  return store;
+}
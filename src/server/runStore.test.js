@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm, readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { createRunStore, createRunId, getRunShard } from './runStore.js';
+
+const TEST_RUNS_DIR = join(process.cwd(), 'test-data-store');
+const INDEX_PATH = join(TEST_RUNS_DIR, 'index.jsonl');
+
+const makeRun = (id, startTime, fields = {}) => ({ id, startTime, source: 'devtools', status: 'succeeded', ...fields });
+
+/**
+ * Write a run directory with its metadata, as the runner does
+ */
+async function writeRunDir(store, metadata) {
+  const dir = store.dirFor(metadata.id);
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, 'metadata.json'), JSON.stringify(metadata));
+}
+
+describe('Run Store', () => {
+  let store;
+
+  beforeEach(async () => {
+    await mkdir(TEST_RUNS_DIR, { recursive: true });
+    store = createRunStore(TEST_RUNS_DIR);
+  });
+
+  afterEach(async () => {
+    if (existsSync(TEST_RUNS_DIR)) {
+      await rm(TEST_RUNS_DIR, { recursive: true });
+    }
+  });
+
+  describe('run IDs and shards', () => {
+    it('should create time-ordered UUIDv7 IDs', () => {
+      const earlier = createRunId(Date.parse('2026-03-01T10:00:00Z'));
+      const later = createRunId(Date.parse('2026-03-01T10:00:01Z'));
+
+      expect(earlier).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(earlier < later).toBe(true);
+    });
+
+    it('should shard new runs by their creation date', () => {
+      const runId = createRunId(Date.parse('2026-03-01T23:59:00Z'));
+
+      expect(getRunShard(runId)).toBe('2026-03-01');
+      expect(store.dirFor(runId)).toBe(join(TEST_RUNS_DIR, '2026-03-01', runId));
+    });
+
+    it('should keep older runs in flat directories', () => {
+      const runId = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+
+      expect(getRunShard(runId)).toBeNull();
+      expect(store.dirFor(runId)).toBe(join(TEST_RUNS_DIR, runId));
+    });
+  });
+
+  describe('index', () => {
+    it('should build the index from sharded and flat run directories', async () => {
+      const sharded = makeRun(createRunId(Date.parse('2026-03-02T00:00:00Z')), '2026-03-02T00:00:00.000Z');
+      const legacy = makeRun('1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed', '2026-01-01T00:00:00.000Z');
+      await writeRunDir(store, sharded);
+      await writeRunDir(store, legacy);
+
+      const { total, runs } = await store.list();
+
+      expect(total).toBe(2);
+      expect(runs.map(run => run.id)).toEqual([sharded.id, legacy.id]);
+      expect(existsSync(INDEX_PATH)).toBe(true);
+    });
+
+    it('should list from the index without reading run directories', async () => {
+      await store.upsert(makeRun('run-1', '2026-03-01T00:00:00.000Z'));
+      await store.upsert(makeRun('run-1', '2026-03-01T00:00:00.000Z', { status: 'failed' }));
+
+      const reloaded = createRunStore(TEST_RUNS_DIR);
+      const { runs } = await reloaded.list();
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0].status).toBe('failed');
+    });
+
+    it('should drop removed runs', async () => {
+      await store.upsert(makeRun('run-1', '2026-03-01T00:00:00.000Z'));
+      await store.upsert(makeRun('run-2', '2026-03-02T00:00:00.000Z'));
+      await store.remove('run-1');
+
+      const reloaded = createRunStore(TEST_RUNS_DIR);
+      const { runs } = await reloaded.list();
+
+      expect(runs.map(run => run.id)).toEqual(['run-2']);
+    });
+
+    it('should compact the index when superseded lines pile up', async () => {
+      for (let i = 0; i < 120; i++) {
+        await store.upsert(makeRun('run-1', '2026-03-01T00:00:00.000Z', { outputSize: i }));
+      }
+
+      const lines = (await readFile(INDEX_PATH, 'utf-8')).split('\n').filter(Boolean);
+      expect(lines.length).toBeLessThan(100);
+
+      const reloaded = createRunStore(TEST_RUNS_DIR);
+      const { runs } = await reloaded.list();
+      expect(runs[0].outputSize).toBe(119);
+    });
+
+    it('should rebuild an index that is not a valid index file', async () => {
+      const run = makeRun(createRunId(), new Date().toISOString());
+      await writeRunDir(store, run);
+      await writeFile(INDEX_PATH, `${JSON.stringify({ id: 'stray' })}\n`);
+
+      const { runs } = await store.list();
+
+      expect(runs.map(r => r.id)).toEqual([run.id]);
+    });
+
+    it('should skip a torn final line', async () => {
+      await store.upsert(makeRun('run-1', '2026-03-01T00:00:00.000Z'));
+      await writeFile(INDEX_PATH, `${await readFile(INDEX_PATH, 'utf-8')}{"id":"run-2","sta`);
+
+      const reloaded = createRunStore(TEST_RUNS_DIR);
+      const { runs } = await reloaded.list();
+
+      expect(runs.map(run => run.id)).toEqual(['run-1']);
+    });
+
+    it('should rebuild on demand', async () => {
+      await store.upsert(makeRun('gone', '2026-03-01T00:00:00.000Z'));
+      const run = makeRun(createRunId(), new Date().toISOString());
+      await writeRunDir(store, run);
+
+      expect(await store.rebuild()).toBe(1);
+      expect((await store.list()).runs.map(r => r.id)).toEqual([run.id]);
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 5; i++) {
+        await store.upsert(makeRun(`run-${i}`, `2026-03-0${i}T00:00:00.000Z`, { status: i % 2 ? 'succeeded' : 'failed' }));
+      }
+    });
+
+    it('should page through runs with a cursor', async () => {
+      const first = await store.list({ limit: 2 });
+      const second = await store.list({ limit: 2, cursor: first.nextCursor });
+      const third = await store.list({ limit: 2, cursor: second.nextCursor });
+
+      expect(first.runs.map(run => run.id)).toEqual(['run-5', 'run-4']);
+      expect(second.runs.map(run => run.id)).toEqual(['run-3', 'run-2']);
+      expect(third.runs.map(run => run.id)).toEqual(['run-1']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('should keep cursor pages stable while new runs arrive', async () => {
+      const first = await store.list({ limit: 2 });
+      await store.upsert(makeRun('run-6', '2026-03-06T00:00:00.000Z'));
+
+      const second = await store.list({ limit: 2, cursor: first.nextCursor });
+
+      expect(second.runs.map(run => run.id)).toEqual(['run-3', 'run-2']);
+      expect(second.total).toBe(6);
+    });
+
+    it('should still support offsets', async () => {
+      const { runs } = await store.list({ limit: 2, offset: 3 });
+
+      expect(runs.map(run => run.id)).toEqual(['run-2', 'run-1']);
+    });
+
+    it('should apply the filter before paging', async () => {
+      const { total, runs, nextCursor } = await store.list({ limit: 1, filter: run => run.status === 'failed' });
+
+      expect(total).toBe(2);
+      expect(runs.map(run => run.id)).toEqual(['run-4']);
+      expect((await store.list({ limit: 1, cursor: nextCursor, filter: run => run.status === 'failed' })).runs[0].id).toBe('run-2');
+    });
+
+    it('should order runs with the same start time by ID', async () => {
+      await store.upsert(makeRun('run-a', '2026-03-09T00:00:00.000Z'));
+      await store.upsert(makeRun('run-b', '2026-03-09T00:00:00.000Z'));
+
+      const first = await store.list({ limit: 1 });
+      const second = await store.list({ limit: 1, cursor: first.nextCursor });
+
+      expect([first.runs[0].id, second.runs[0].id]).toEqual(['run-b', 'run-a']);
+    });
+  });
+});
@@ -1,9 +1,94 @@
-import { mkdir, writeFile, readFile, readdir, rm } from 'fs/promises';
+import { mkdir, mkdtemp, writeFile, readFile, readdir, rm, appendFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import { join, extname } from 'path';
+import { join, extname, basename } from 'path';
+import { tmpdir } from 'os';
 import { spawn } from 'child_process';
-import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'events';
 import { analyzeError, analyzeHttpError, ERROR_CATEGORIES } from './errorDetection.js';
+import { createRunQueue } from './runQueue.js';
+import { RUN_STATUSES, applyRunStatus, isTerminalRunStatus } from './runStatus.js';
+import { createRunWatchdog } from './runLimits.js';
+import { createRunStore, createRunId } from './runStore.js';
+import { matchesRunFilters } from './runFilters.js';
+import { planRunPruning, hasRetentionLimits } from './runRetention.js';
+import {
+  RUN_ARCHIVE_FORMAT,
+  RUN_ARCHIVE_VERSION,
+  RUN_IMPORT_CONFLICT_MODES,
+  readLines,
+  parseArchiveLine,
+  remapRunReferences
+} from './runArchive.js';
+import { validate, runArchiveHeaderSchema, runArchiveEntrySchema } from './validation.js';
+import {
+  CLI_OUTPUT_FORMATS,
+  getOutputFormatArgs,
+  createCliOutputParser,
+  normalizeOpenAIUsage,
+  normalizeAnthropicUsage,
+  mergeAnthropicUsage,
+  normalizeGeminiUsage,
+  normalizeOllamaUsage,
+  calculateCost
+} from './usage.js';
+import {
+  DEFAULT_ANTHROPIC_ENDPOINT,
+  getAnthropicHeaders,
+  toAnthropicMessages,
+  toAnthropicParams
+} from './anthropic.js';
+import {
+  DEFAULT_GEMINI_ENDPOINT,
+  getGeminiHeaders,
+  toGeminiContents,
+  toGeminiGenerationConfig
+} from './gemini.js';
+import {
+  getOllamaBaseUrl,
+  toOllamaMessages,
+  toOllamaParams,
+  toOllamaStats
+} from './ollama.js';
+import {
+  isZodSchema,
+  toJsonSchema,
+  validateJsonSchema,
+  findInvalidPatterns,
+  validateStructuredOutput,
+  buildSchemaInstruction,
+  buildRepairPrompt
+} from './structuredOutput.js';
+import {
+  supportsEmbeddings,
+  buildEmbeddingRequest,
+  parseEmbeddingResponse,
+  getEmbeddingCacheKey,
+  createEmbeddingCache
+} from './embeddings.js';
+import { readSseJson } from './sseParser.js';
+
+/**
+ * Default retry policy for transient errors. maxAttempts counts the first
+ * attempt, so the default of 1 disables retries unless a provider or run opts in.
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  jitter: 0.2,
+  retryOn: [ERROR_CATEGORIES.NETWORK_ERROR, ERROR_CATEGORIES.TIMEOUT, ERROR_CATEGORIES.RATE_LIMIT]
+};
+
+/**
+ * Status of a run aborted by the user or by a tripped limit
+ */
+const ABORT_STATUSES = {
+  stopped: RUN_STATUSES.CANCELLED,
+  [ERROR_CATEGORIES.TIMEOUT]: RUN_STATUSES.TIMED_OUT,
+  [ERROR_CATEGORIES.FIRST_TOKEN_TIMEOUT]: RUN_STATUSES.TIMED_OUT,
+  [ERROR_CATEGORIES.IDLE_TIMEOUT]: RUN_STATUSES.TIMED_OUT,
+  [ERROR_CATEGORIES.OUTPUT_LIMIT]: RUN_STATUSES.FAILED
+};
 
 /**
  * Create a runner service with configurable storage and hooks
@@ -16,11 +101,35 @@ export function createRunnerService(config = {}) {
     providerService,
     providerStatusService = null, // Optional: for rate limit/fallback handling
     hooks = {},
-    maxConcurrentRuns = 5
+    maxConcurrentRuns = 5,
+    maxFailoverAttempts = 2, // Fallback re-dispatches per run on usage/rate limits (0 disables)
+    retryPolicy = {}, // Overrides DEFAULT_RETRY_POLICY for every run
+    tools: initialTools = [], // Tools API runs can call: { name, description, parameters, handler }
+    maxToolRounds = 10, // Tool-calling round trips allowed per API run
+    killGracePeriodMs = 5000, // Wait after SIGTERM before SIGKILLing a stopped or timed-out CLI
+    embeddingBatchSize = 64, // Inputs sent per embeddings request
+    embeddingCacheDir = 'embeddings', // Cache of vectors under dataDir (null disables)
+    retention = {}, // { maxAgeDays, keepFailedDays, maxRuns, maxTotalBytes } enforced by a background sweeper
+    retentionSweepIntervalMs = 60 * 60 * 1000,
+    queueFile = 'run-queue.json'
   } = config;
 
   const RUNS_PATH = join(dataDir, runsDir);
   const activeRuns = new Map();
+  const abortReasons = new Map(); // API run ID -> { reason, errorAnalysis } of an abort, until it is recorded
+  const runWatchdogs = new Map(); // run ID -> watchdog enforcing the run's limits while it executes
+  const failoverAttempts = new Map(); // original run ID -> run ID of the attempt in progress
+  const pendingRetries = new Map(); // run ID -> cancels a retry waiting on its backoff delay
+  const startingRuns = new Map(); // run ID dispatched but not yet executing -> { stopRequested }
+  let retentionSweeper = null;
+  let initPromise = null; // Set by init so queue recovery runs once
+  let sweeping = false;
+  const zodSchemas = new Map(); // run ID -> zod response schema passed in-process (not persisted)
+  const tools = new Map(); // tool name -> { name, description, parameters, handler }
+  const events = new EventEmitter();
+  const queue = createRunQueue({ queuePath: join(dataDir, queueFile) });
+  const runStore = createRunStore(RUNS_PATH);
+  const embeddingCache = embeddingCacheDir ? createEmbeddingCache(join(dataDir, embeddingCacheDir)) : null;
 
   async function ensureRunsDir() {
     if (!existsSync(RUNS_PATH)) {
@@ -28,6 +137,13 @@ export function createRunnerService(config = {}) {
     }
   }
 
+  /**
+   * Screenshot paths are absolute or relative to screenshotsDir
+   */
+  function resolveScreenshotPath(imagePath) {
+    return imagePath.startsWith('/') ? imagePath : join(screenshotsDir, imagePath);
+  }
+
   /**
    * Get MIME type from file extension
    */
@@ -47,7 +163,7 @@ export function createRunnerService(config = {}) {
    * Load an image as base64 data URL
    */
   async function loadImageAsBase64(imagePath) {
-    const fullPath = imagePath.startsWith('/') ? imagePath : join(screenshotsDir, imagePath);
+    const fullPath = resolveScreenshotPath(imagePath);
 
     if (!existsSync(fullPath)) {
       throw new Error(`Image not found: ${fullPath}`);
@@ -58,6 +174,125 @@ export function createRunnerService(config = {}) {
     return `data:${mimeType};base64,${buffer.toString('base64')}`;
   }
 
+  /**
+   * Render a provider's modelArgs template (e.g. ["--model", "{{model}}"]) for a model.
+   * Returns an empty list when the provider has no template or no model is selected,
+   * so the CLI falls back to its own configured default.
+   */
+  function buildModelArgs(provider, model) {
+    if (!model || !provider.modelArgs?.length) return [];
+    return provider.modelArgs.map(arg => arg.replaceAll('{{model}}', model));
+  }
+
+  /**
+   * Quote a CLI argument for logging. CLIs are spawned without a shell,
+   * so this only makes empty values and spaces visible in the command line.
+   */
+  function quoteShellArg(arg) {
+    if (/^[A-Za-z0-9_\-.,:/=@+]+$/.test(arg)) return arg;
+    return `'${arg.replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * Abort an executing run, either stopped by the user or because a limit
+   * tripped (with the limit's error analysis). Returns false when the run is
+   * not executing.
+   */
+  function abortRun(runId, reason, errorAnalysis = null) {
+    const active = activeRuns.get(runId);
+    if (!active) return false;
+
+    if (active.stop) {
+      active.stop(reason, errorAnalysis);
+    } else {
+      abortReasons.set(runId, { reason, errorAnalysis });
+      active.abort();
+    }
+    return true;
+  }
+
+  /**
+   * Enforce a run's limits ({ timeout, firstTokenTimeout, idleTimeout,
+   * maxOutputBytes }) while it executes; a tripped limit aborts the run
+   */
+  function watchRun(runId, limits) {
+    const watchdog = createRunWatchdog(limits, (reason, errorAnalysis) => {
+      console.log(`⏱️ Run ${runId}: ${errorAnalysis.message}`);
+      abortRun(runId, reason, errorAnalysis);
+    });
+    runWatchdogs.set(runId, watchdog);
+    watchdog.start();
+    return watchdog;
+  }
+
+  /**
+   * Forget an executing run once it has finished
+   */
+  function releaseRun(runId) {
+    activeRuns.delete(runId);
+    abortReasons.delete(runId);
+    runWatchdogs.get(runId)?.stop();
+    runWatchdogs.delete(runId);
+  }
+
+  /**
+   * Send a signal to a CLI's process group (the CLI and everything it spawned),
+   * falling back to the process itself where process groups are unavailable.
+   * Signal 0 probes whether any member is still alive. Returns false when no
+   * process received the signal.
+   */
+  function signalProcessGroup(childProcess, signal) {
+    try {
+      process.kill(process.platform === 'win32' ? childProcess.pid : -childProcess.pid, signal);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Arguments carrying the prompt for a provider's promptDelivery mode:
+   * `arg` appends the prompt itself, `file` replaces {{promptFile}} in the
+   * provider args with the prompt file path (or appends the path), `stdin` adds nothing.
+   */
+  function buildPromptArgs(args, promptDelivery, prompt, promptFile) {
+    if (promptDelivery === 'stdin') return args;
+    if (promptDelivery === 'file') {
+      const templated = args.map(arg => arg.replaceAll('{{promptFile}}', promptFile));
+      return args.some(arg => arg.includes('{{promptFile}}')) ? templated : [...args, promptFile];
+    }
+    return [...args, prompt];
+  }
+
+  /**
+   * Build the child process environment for a CLI provider.
+   * Secret env vars (named in secretEnvVars) are injected from envVars when set;
+   * an empty placeholder never overrides a value inherited from the host environment.
+   */
+  function buildCliEnv(provider) {
+    const secretKeys = new Set(provider.secretEnvVars || []);
+    const env = { ...process.env };
+    for (const [key, value] of Object.entries(provider.envVars || {})) {
+      if (secretKeys.has(key) && !value) continue;
+      env[key] = value;
+    }
+    return env;
+  }
+
+  /**
+   * Map generation params to OpenAI-style chat completion fields, omitting unset values
+   */
+  function toChatCompletionParams(params = {}) {
+    const body = {
+      temperature: params.temperature,
+      max_tokens: params.maxTokens,
+      top_p: params.topP,
+      stop: params.stop,
+      seed: params.seed
+    };
+    return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined && value !== null));
+  }
+
   /**
    * Safe JSON parse with fallback
    */
@@ -94,380 +329,2055 @@ export function createRunnerService(config = {}) {
     }
   }
 
-  return {
-    /**
-     * Create a new run
-     */
-    async createRun(options) {
-      const {
-        providerId,
-        model,
-        prompt,
-        workspacePath = process.cwd(),
-        workspaceName = 'default',
-        timeout,
-        source = 'devtools',
-        fallbackProviderId = null // Optional: override for fallback
-      } = options;
+  /**
+   * Load screenshots as base64 data URLs, skipping any that fail to load
+   */
+  async function loadScreenshots(screenshots) {
+    if (!screenshots?.length) return [];
+    console.log(`📸 Loading ${screenshots.length} screenshots for vision API`);
+
+    const images = [];
+    for (const screenshotPath of screenshots) {
+      const imageDataUrl = await loadImageAsBase64(screenshotPath).catch(err => {
+        console.error(`❌ Failed to load screenshot ${screenshotPath}: ${err.message}`);
+        return null;
+      });
+      if (imageDataUrl) images.push(imageDataUrl);
+    }
+    return images;
+  }
 
-      if (!providerService) {
-        throw new Error('Provider service not configured');
-      }
+  /**
+   * POST a JSON body to an API provider. Connection failures resolve to
+   * { ok: false, error, status: 0 } so they are analyzed like HTTP errors.
+   */
+  function postJson(url, headers, body, signal) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      signal,
+      body: JSON.stringify(body)
+    }).catch(err => ({
+      ok: false,
+      // fetch wraps connection failures (ECONNREFUSED etc.) in err.cause
+      error: [err.message, err.cause?.code].filter(Boolean).join(': '),
+      status: 0
+    }));
+  }
 
-      // Check provider availability if status service is configured
-      let effectiveProviderId = providerId;
-      let usedFallback = false;
+  /**
+   * Analyze a failed API response, reading its body for better error detection
+   */
+  async function analyzeResponseError(response) {
+    let responseBody = response.error || '';
+    if (response.text) {
+      responseBody = await response.text().catch(() => response.error || '');
+    }
 
-      if (providerStatusService && !providerStatusService.isAvailable(providerId)) {
-        // Try to get a fallback provider
-        const allProviders = await providerService.getAllProviders();
-        const providersMap = {};
-        for (const p of allProviders.providers) {
-          providersMap[p.id] = p;
+    const errorAnalysis = analyzeHttpError({
+      status: response.status || 0,
+      statusText: response.statusText || '',
+      body: responseBody
+    });
+    return { errorAnalysis, responseBody };
+  }
+
+  /**
+   * Use collected reasoning as the output when a reasoning model returned no content.
+   * This handles models like DeepSeek-R1, gpt-oss-20b that separate thinking from final answer.
+   */
+  function applyReasoningFallback(output, reasoning, onData) {
+    if (output.trim() || !reasoning.trim()) return output;
+    console.log(`🧠 Reasoning model detected - using reasoning as output (${reasoning.length} chars)`);
+    onData?.({ text: reasoning, isReasoning: true });
+    return reasoning;
+  }
+
+  /**
+   * Record a successful API run: write its output and final metadata, then call hooks.
+   * `details` is merged into metadata (usage, reasoning flags, provider stats).
+   */
+  async function completeApiRun(runId, provider, startTime, output, details, onComplete) {
+    const runDir = runStore.dirFor(runId);
+    await writeFile(join(runDir, 'output.txt'), output);
+    releaseRun(runId);
+
+    const { usage = null, ...extra } = details;
+    const metadata = await readMetadata(runId);
+    Object.assign(metadata, {
+      endTime: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      exitCode: 0,
+      success: true,
+      termination: 'completed',
+      outputSize: Buffer.byteLength(output),
+      usage,
+      cost: calculateCost(usage, provider.pricing, metadata.model),
+      ...extra
+    });
+    await saveMetadata(runId, metadata, RUN_STATUSES.SUCCEEDED);
+
+    hooks.onRunCompleted?.(metadata, output);
+    onComplete?.(metadata);
+  }
+
+  /**
+   * Record a failed API run with its error analysis, then call hooks.
+   * Usage and rate limits are reported to the provider status service.
+   * Runs aborted by stopRun are recorded as cancelled, and runs aborted by a
+   * tripped limit with the limit's error analysis.
+   */
+  async function failApiRun(runId, provider, startTime, output, errorAnalysis, errorText, details, onComplete) {
+    const runDir = runStore.dirFor(runId);
+    const abort = abortReasons.get(runId);
+    releaseRun(runId);
+    const stopped = abort?.reason === 'stopped';
+    const analysis = stopped ? null : (abort?.errorAnalysis ?? errorAnalysis);
+
+    if (output) {
+      await writeFile(join(runDir, 'output.txt'), output).catch(() => {});
+    }
+
+    const { usage = null, ...extra } = details;
+    const metadata = await readMetadata(runId);
+    Object.assign(metadata, {
+      endTime: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      success: false,
+      termination: abort?.reason ?? 'completed',
+      error: stopped ? 'Stopped by user' : (analysis.message || errorText),
+      errorCategory: analysis?.category ?? null,
+      errorAnalysis: analysis,
+      outputSize: Buffer.byteLength(output),
+      usage,
+      cost: calculateCost(usage, provider.pricing, metadata.model),
+      ...extra
+    });
+
+    // Handle provider-level errors
+    if (analysis?.hasError &&
+        (analysis.category === ERROR_CATEGORIES.RATE_LIMIT ||
+         analysis.category === ERROR_CATEGORIES.USAGE_LIMIT)) {
+      await handleProviderError(provider.id, analysis, errorText);
+    }
+
+    await saveMetadata(runId, metadata, abort ? ABORT_STATUSES[abort.reason] : RUN_STATUSES.FAILED);
+
+    hooks.onRunFailed?.(metadata, metadata.error, output);
+    onComplete?.(metadata);
+  }
+
+  /**
+   * Embed texts with one provider: cached vectors are reused and the rest are
+   * requested in batches. HTTP failures throw with the error analysis attached
+   * after updating the provider's status.
+   */
+  async function embedWithProvider(provider, model, texts, { batchSize, useCache }) {
+    const cache = useCache ? embeddingCache : null;
+    const keys = texts.map(text => getEmbeddingCacheKey(provider.id, model, text));
+    const embeddings = cache ? await Promise.all(keys.map(key => cache.get(key))) : texts.map(() => null);
+    const missing = texts.map((_, index) => index).filter(index => !embeddings[index]);
+    let promptTokens = 0;
+
+    for (let start = 0; start < missing.length; start += batchSize) {
+      const batch = missing.slice(start, start + batchSize);
+      const { url, headers, body } = buildEmbeddingRequest(provider, model, batch.map(index => texts[index]));
+
+      // The provider timeout bounds each batch, response body included
+      const controller = new AbortController();
+      const timer = provider.timeout ? setTimeout(() => controller.abort(), provider.timeout) : null;
+      const timedOut = () => new Error(`Embedding request timed out after ${provider.timeout}ms`);
+      let data;
+      try {
+        const response = await postJson(url, headers, body, controller.signal);
+        if (controller.signal.aborted) throw timedOut();
+
+        if (!response.ok) {
+          const { errorAnalysis, responseBody } = await analyzeResponseError(response);
+          await handleProviderError(provider.id, errorAnalysis, responseBody);
+          throw Object.assign(new Error(`Embedding request failed: ${errorAnalysis.message || responseBody}`), { errorAnalysis });
         }
 
-        const fallback = providerStatusService.getFallbackProvider(
-          providerId,
-          providersMap,
-          fallbackProviderId
-        );
+        data = await response.json().catch(err => {
+          throw controller.signal.aborted ? timedOut() : err;
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+      const parsed = parseEmbeddingResponse(provider, data);
+      if (parsed.embeddings.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings, received ${parsed.embeddings.length}`);
+      }
 
-        if (fallback) {
-          effectiveProviderId = fallback.provider.id;
-          usedFallback = true;
-          console.log(`⚡ Using fallback provider: ${fallback.provider.name} (source: ${fallback.source})`);
-        } else {
-          const timeUntilRecovery = providerStatusService.getTimeUntilRecovery(providerId);
-          throw new Error(
-            `Provider ${providerId} is unavailable (${providerStatusService.getStatus(providerId).reason}) ` +
-            `and no fallback is available. Recovery in: ${timeUntilRecovery || 'unknown'}`
-          );
+      promptTokens += parsed.promptTokens;
+      for (const [i, index] of batch.entries()) {
+        embeddings[index] = parsed.embeddings[i];
+        await cache?.set(keys[index], parsed.embeddings[i]).catch(err => {
+          console.error(`❌ Failed to cache embedding: ${err.message}`);
+        });
+      }
+    }
+
+    return {
+      embeddings,
+      cached: texts.length - missing.length,
+      usage: promptTokens
+        ? { promptTokens, completionTokens: 0, reasoningTokens: 0, cachedTokens: 0, totalTokens: promptTokens }
+        : null
+    };
+  }
+
+  /**
+   * Read run metadata from disk
+   */
+  async function readMetadata(runId) {
+    return safeJsonParse(await readFile(join(runStore.dirFor(runId), 'metadata.json'), 'utf-8').catch(() => '{}'));
+  }
+
+  /**
+   * Write run metadata to disk. A status is applied as a lifecycle transition
+   * and announced with a run:status event; transitions the lifecycle does not
+   * allow are logged and leave the status unchanged.
+   */
+  async function saveMetadata(runId, metadata, status) {
+    const transition = status === undefined ? null : applyRunStatus(metadata, status);
+    if (status !== undefined && !transition && metadata.status !== status) {
+      console.log(`⚠️ Run ${runId}: ignoring status change ${metadata.status} → ${status}`);
+    }
+
+    await writeFile(join(runStore.dirFor(runId), 'metadata.json'), JSON.stringify(metadata, null, 2));
+    await runStore.upsert(metadata).catch(() => {});
+
+    if (transition) {
+      events.emit('run:status', { runId, status: transition.to, previousStatus: transition.from, at: transition.at });
+    }
+    return metadata;
+  }
+
+  /**
+   * Merge updates into run metadata on disk
+   */
+  async function updateMetadata(runId, updates) {
+    const { status, ...fields } = updates;
+    return saveMetadata(runId, Object.assign(await readMetadata(runId), fields), status);
+  }
+
+  /**
+   * Mark a run as running once its executor has started it, then call onRunStarted
+   */
+  async function markRunStarted(runId, run) {
+    await updateMetadata(runId, { status: RUN_STATUSES.RUNNING }).catch(() => {});
+    hooks.onRunStarted?.(run);
+
+    // A stop requested while the executor was setting up
+    if (startingRuns.get(runId)?.stopRequested) {
+      abortRun(runId, 'stopped');
+    }
+    startingRuns.delete(runId);
+  }
+
+  /**
+   * Whether a run's prompt or output contains text (case-insensitive)
+   */
+  async function runContainsText(runId, text) {
+    const needle = text.toLowerCase();
+    for (const file of ['prompt.txt', 'output.txt']) {
+      const content = await readFile(join(runStore.dirFor(runId), file), 'utf-8').catch(() => '');
+      if (content.toLowerCase().includes(needle)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Page through indexed runs matching filters. Full-text search only reads
+   * the files of runs that pass the metadata filters.
+   */
+  async function findRuns({ limit = 50, offset = 0, cursor = null, q = null, ...filters }) {
+    return runStore.list({
+      limit,
+      offset,
+      cursor,
+      filter: async run => matchesRunFilters(run, filters) && (!q || await runContainsText(run.id, q))
+    });
+  }
+
+  /**
+   * Archive entry for a run: its metadata, the other files in its directory
+   * and the screenshots its request referenced
+   */
+  async function createArchiveEntry(metadata) {
+    const runDir = runStore.dirFor(metadata.id);
+    const files = {};
+    for (const entry of await readdir(runDir, { withFileTypes: true }).catch(() => [])) {
+      if (!entry.isFile() || entry.name === 'metadata.json') continue;
+      files[entry.name] = await readFile(join(runDir, entry.name), 'utf-8');
+    }
+
+    const request = parseArchiveLine(files['request.json'] || '{}') || {};
+    const attachments = [];
+    for (const [index, path] of (request.screenshots || []).entries()) {
+      const data = await readFile(resolveScreenshotPath(path)).catch(() => null);
+      if (!data) {
+        console.log(`⚠️ Run ${metadata.id}: screenshot ${path} not found, leaving it out of the export`);
+        continue;
+      }
+      const name = `${index}-${basename(path).replace(/[^\w.-]/g, '_')}`;
+      attachments.push({ path, name, data: data.toString('base64') });
+    }
+
+    return { metadata, files, attachments };
+  }
+
+  /**
+   * Write one validated archive entry to disk. An existing run with the same
+   * ID is skipped, replaced or kept while the import gets a new ID, per onConflict.
+   * Returns { id, originalId, metadata } or { skipped: true, id }.
+   */
+  async function importArchiveEntry({ metadata, files, attachments }, onConflict) {
+    const originalId = metadata.id;
+    let runId = originalId;
+
+    if (existsSync(runStore.dirFor(originalId))) {
+      if (onConflict === 'skip') return { skipped: true, id: originalId };
+      if (onConflict === 'overwrite') {
+        if (await service.isRunActive(originalId) || queue.isQueued(originalId)) {
+          throw new Error(`Run ${originalId} is still in progress`);
         }
+        await service.deleteRun(originalId);
+      } else {
+        runId = createRunId(Date.parse(metadata.startTime));
       }
+    }
 
-      const provider = await providerService.getProviderById(effectiveProviderId);
-      if (!provider) {
-        throw new Error('Provider not found');
+    const runDir = runStore.dirFor(runId);
+    await mkdir(runDir, { recursive: true });
+
+    // Screenshots move under screenshotsDir/imported/<runId>, and the request follows them
+    const movedScreenshots = new Map();
+    for (const attachment of attachments) {
+      const relativePath = join('imported', runId, attachment.name);
+      await mkdir(join(screenshotsDir, 'imported', runId), { recursive: true });
+      await writeFile(join(screenshotsDir, relativePath), Buffer.from(attachment.data, 'base64'));
+      movedScreenshots.set(attachment.path, relativePath);
+    }
+
+    for (const [name, content] of Object.entries(files)) {
+      if (name === 'metadata.json') continue;
+      const request = name === 'request.json' && movedScreenshots.size > 0 ? parseArchiveLine(content) : null;
+      if (request) {
+        request.screenshots = (request.screenshots || []).map(path => movedScreenshots.get(path) ?? path);
       }
+      await writeFile(join(runDir, name), request ? JSON.stringify(request, null, 2) : content);
+    }
 
-      if (!provider.enabled) {
-        throw new Error('Provider is disabled');
+    const imported = {
+      ...metadata,
+      id: runId,
+      ...(runId !== originalId && { importedFrom: originalId }),
+      importedAt: new Date().toISOString()
+    };
+    // A run exported mid-flight can never finish here
+    const unfinished = imported.status ? !isTerminalRunStatus(imported.status) : imported.success === null;
+    if (unfinished) {
+      applyRunStatus(imported, RUN_STATUSES.INTERRUPTED);
+      imported.success = false;
+      imported.endTime ??= imported.importedAt;
+      imported.error ??= 'Run was exported before it finished';
+    }
+    await saveMetadata(runId, imported);
+
+    return { id: runId, originalId, metadata: imported };
+  }
+
+  /**
+   * Append an entry to a run's event history (events.jsonl)
+   */
+  async function appendRunEvent(runId, event) {
+    const entry = { timestamp: new Date().toISOString(), ...event };
+    await appendFile(join(runStore.dirFor(runId), 'events.jsonl'), `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /**
+   * Run a tool call requested by the model and build the tool message answering it.
+   * Unknown tools, invalid arguments and handler errors are reported back to the
+   * model as the tool result so it can recover. Every call is logged to the run's
+   * event history and emitted as run:tool.
+   */
+  async function invokeTool(runId, call, signal) {
+    const { name, arguments: rawArguments } = call.function;
+    const tool = tools.get(name);
+    const startTime = Date.now();
+
+    let args = null;
+    let error = null;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+      error = `Invalid JSON arguments: ${rawArguments}`;
+    }
+
+    if (!error && !tool) {
+      error = `Unknown tool: ${name}`;
+    }
+    if (!error && tool.parameters) {
+      const errors = validateJsonSchema(tool.parameters, args);
+      if (errors.length > 0) {
+        error = `Invalid arguments: ${errors.map(e => `${e.path || '(root)'}: ${e.message}`).join('; ')}`;
       }
+    }
 
-      await ensureRunsDir();
+    let result = null;
+    if (!error) {
+      console.log(`🔧 Run ${runId} calling tool ${name}`);
+      result = await Promise.resolve()
+        .then(() => tool.handler(args, { runId, signal }))
+        .catch(err => {
+          error = err.message;
+          return null;
+        });
+    }
 
-      const runId = randomUUID();
-      const runDir = join(RUNS_PATH, runId);
-      await mkdir(runDir);
+    if (signal.aborted) {
+      throw new Error('Run stopped during tool call');
+    }
 
-      const metadata = {
-        id: runId,
-        type: 'ai',
-        providerId: effectiveProviderId,
-        providerName: provider.name,
-        originalProviderId: usedFallback ? providerId : null, // Track if fallback was used
-        usedFallback,
-        model: model || provider.defaultModel,
-        workspacePath,
-        workspaceName,
-        source,
-        prompt: prompt.substring(0, 500),
-        startTime: new Date().toISOString(),
-        endTime: null,
-        duration: null,
-        exitCode: null,
-        success: null,
-        error: null,
-        errorCategory: null,
-        errorAnalysis: null,
-        outputSize: 0
-      };
+    const content = error
+      ? JSON.stringify({ error })
+      : (typeof result === 'string' ? result : JSON.stringify(result ?? null));
+
+    const event = await appendRunEvent(runId, {
+      type: 'tool_call',
+      toolCallId: call.id,
+      name,
+      arguments: args ?? rawArguments,
+      result: error ? null : content,
+      error,
+      duration: Date.now() - startTime
+    }).catch(err => {
+      console.error(`❌ Failed to log tool call for run ${runId}: ${err.message}`);
+      return null;
+    });
+    if (event) {
+      events.emit('run:tool', { runId, event });
+    }
 
-      await writeFile(join(runDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
-      await writeFile(join(runDir, 'prompt.txt'), prompt);
-      await writeFile(join(runDir, 'output.txt'), '');
+    return { role: 'tool', tool_call_id: call.id, content };
+  }
+
+  /**
+   * Read a run's conversation. Runs created before conversation.json existed
+   * are rebuilt from prompt.txt and output.txt.
+   */
+  async function readConversation(runId) {
+    const runDir = runStore.dirFor(runId);
+    const stored = safeJsonParse(await readFile(join(runDir, 'conversation.json'), 'utf-8').catch(() => ''), null);
+    if (Array.isArray(stored)) return stored;
+
+    const prompt = await readFile(join(runDir, 'prompt.txt'), 'utf-8').catch(() => '');
+    const output = await readFile(join(runDir, 'output.txt'), 'utf-8').catch(() => '');
+    const messages = [{ role: 'user', content: prompt }];
+    if (output) {
+      messages.push({ role: 'assistant', content: output });
+    }
+    return messages;
+  }
+
+  /**
+   * Append the run's final output to its conversation as the assistant turn
+   */
+  async function recordAssistantTurn(runId) {
+    const conversation = await readConversation(runId);
+    const output = await readFile(join(runStore.dirFor(runId), 'output.txt'), 'utf-8');
+    conversation.push({ role: 'assistant', content: output });
+    await writeFile(join(runStore.dirFor(runId), 'conversation.json'), JSON.stringify(conversation, null, 2));
+  }
+
+  /**
+   * Flatten a conversation into a single prompt for CLI providers
+   */
+  function formatTranscript(messages) {
+    const labels = { system: 'System', user: 'User', assistant: 'Assistant' };
+    return messages
+      .map(m => `${labels[m.role] || m.role}: ${m.content}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Throw when a provider cannot run with the given tools or responseSchema
+   */
+  function checkRunOptions(provider, { tools: runTools = [], responseSchema = null }) {
+    const unknownTool = runTools.find(name => !tools.has(name));
+    if (unknownTool) {
+      throw new Error(`Unknown tool: ${unknownTool}`);
+    }
+
+    if (runTools.length > 0 && provider.type !== 'api') {
+      throw new Error(`Tools are only supported by api providers, not ${provider.type} provider ${provider.name}`);
+    }
+
+    const invalidPatterns = responseSchema ? findInvalidPatterns(toJsonSchema(responseSchema)) : [];
+    if (invalidPatterns.length > 0) {
+      throw new Error(`Invalid responseSchema pattern: ${invalidPatterns.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load the persisted queue, mark runs left in flight by a previous process
+   * as interrupted and start the queued ones
+   */
+  async function recoverQueue() {
+    await ensureRunsDir();
+    const { running } = await queue.init();
+
+    const interruption = () => ({
+      status: RUN_STATUSES.INTERRUPTED,
+      endTime: new Date().toISOString(),
+      success: false,
+      error: 'Run interrupted by server restart'
+    });
+
+    for (const runId of running) {
+      queue.complete(runId);
+      const metadata = await readMetadata(runId);
+      if (metadata.id && !isTerminalRunStatus(metadata.status)) {
+        await updateMetadata(runId, interruption());
+      }
+    }
+
+    // Failover children run outside the queue, so nothing resumes one that was in flight
+    for (const run of await runStore.all()) {
+      if (!run.retryOf) continue;
+      const metadata = await readMetadata(run.id).catch(() => ({}));
+      if (metadata.id && metadata.status && !isTerminalRunStatus(metadata.status)) {
+        await updateMetadata(run.id, interruption()).catch(err => {
+          console.error(`❌ Failed to mark failover run ${run.id} interrupted: ${err.message}`);
+        });
+      }
+    }
+
+    processQueue();
+    startRetentionSweeper();
+  }
+
+  /**
+   * Start queued runs while there are free slots
+   */
+  function processQueue() {
+    while (queue.getRunningCount() < maxConcurrentRuns) {
+      const entry = queue.next();
+      if (!entry) break;
+      dispatchRun(entry.runId).catch(err => {
+        console.error(`❌ Failed to dispatch run ${entry.runId}: ${err.message}`);
+        // Free the slot so one broken run cannot stall the queue
+        queue.complete(entry.runId);
+        processQueue();
+      });
+    }
+  }
+
+  // Executor method for each HTTP provider type
+  const apiExecutors = {
+    api: 'executeApiRun',
+    anthropic: 'executeAnthropicRun',
+    gemini: 'executeGeminiRun',
+    ollama: 'executeOllamaRun'
+  };
+
+  /**
+   * Execute a stored run with the executor for its provider type.
+   * Execution inputs are read back from the run directory so queued runs,
+   * runs restored after a restart and failover attempts all start the same way.
+   */
+  async function startStoredRun(runId, onData, onComplete) {
+    const starting = { stopRequested: false };
+    startingRuns.set(runId, starting);
+    try {
+      const metadata = await readMetadata(runId);
+      if (!metadata.id) {
+        throw new Error('Run not found');
+      }
+      await updateMetadata(runId, { status: RUN_STATUSES.STARTING });
+
+      const request = safeJsonParse(await readFile(join(runStore.dirFor(runId), 'request.json'), 'utf-8').catch(() => '{}'));
+      const prompt = await readFile(join(runStore.dirFor(runId), 'prompt.txt'), 'utf-8');
+      const conversation = await readConversation(runId);
+
+      const provider = await providerService.getProviderById(metadata.providerId);
+      if (!provider) {
+        throw new Error(`Provider ${metadata.providerId} not found`);
+      }
+      if (!provider.enabled) {
+        throw new Error(`Provider ${metadata.providerId} is disabled`);
+      }
+
+      // Per-run limits override the provider's
+      const limits = {
+        timeout: request.timeout || provider.timeout,
+        firstTokenTimeout: request.firstTokenTimeout ?? provider.firstTokenTimeout ?? null,
+        idleTimeout: request.idleTimeout ?? provider.idleTimeout ?? null,
+        maxOutputBytes: request.maxOutputBytes ?? provider.maxOutputBytes ?? null
+      };
+
+      // stopRun arrived before the executor could be started
+      if (starting.stopRequested) {
+        const stopped = await updateMetadata(runId, {
+          status: RUN_STATUSES.CANCELLED,
+          endTime: new Date().toISOString(),
+          success: false,
+          termination: 'stopped',
+          error: 'Stopped by user'
+        });
+        onComplete(stopped);
+        return;
+      }
+
+      if (provider.type === 'cli') {
+        // CLIs take a single prompt, so multi-turn conversations are sent as a transcript
+        const cliPrompt = conversation.length > 1 ? formatTranscript(conversation) : prompt;
+        await service.executeCliRun(
+          runId,
+          provider,
+          // CLIs have no response_format, so the schema is spelled out in the prompt
+          request.responseSchema ? `${cliPrompt}\n\n${buildSchemaInstruction(request.responseSchema)}` : cliPrompt,
+          metadata.workspacePath,
+          onData,
+          onComplete,
+          limits.timeout,
+          { model: metadata.model, headless: metadata.headless, limits }
+        );
+      } else if (apiExecutors[provider.type]) {
+        // API-style providers share an executor signature; only the wire protocol differs
+        await service[apiExecutors[provider.type]](
+          runId,
+          provider,
+          metadata.model,
+          prompt,
+          metadata.workspacePath,
+          request.screenshots,
+          onData,
+          onComplete,
+          {
+            messages: conversation,
+            systemPrompt: request.systemPrompt ?? provider.systemPrompt,
+            generationParams: metadata.generationParams,
+            responseSchema: request.responseSchema,
+            tools: request.tools,
+            limits
+          }
+        );
+      } else {
+        throw new Error(`Unsupported provider type: ${provider.type}`);
+      }
+    } finally {
+      // A repair or retry may already have started the run again
+      if (startingRuns.get(runId) === starting) startingRuns.delete(runId);
+    }
+  }
+
+  /**
+   * Whether a finished attempt should be re-dispatched to a fallback provider.
+   * Comparison runs report their own provider's failure instead.
+   */
+  function shouldFailover(metadata) {
+    return Boolean(providerStatusService) &&
+      !metadata.comparisonId &&
+      metadata.success === false &&
+      (metadata.errorCategory === ERROR_CATEGORIES.USAGE_LIMIT ||
+       metadata.errorCategory === ERROR_CATEGORIES.RATE_LIMIT);
+  }
+
+  /**
+   * All configured providers keyed by ID, as getFallbackProvider expects
+   */
+  async function getProvidersMap() {
+    const allProviders = await providerService.getAllProviders();
+    const providersMap = {};
+    for (const p of allProviders.providers) {
+      providersMap[p.id] = p;
+    }
+    return providersMap;
+  }
+
+  /**
+   * Create a child run of rootRunId on the resolved fallback provider.
+   * Returns the new run ID, or null when no untried fallback is available.
+   */
+  async function createFailoverRun(rootRunId, failedMetadata, triedProviderIds) {
+    const providersMap = await getProvidersMap();
+
+    const rootDir = runStore.dirFor(rootRunId);
+    const root = await readMetadata(rootRunId);
+    const request = safeJsonParse(await readFile(join(rootDir, 'request.json'), 'utf-8').catch(() => '{}'));
+
+    const fallback = providerStatusService.getFallbackProvider(
+      failedMetadata.providerId,
+      providersMap,
+      request.fallbackProviderId
+    );
+
+    if (!fallback || triedProviderIds.has(fallback.provider.id)) {
+      return null;
+    }
+
+    console.log(`⚡ Failing over run ${rootRunId} to ${fallback.provider.name} (source: ${fallback.source})`);
+
+    const prompt = await readFile(join(rootDir, 'prompt.txt'), 'utf-8');
+    const { runId } = await service.createRun({
+      providerId: fallback.provider.id,
+      prompt,
+      messages: await readConversation(rootRunId),
+      workspacePath: root.workspacePath,
+      workspaceName: root.workspaceName,
+      timeout: request.timeout,
+      firstTokenTimeout: request.firstTokenTimeout,
+      idleTimeout: request.idleTimeout,
+      maxOutputBytes: request.maxOutputBytes,
+      screenshots: request.screenshots,
+      source: root.source,
+      headless: root.headless,
+      retryOf: rootRunId,
+      retryPolicy: request.retryPolicy,
+      systemPrompt: request.systemPrompt,
+      generationParams: request.generationParams,
+      responseSchema: zodSchemas.get(rootRunId) ?? request.responseSchema,
+      repairAttempts: request.repairAttempts,
+      tools: request.tools
+    });
+
+    return runId;
+  }
+
+  /**
+   * Resolve the retry policy for a run: runner defaults, then the provider's
+   * retryPolicy, then the run's own retryPolicy
+   */
+  async function resolveRetryPolicy(runId, providerId) {
+    const provider = await providerService.getProviderById(providerId);
+    const request = safeJsonParse(await readFile(join(runStore.dirFor(runId), 'request.json'), 'utf-8').catch(() => '{}'));
+    return {
+      ...DEFAULT_RETRY_POLICY,
+      ...retryPolicy,
+      ...provider?.retryPolicy,
+      ...request.retryPolicy
+    };
+  }
+
+  /**
+   * Whether a failed attempt should be retried on the same provider
+   */
+  function shouldRetry(metadata, policy, attemptNumber) {
+    return metadata.success === false &&
+      attemptNumber < policy.maxAttempts &&
+      policy.retryOn.includes(metadata.errorCategory);
+  }
+
+  /**
+   * Exponential backoff with +/- jitter, capped at maxBackoffMs
+   */
+  function getRetryDelay(policy, attemptNumber) {
+    const base = Math.min(policy.backoffMs * 2 ** (attemptNumber - 1), policy.maxBackoffMs);
+    const jitter = base * policy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + jitter));
+  }
+
+  /**
+   * Summarize a finished attempt for the root run's attempts[] history
+   */
+  function summarizeAttempt(metadata) {
+    return {
+      runId: metadata.id,
+      providerId: metadata.providerId,
+      model: metadata.model,
+      success: metadata.success,
+      errorCategory: metadata.errorCategory || null,
+      error: metadata.error || null,
+      endTime: metadata.endTime
+    };
+  }
+
+  /**
+   * The provider and model a run first targeted. Failover rewrites providerId
+   * and model to the fallback's; the first attempt keeps the original model,
+   * unless the fallback was chosen before the run started.
+   */
+  function getOriginalTarget(metadata) {
+    if (!metadata.originalProviderId) {
+      return { providerId: metadata.providerId, model: metadata.model };
+    }
+    const firstAttempt = metadata.attempts?.[0];
+    return {
+      providerId: metadata.originalProviderId,
+      model: firstAttempt?.providerId === metadata.originalProviderId ? firstAttempt.model : undefined
+    };
+  }
+
+  /**
+   * Copy the final attempt's result onto the run the caller is tracking
+   */
+  async function applyFailoverResult(rootRunId, finalMetadata, attempts) {
+    const root = await readMetadata(rootRunId);
+    const output = await readFile(join(runStore.dirFor(finalMetadata.id), 'output.txt'), 'utf-8').catch(() => '');
+    await writeFile(join(runStore.dirFor(rootRunId), 'output.txt'), output);
+    const result = await readFile(join(runStore.dirFor(finalMetadata.id), 'result.json'), 'utf-8').catch(() => null);
+    if (result !== null) {
+      await writeFile(join(runStore.dirFor(rootRunId), 'result.json'), result);
+    }
+
+    return updateMetadata(rootRunId, {
+      providerId: finalMetadata.providerId,
+      providerName: finalMetadata.providerName,
+      model: finalMetadata.model,
+      originalProviderId: root.originalProviderId || root.providerId,
+      usedFallback: true,
+      status: finalMetadata.status,
+      endTime: finalMetadata.endTime,
+      duration: new Date(finalMetadata.endTime) - new Date(root.startTime),
+      exitCode: finalMetadata.exitCode,
+      success: finalMetadata.success,
+      error: finalMetadata.error,
+      errorCategory: finalMetadata.errorCategory,
+      errorAnalysis: finalMetadata.errorAnalysis,
+      outputSize: finalMetadata.outputSize,
+      usage: finalMetadata.usage ?? null,
+      cost: finalMetadata.cost ?? null,
+      structuredOutput: finalMetadata.structuredOutput ?? null,
+      attempts
+    });
+  }
+
+  /**
+   * Validate a finished run's output against its response schema.
+   * Valid output is stored as result.json. Invalid output either queues a repair
+   * turn in the conversation (returns { repair: true }) or fails the run with
+   * the validation errors in metadata.structuredOutput.
+   */
+  async function checkStructuredOutput(runId, metadata, repairCount) {
+    const runDir = runStore.dirFor(runId);
+    const request = safeJsonParse(await readFile(join(runDir, 'request.json'), 'utf-8').catch(() => '{}'));
+    if (!request.responseSchema) return { metadata };
+
+    const output = await readFile(join(runDir, 'output.txt'), 'utf-8');
+    const schema = zodSchemas.get(runId) ?? request.responseSchema;
+    const { value, errors } = validateStructuredOutput(schema, output);
+    const structuredOutput = { valid: errors.length === 0, errors, repairAttempts: repairCount };
+
+    if (errors.length === 0) {
+      await writeFile(join(runDir, 'result.json'), JSON.stringify(value, null, 2));
+      zodSchemas.delete(runId);
+      return { metadata: await updateMetadata(runId, { structuredOutput }) };
+    }
+
+    if (repairCount < (request.repairAttempts || 0)) {
+      console.log(`🔧 Output of run ${runId} failed schema validation, requesting repair ${repairCount + 1}/${request.repairAttempts}`);
+      const conversation = await readConversation(runId);
+      conversation.push(
+        { role: 'assistant', content: output },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
+      await writeFile(join(runDir, 'conversation.json'), JSON.stringify(conversation, null, 2));
+      await updateMetadata(runId, { status: RUN_STATUSES.QUEUED, structuredOutput });
+      return { repair: true };
+    }
+
+    console.log(`⚠️ Output of run ${runId} failed schema validation: ${errors.length} error(s)`);
+    zodSchemas.delete(runId);
+    return {
+      metadata: await updateMetadata(runId, {
+        status: RUN_STATUSES.FAILED,
+        success: false,
+        error: `Output did not match the response schema: ${errors[0].path || '(root)'}: ${errors[0].message}`,
+        errorCategory: ERROR_CATEGORIES.INVALID_OUTPUT,
+        structuredOutput
+      })
+    };
+  }
+
+  /**
+   * Execute a dequeued run. When an attempt fails on a usage or rate limit it is
+   * re-dispatched to the fallback provider as a linked child run (`retryOf`), and
+   * the final result is reported on the original run ID.
+   */
+  async function dispatchRun(runId) {
+    let settled = false;
+    let failoverCount = 0;
+    let repairCount = 0;
+    const attempts = [];
+    const triedProviderIds = new Set();
+
+    const finish = (metadata) => {
+      if (settled) return;
+      settled = true;
+      failoverAttempts.delete(runId);
+      zodSchemas.delete(runId);
+      queue.complete(runId);
+      events.emit('run:complete', { runId, metadata });
+      processQueue();
+    };
+
+    const onData = (data) => {
+      events.emit('run:data', { runId, data });
+    };
+
+    const onAttemptComplete = async (attemptRunId, completedMetadata) => {
+      let metadata = completedMetadata;
+      if (metadata.success) {
+        const check = await checkStructuredOutput(attemptRunId, metadata, repairCount);
+        if (check.repair) {
+          repairCount++;
+          runAttempt(attemptRunId);
+          return;
+        }
+        metadata = check.metadata;
+      }
+
+      attempts.push(summarizeAttempt(metadata));
+      triedProviderIds.add(metadata.providerId);
+
+      // Transient failures are retried on the same provider before failing over
+      const attemptNumber = attempts.filter(a => a.runId === attemptRunId).length;
+      const policy = await resolveRetryPolicy(attemptRunId, metadata.providerId).catch(() => DEFAULT_RETRY_POLICY);
+      if (shouldRetry(metadata, policy, attemptNumber)) {
+        const delay = getRetryDelay(policy, attemptNumber);
+        attempts[attempts.length - 1].retryDelay = delay;
+        console.log(`🔁 Retrying run ${attemptRunId} in ${delay}ms (attempt ${attemptNumber + 1}/${policy.maxAttempts}, ${metadata.errorCategory})`);
+
+        // The failed attempt waits for its retry as queued
+        if (attemptRunId !== runId) {
+          await updateMetadata(attemptRunId, { status: RUN_STATUSES.QUEUED }).catch(() => {});
+        }
+        await updateMetadata(runId, attemptRunId === runId ? { status: RUN_STATUSES.QUEUED, attempts } : { attempts })
+          .catch(() => {});
+        events.emit('run:retry', {
+          runId,
+          retry: {
+            runId: attemptRunId,
+            attempt: attemptNumber + 1,
+            maxAttempts: policy.maxAttempts,
+            delay,
+            errorCategory: metadata.errorCategory,
+            error: metadata.error
+          }
+        });
+
+        const timer = setTimeout(() => {
+          pendingRetries.delete(runId);
+          runAttempt(attemptRunId);
+        }, delay);
+        pendingRetries.set(runId, async () => {
+          clearTimeout(timer);
+          pendingRetries.delete(runId);
+          const cancellation = {
+            status: RUN_STATUSES.CANCELLED,
+            endTime: new Date().toISOString(),
+            success: false,
+            error: 'Cancelled while waiting to retry'
+          };
+          if (attemptRunId !== runId) {
+            await updateMetadata(attemptRunId, cancellation).catch(() => {});
+          }
+          const cancelled = await updateMetadata(runId, { ...cancellation, attempts })
+            .catch(() => ({ ...metadata, status: RUN_STATUSES.CANCELLED }));
+          finish(cancelled);
+        });
+        return;
+      }
+
+      if (attemptRunId !== runId) {
+        events.emit('run:complete', { runId: attemptRunId, metadata });
+      }
+
+      if (shouldFailover(metadata) && failoverCount < maxFailoverAttempts) {
+        const fallbackRunId = await createFailoverRun(runId, metadata, triedProviderIds).catch(err => {
+          console.error(`❌ Failover for run ${runId} failed: ${err.message}`);
+          return null;
+        });
+
+        if (fallbackRunId) {
+          failoverCount++;
+          failoverAttempts.set(runId, fallbackRunId);
+          await updateMetadata(runId, { status: RUN_STATUSES.RUNNING, attempts }).catch(() => {});
+          runAttempt(fallbackRunId);
+          return;
+        }
+      }
+
+      let finalMetadata = metadata;
+      if (attemptRunId !== runId) {
+        finalMetadata = await applyFailoverResult(runId, metadata, attempts).catch(() => metadata);
+      } else if (attempts.length > 1) {
+        finalMetadata = await updateMetadata(runId, { attempts }).catch(() => metadata);
+      }
+
+      if (finalMetadata.success) {
+        await recordAssistantTurn(runId).catch(err => {
+          console.error(`❌ Failed to record conversation for run ${runId}: ${err.message}`);
+        });
+      }
+      finish(finalMetadata);
+    };
+
+    const onStartError = async (attemptRunId, err) => {
+      console.error(`❌ Failed to start run ${attemptRunId}: ${err.message}`);
+      // The executor may have registered the run before it threw
+      releaseRun(attemptRunId);
+      const metadata = await updateMetadata(attemptRunId, {
+        status: RUN_STATUSES.FAILED,
+        endTime: new Date().toISOString(),
+        success: false,
+        error: err.message
+      }).catch(() => ({ id: attemptRunId, status: RUN_STATUSES.FAILED, success: false, error: err.message }));
+      hooks.onRunFailed?.(metadata, metadata.error, '');
+      await onAttemptComplete(attemptRunId, metadata);
+    };
+
+    const runAttempt = (attemptRunId) => {
+      let completed = false;
+      const onComplete = (metadata) => {
+        if (completed) return;
+        completed = true;
+        onAttemptComplete(attemptRunId, metadata).catch(err => {
+          console.error(`❌ Failed to finalize run ${runId}: ${err.message}`);
+          finish(metadata);
+        });
+      };
+
+      return startStoredRun(attemptRunId, onData, onComplete).catch(err => {
+        if (completed) return;
+        completed = true;
+        return onStartError(attemptRunId, err);
+      });
+    };
+
+    await runAttempt(runId);
+  }
+
+  /**
+   * Whether retention may delete a run: it has finished and nothing is still using it
+   */
+  function isRunSettled(run) {
+    const finished = run.status ? isTerminalRunStatus(run.status) : run.success !== null;
+    return finished &&
+      !activeRuns.has(run.id) &&
+      !startingRuns.has(run.id) &&
+      !failoverAttempts.has(run.id) &&
+      !pendingRetries.has(run.id) &&
+      !queue.isQueued(run.id);
+  }
+
+  /**
+   * Enforce the retention policy now and every retentionSweepIntervalMs.
+   * Overlapping sweeps are skipped.
+   */
+  function startRetentionSweeper() {
+    if (retentionSweeper || !hasRetentionLimits(retention)) return;
+
+    const sweep = async () => {
+      if (sweeping) return;
+      sweeping = true;
+      await service.pruneRuns()
+        .catch(err => console.error(`❌ Run retention sweep failed: ${err.message}`))
+        .finally(() => { sweeping = false; });
+    };
+
+    retentionSweeper = setInterval(sweep, retentionSweepIntervalMs);
+    retentionSweeper.unref();
+    sweep();
+  }
+
+  const service = {
+    events,
+
+    /**
+     * Recover the persisted queue: runs that were executing when the process
+     * stopped are marked as interrupted, queued runs are started again.
+     * Runs once; enqueueRun waits for it, so hosts need not call it first.
+     */
+    init() {
+      initPromise ??= recoverQueue().catch(err => {
+        initPromise = null;
+        throw err;
+      });
+      return initPromise;
+    },
+
+    /**
+     * Stop the background retention sweeper
+     */
+    stopRetentionSweeper() {
+      clearInterval(retentionSweeper);
+      retentionSweeper = null;
+    },
+
+    /**
+     * Create a new run
+     */
+    async createRun(options) {
+      const {
+        providerId,
+        model,
+        messages = null, // Optional: full conversation, ending with the user turn to answer
+        workspacePath = process.cwd(),
+        workspaceName = 'default',
+        timeout,
+        firstTokenTimeout = null, // Optional: ms allowed before the first streamed output
+        idleTimeout = null, // Optional: longest stall in ms between streamed chunks
+        maxOutputBytes = null, // Optional: abort the run once its output exceeds this size
+        screenshots = [],
+        priority = 0,
+        headless = false, // Apply provider headlessArgs (no interactive sessions or tools)
+        source = 'devtools',
+        fallbackProviderId = null, // Optional: override for fallback
+        retryOf = null, // Set on failover attempts: ID of the run being retried
+        retryPolicy: runRetryPolicy = null, // Optional: per-run retry policy overrides
+        systemPrompt = null, // Optional: overrides the provider's systemPrompt (API runs)
+        generationParams = {}, // Optional: overrides the provider's generationParams (API runs)
+        responseSchema = null, // Optional: JSON Schema or zod schema the output must match
+        repairAttempts = 0, // Re-prompts asking the model to fix output that fails validation
+        tools: runTools = [], // Optional: names of registered tools the model may call (API runs)
+        continuedFrom = null, // Set by continueRun: ID of the previous turn's run
+        rerunOf = null, // Set by rerun: ID of the run being repeated
+        comparisonId = null, // Set by compareRuns: ID shared by the runs of one comparison
+        comparisonIndex = null // Set by compareRuns: position of the run's target
+      } = options;
+
+      // The prompt defaults to the latest user turn of a conversation
+      const prompt = options.prompt ?? messages?.at(-1)?.content;
+      if (typeof prompt !== 'string' || !prompt) {
+        throw new Error('prompt or messages is required');
+      }
+
+      if (!providerService) {
+        throw new Error('Provider service not configured');
+      }
+
+      // Check provider availability if status service is configured
+      let effectiveProviderId = providerId;
+      let usedFallback = false;
+
+      // Comparison runs stay on their target provider so results remain comparable
+      if (providerStatusService && !comparisonId && !providerStatusService.isAvailable(providerId)) {
+        // Try to get a fallback provider
+        const fallback = providerStatusService.getFallbackProvider(
+          providerId,
+          await getProvidersMap(),
+          fallbackProviderId
+        );
+
+        if (fallback) {
+          effectiveProviderId = fallback.provider.id;
+          usedFallback = true;
+          console.log(`⚡ Using fallback provider: ${fallback.provider.name} (source: ${fallback.source})`);
+        } else {
+          const timeUntilRecovery = providerStatusService.getTimeUntilRecovery(providerId);
+          throw new Error(
+            `Provider ${providerId} is unavailable (${providerStatusService.getStatus(providerId).reason}) ` +
+            `and no fallback is available. Recovery in: ${timeUntilRecovery || 'unknown'}`
+          );
+        }
+      }
+
+      const provider = await providerService.getProviderById(effectiveProviderId);
+      if (!provider) {
+        throw new Error('Provider not found');
+      }
+
+      if (!provider.enabled) {
+        throw new Error('Provider is disabled');
+      }
+
+      checkRunOptions(provider, { tools: runTools, responseSchema });
+
+      await ensureRunsDir();
+
+      const effectiveSystemPrompt = systemPrompt ?? provider.systemPrompt ?? null;
+      const effectiveGenerationParams = { ...provider.generationParams, ...generationParams };
+
+      const runId = createRunId();
+      const runDir = runStore.dirFor(runId);
+      await mkdir(runDir, { recursive: true });
+
+      if (isZodSchema(responseSchema)) {
+        zodSchemas.set(runId, responseSchema);
+      }
+
+      const createdAt = new Date().toISOString();
+      const metadata = {
+        id: runId,
+        type: 'ai',
+        providerId: effectiveProviderId,
+        providerName: provider.name,
+        originalProviderId: usedFallback ? providerId : null, // Track if fallback was used
+        usedFallback,
+        retryOf,
+        continuedFrom,
+        rerunOf,
+        comparisonId,
+        comparisonIndex,
+        conversationTurns: messages?.length || 1,
+        model: model || provider.defaultModel,
+        workspacePath,
+        workspaceName,
+        source,
+        prompt: prompt.substring(0, 500),
+        systemPrompt: effectiveSystemPrompt?.substring(0, 500) ?? null,
+        generationParams: effectiveGenerationParams,
+        status: RUN_STATUSES.QUEUED,
+        statusHistory: [{ status: RUN_STATUSES.QUEUED, at: createdAt }],
+        priority,
+        headless,
+        startTime: createdAt,
+        endTime: null,
+        duration: null,
+        exitCode: null,
+        success: null,
+        error: null,
+        errorCategory: null,
+        errorAnalysis: null,
+        outputSize: 0,
+        structuredOutput: null, // { valid, errors, repairAttempts } when a responseSchema is set
+        tools: runTools,
+        toolCalls: 0,
+        usage: null, // { promptTokens, completionTokens, reasoningTokens, cachedTokens, totalTokens }
+        cost: null // { currency, input, output, total, source }
+      };
+
+      const effectiveTimeout = timeout || provider.timeout;
+
+      await writeFile(join(runDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+      await runStore.upsert(metadata);
+      await writeFile(join(runDir, 'prompt.txt'), prompt);
+      await writeFile(join(runDir, 'output.txt'), '');
+      await writeFile(join(runDir, 'conversation.json'), JSON.stringify(
+        messages?.length ? messages : [{ role: 'user', content: prompt }],
+        null,
+        2
+      ));
+      // Execution inputs needed to start the run later from the queue
+      await writeFile(join(runDir, 'request.json'), JSON.stringify({
+        screenshots,
+        timeout: effectiveTimeout,
+        firstTokenTimeout,
+        idleTimeout,
+        maxOutputBytes,
+        fallbackProviderId,
+        retryPolicy: runRetryPolicy,
+        systemPrompt,
+        generationParams,
+        responseSchema: responseSchema ? toJsonSchema(responseSchema) : null,
+        repairAttempts,
+        tools: runTools
+      }, null, 2));
+
+      hooks.onRunCreated?.(metadata);
+      console.log(`🤖 AI run [${source}]: ${provider.name}/${metadata.model}`);
+
+      return { runId, runDir, provider, metadata, timeout: effectiveTimeout };
+    },
+
+    /**
+     * Queue a created run. It starts immediately when fewer than
+     * maxConcurrentRuns are executing, otherwise it waits in the queue.
+     * Output and completion are emitted on `events` as run:data / run:complete.
+     */
+    async enqueueRun(runId, options = {}) {
+      const { priority = 0 } = options;
+
+      // Loading the persisted queue replaces its state, so it must happen first
+      await service.init();
+      queue.enqueue(runId, priority);
+      processQueue();
+
+      const queuePosition = queue.getPosition(runId);
+      if (queuePosition) {
+        console.log(`⏳ Run ${runId} queued at position ${queuePosition}`);
+      }
+
+      return { runId, queued: queuePosition !== null, queuePosition };
+    },
+
+    /**
+     * Get the 1-based queue position of a run, or null if it is not queued
+     */
+    getQueuePosition(runId) {
+      return queue.getPosition(runId);
+    },
+
+    /**
+     * Register a tool API runs can call.
+     * tool: { name, description, parameters (JSON Schema), handler(args, { runId, signal }) }
+     * The handler's return value is sent back to the model (strings as-is, anything else as JSON).
+     */
+    registerTool(tool) {
+      if (!tool?.name || typeof tool.handler !== 'function') {
+        throw new Error('Tool requires a name and a handler function');
+      }
+      tools.set(tool.name, {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} },
+        handler: tool.handler
+      });
+    },
+
+    /**
+     * Remove a registered tool
+     */
+    unregisterTool(name) {
+      return tools.delete(name);
+    },
+
+    /**
+     * List registered tools (without handlers)
+     */
+    listTools() {
+      return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    },
+
+    /**
+     * Embed one or more texts with an API provider (OpenAI-compatible, Ollama or Gemini).
+     * `model` defaults to the provider's embeddingModel. Unavailable providers and
+     * rate/usage limits fail over like runs; a fallback provider embeds with its own
+     * embeddingModel, so check the returned providerId/model before mixing vectors.
+     * Returns { providerId, model, embeddings, dimensions, cached, usage, usedFallback }.
+     */
+    async embed(options) {
+      const {
+        providerId,
+        model = null,
+        input,
+        fallbackProviderId = null,
+        batchSize = embeddingBatchSize,
+        cache: useCache = true
+      } = options;
+
+      const texts = typeof input === 'string' ? [input] : input;
+      if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string')) {
+        throw new Error('input must be a string or a non-empty array of strings');
+      }
+
+      if (!providerService) {
+        throw new Error('Provider service not configured');
+      }
+
+      const requested = await providerService.getProviderById(providerId);
+      if (!requested) {
+        throw new Error('Provider not found');
+      }
+
+      const triedProviderIds = new Set();
+      let provider = requested;
+      let usedFallback = false;
+
+      // Skip straight to a fallback when the provider is known to be limited
+      if (providerStatusService && !providerStatusService.isAvailable(providerId)) {
+        triedProviderIds.add(providerId);
+        provider = null;
+      }
+
+      while (true) {
+        if (!provider) {
+          const fallback = providerStatusService?.getFallbackProvider(providerId, await getProvidersMap(), fallbackProviderId);
+          if (!fallback || triedProviderIds.has(fallback.provider.id) ||
+            !supportsEmbeddings(fallback.provider) || !fallback.provider.embeddingModel) {
+            throw new Error(`Provider ${providerId} is unavailable and no embedding fallback is available`);
+          }
+          console.log(`⚡ Using fallback provider for embeddings: ${fallback.provider.name} (source: ${fallback.source})`);
+          provider = fallback.provider;
+          usedFallback = true;
+        }
+
+        if (!provider.enabled) {
+          throw new Error('Provider is disabled');
+        }
+        if (!supportsEmbeddings(provider)) {
+          throw new Error(`Provider type ${provider.type} does not support embeddings`);
+        }
+
+        const embeddingModel = (provider.id === providerId && model) || provider.embeddingModel;
+        if (!embeddingModel) {
+          throw new Error(`No embedding model configured for provider ${provider.id}`);
+        }
+
+        triedProviderIds.add(provider.id);
+        console.log(`🧮 Embedding ${texts.length} input(s) with ${provider.name} (${embeddingModel})`);
+
+        const result = await embedWithProvider(provider, embeddingModel, texts, { batchSize, useCache }).catch(err => err);
+        if (!(result instanceof Error)) {
+          return {
+            providerId: provider.id,
+            model: embeddingModel,
+            embeddings: result.embeddings,
+            dimensions: result.embeddings[0]?.length ?? 0,
+            cached: result.cached,
+            usage: result.usage,
+            usedFallback
+          };
+        }
+
+        const category = result.errorAnalysis?.category;
+        const canFailover = Boolean(providerStatusService) &&
+          (category === ERROR_CATEGORIES.USAGE_LIMIT || category === ERROR_CATEGORIES.RATE_LIMIT);
+        if (!canFailover) throw result;
+
+        console.log(`⚠️ Embeddings failed on ${provider.name} (${category}), trying a fallback`);
+        provider = null;
+      }
+    },
+
+    /**
+     * Execute a CLI run
+     * options.model - model to pass through the provider's modelArgs template
+     * options.headless - append the provider's headlessArgs and detach stdin
+     * provider.outputFormat - 'claude-json' / 'codex-json' run the CLI in its JSON mode
+     *   so usage can be recorded; output.txt still receives the plain response text
+     */
+    async executeCliRun(runId, provider, prompt, workspacePath, onData, onComplete, timeout, options = {}) {
+      const { model = provider.defaultModel, headless = false, limits = {} } = options;
+      const runDir = runStore.dirFor(runId);
+      const outputPath = join(runDir, 'output.txt');
+      const metadataPath = join(runDir, 'metadata.json');
+
+      const startTime = Date.now();
+      let output = '';
+      // How the process ended: 'completed' (exited on its own), 'stopped', or the tripped limit
+      let termination = 'completed';
+      let limitAnalysis = null;
+      let killEscalated = false;
+      let started = null; // Resolves once the run is marked running
+
+      const outputFormat = provider.outputFormat || CLI_OUTPUT_FORMATS.TEXT;
+      const outputParser = outputFormat !== CLI_OUTPUT_FORMATS.TEXT ? createCliOutputParser(outputFormat) : null;
+
+      // Build command with args. The CLI is spawned without a shell, so the prompt
+      // and configured args reach it literally (no quoting, globbing or substitution).
+      const promptDelivery = provider.promptDelivery || 'arg';
+      // File prompts go in a private temp directory (mkdtemp makes it 0700) so other users cannot read them
+      const promptDir = promptDelivery === 'file' ? await mkdtemp(join(tmpdir(), 'portos-prompt-')) : null;
+      const promptFile = promptDir ? join(promptDir, 'prompt.txt') : null;
+      const removePromptFile = () => promptDir && rm(promptDir, { recursive: true, force: true }).catch(() => {});
+      const modelArgs = buildModelArgs(provider, model);
+      const headlessArgs = headless ? (provider.headlessArgs || []) : [];
+      const baseArgs = [
+        ...(provider.args || []),
+        ...getOutputFormatArgs(outputFormat),
+        ...headlessArgs,
+        ...modelArgs
+      ];
+      const args = buildPromptArgs(baseArgs, promptDelivery, prompt, promptFile);
+      console.log(`🚀 Executing CLI${headless ? ' (headless)' : ''} (prompt via ${promptDelivery}): ${provider.command} ${baseArgs.map(quoteShellArg).join(' ')}`);
+
+      if (promptFile) {
+        await writeFile(promptFile, prompt, { mode: 0o600 }).catch(async (err) => {
+          await removePromptFile();
+          throw err;
+        });
+      }
+
+      const finishRun = async (code, signal = null) => {
+        await started;
+        await removePromptFile();
+
+        const parsed = outputParser?.finish();
+        if (parsed?.text) {
+          output += parsed.text;
+          onData?.(parsed.text);
+        }
+
+        await writeFile(outputPath, output);
+
+        const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
+        metadata.endTime = new Date().toISOString();
+        metadata.duration = Date.now() - startTime;
+        metadata.exitCode = code;
+        metadata.signal = signal;
+        // Record the model the CLI was actually given; without modelArgs it uses its own default
+        if (modelArgs.length > 0) {
+          metadata.model = model;
+        }
+        metadata.modelApplied = modelArgs.length > 0;
+        metadata.success = code === 0 && termination === 'completed';
+        metadata.termination = termination;
+        metadata.killEscalated = killEscalated;
+        metadata.outputSize = Buffer.byteLength(output);
+        metadata.usage = parsed?.usage ?? null;
+        metadata.cost = calculateCost(metadata.usage, provider.pricing, metadata.model, parsed?.reportedCost);
+
+        if (termination === 'stopped') {
+          metadata.error = 'Stopped by user';
+          metadata.errorCategory = null;
+          metadata.errorAnalysis = null;
+        } else if (limitAnalysis) {
+          metadata.error = limitAnalysis.message;
+          metadata.errorCategory = limitAnalysis.category;
+          metadata.errorAnalysis = limitAnalysis;
+        } else if (!metadata.success) {
+          // Analyze errors if the run failed
+          const errorAnalysis = analyzeError(output, code);
+          metadata.error = errorAnalysis.message || `Process exited with code ${code}`;
+          metadata.errorCategory = errorAnalysis.category;
+          metadata.errorAnalysis = errorAnalysis;
+
+          // Handle provider-level errors (rate limits, usage limits)
+          if (errorAnalysis.hasError &&
+              (errorAnalysis.category === ERROR_CATEGORIES.RATE_LIMIT ||
+               errorAnalysis.category === ERROR_CATEGORIES.USAGE_LIMIT)) {
+            await handleProviderError(provider.id, errorAnalysis, output);
+          }
+        }
+
+        const status = metadata.success
+          ? RUN_STATUSES.SUCCEEDED
+          : ABORT_STATUSES[termination] ?? RUN_STATUSES.FAILED;
+        await saveMetadata(runId, metadata, status);
+
+        if (metadata.success) {
+          hooks.onRunCompleted?.(metadata, output);
+        } else {
+          hooks.onRunFailed?.(metadata, metadata.error, output);
+        }
+
+        onComplete?.(metadata);
+      };
+
+      let childProcess;
+      try {
+        childProcess = spawn(provider.command, args, {
+          cwd: workspacePath,
+          env: buildCliEnv(provider),
+          // Lead a new process group so stopping the run also reaches the CLI's own children
+          detached: process.platform !== 'win32',
+          // Headless runs get no stdin so a CLI can never wait on an interactive prompt;
+          // stdin delivery closes stdin after writing the prompt
+          stdio: headless && promptDelivery !== 'stdin' ? ['ignore', 'pipe', 'pipe'] : 'pipe'
+        });
+      } catch (err) {
+        // Spawn fails synchronously for some errors, e.g. E2BIG when the prompt exceeds ARG_MAX
+        output = `Failed to start ${provider.command}: ${err.message}\n`;
+        await finishRun(err.errno ?? -1);
+        return runId;
+      }
+
+      /**
+       * SIGTERM the process group, escalating to SIGKILL if anything in it
+       * outlives the grace period
+       */
+      const terminate = (reason, errorAnalysis = null) => {
+        if (termination !== 'completed') return;
+        termination = reason;
+        limitAnalysis = errorAnalysis;
+        signalProcessGroup(childProcess, 'SIGTERM');
+        setTimeout(() => {
+          if (!signalProcessGroup(childProcess, 0)) return;
+          console.log(`💀 Run ${runId} ignored SIGTERM, sending SIGKILL`);
+          killEscalated = true;
+          signalProcessGroup(childProcess, 'SIGKILL');
+        }, killGracePeriodMs).unref();
+      };
+
+      activeRuns.set(runId, { process: childProcess, stop: terminate });
+      const watchdog = watchRun(runId, { ...limits, timeout });
+      started = markRunStarted(runId, { runId, provider: provider.name, model: modelArgs.length > 0 ? model : null });
+
+      if (promptDelivery === 'stdin') {
+        // The CLI may exit without reading stdin; a broken pipe is not a run failure
+        childProcess.stdin.on('error', () => {});
+        childProcess.stdin.end(prompt);
+      }
+
+      childProcess.stdout?.on('data', (data) => {
+        watchdog.activity();
+        const text = outputParser ? outputParser.push(data.toString()) : data.toString();
+        if (!text) return;
+        output += text;
+        watchdog.output(text);
+        onData?.(text);
+      });
+
+      childProcess.stderr?.on('data', (data) => {
+        const text = data.toString();
+        output += text;
+        watchdog.output(text);
+        onData?.(text);
+      });
+
+      // Without a shell a missing command surfaces here (ENOENT), followed by close
+      childProcess.on('error', (err) => {
+        output += `Failed to start ${provider.command}: ${err.message}\n`;
+      });
+
+      childProcess.on('close', async (code, signal) => {
+        releaseRun(runId);
+        await finishRun(code, signal);
+      });
+
+      return runId;
+    },
+
+    /**
+     * Execute an API run
+     * options.messages - full conversation to send; the last entry must be the user turn
+     * options.systemPrompt - sent as a leading system message unless the conversation has one
+     * options.generationParams - temperature, maxTokens, topP, stop, seed
+     * options.responseSchema - JSON Schema sent as response_format
+     * options.tools - names of registered tools offered to the model
+     * options.limits - timeout, firstTokenTimeout, idleTimeout, maxOutputBytes
+     */
+    async executeApiRun(runId, provider, model, prompt, workspacePath, screenshots, onData, onComplete, options = {}) {
+      const {
+        messages: conversation = null,
+        systemPrompt = null,
+        generationParams = {},
+        responseSchema = null,
+        tools: toolNames = [],
+        limits = {}
+      } = options;
+
+      const startTime = Date.now();
+      let output = '';
+
+      // Resolved before the run is registered: a tool may have been unregistered since createRun
+      const toolDefinitions = toolNames.map(name => {
+        const tool = tools.get(name);
+        if (!tool) {
+          throw new Error(`Unknown tool: ${name}`);
+        }
+        return {
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        };
+      });
+
+      const headers = {};
+      if (provider.apiKey) {
+        headers['Authorization'] = `Bearer ${provider.apiKey}`;
+      }
+
+      const controller = new AbortController();
+      activeRuns.set(runId, controller);
+      const watchdog = watchRun(runId, limits);
+
+      await markRunStarted(runId, { runId, provider: provider.name, model });
+
+      // Prior turns are replayed as-is; screenshots attach to the latest user turn
+      const priorMessages = conversation?.length > 1 ? conversation.slice(0, -1) : [];
+      if (systemPrompt && priorMessages[0]?.role !== 'system') {
+        priorMessages.unshift({ role: 'system', content: systemPrompt });
+      }
+      const latestPrompt = conversation?.length ? conversation[conversation.length - 1].content : prompt;
+
+      // Build message content
+      const images = await loadScreenshots(screenshots);
+      const messageContent = images.length > 0
+        ? [
+          ...images.map(url => ({ type: 'image_url', image_url: { url } })),
+          { type: 'text', text: latestPrompt }
+        ]
+        : latestPrompt;
+
+      const messages = [...priorMessages, { role: 'user', content: messageContent }];
+
+      // Track reasoning separately for reasoning models (like DeepSeek-R1, gpt-oss-20b)
+      let reasoning = '';
+      let usage = null;
+      let toolCallCount = 0;
+
+      const requestCompletion = () => postJson(`${provider.endpoint}/chat/completions`, headers, {
+        model: model || provider.defaultModel,
+        messages,
+        ...toChatCompletionParams(generationParams),
+        ...(responseSchema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: responseSchema }
+          }
+        }),
+        ...(toolDefinitions.length > 0 && { tools: toolDefinitions }),
+        stream: true,
+        // Ask for a final chunk carrying token usage
+        stream_options: { include_usage: true }
+      }, controller.signal);
+
+      /**
+       * Stream one completion. Content is streamed to the client as it arrives;
+       * tool call fragments are merged by index. Returns the turn's content and tool calls.
+       */
+      const readCompletion = async (response) => {
+        const toolCalls = [];
+        let content = '';
+
+        await readSseJson(watchdog.watch(response.body), (parsed) => {
+          const delta = parsed?.choices?.[0]?.delta;
+
+          // The usage chunk arrives last, with an empty choices array
+          if (parsed?.usage) {
+            usage = normalizeOpenAIUsage(parsed.usage);
+          }
+
+          // Handle regular content
+          if (delta?.content) {
+            const text = delta.content;
+            content += text;
+            output += text;
+            watchdog.output(text);
+            onData?.({ text });
+          }
+
+          // Handle reasoning content from reasoning models (LM Studio, DeepSeek-R1, etc.)
+          // Reasoning is collected but not streamed to client by default
+          if (delta?.reasoning) {
+            reasoning += delta.reasoning;
+          }
+
+          for (const fragment of delta?.tool_calls || []) {
+            const index = fragment.index ?? toolCalls.length;
+            toolCalls[index] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+            const call = toolCalls[index];
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+          }
+        });
+
+        return { content, toolCalls: toolCalls.filter(Boolean) };
+      };
+
+      // OpenAI-style tool loop: each round of tool calls is answered with tool
+      // results and the model is asked to continue, until it replies without tools
+      const processStream = async () => {
+        for (let round = 0; ; round++) {
+          const response = await requestCompletion();
+          if (!response.ok) {
+            const { errorAnalysis, responseBody } = await analyzeResponseError(response);
+            return failApiRun(runId, provider, startTime, output, errorAnalysis, responseBody || `API error: ${response.status}`, {
+              usage,
+              toolCalls: toolCallCount
+            }, onComplete);
+          }
+
+          const { content, toolCalls } = await readCompletion(response);
+          if (toolCalls.length === 0) break;
+
+          if (round >= maxToolRounds) {
+            throw new Error(`Tool call limit reached (${maxToolRounds} rounds)`);
+          }
+
+          messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+          for (const call of toolCalls) {
+            toolCallCount++;
+            messages.push(await invokeTool(runId, call, controller.signal));
+          }
+        }
 
-      hooks.onRunCreated?.(metadata);
-      console.log(`🤖 AI run [${source}]: ${provider.name}/${metadata.model}`);
+        const hadContent = Boolean(output.trim());
+        output = applyReasoningFallback(output, reasoning, onData);
 
-      const effectiveTimeout = timeout || provider.timeout;
+        await completeApiRun(runId, provider, startTime, output, {
+          usage,
+          hadReasoning: reasoning.length > 0,
+          usedReasoningAsFallback: !hadContent && Boolean(reasoning.trim()),
+          toolCalls: toolCallCount
+        }, onComplete);
+      };
 
-      return { runId, runDir, provider, metadata, timeout: effectiveTimeout };
+      processStream().catch(err => {
+        const errorAnalysis = err.errorAnalysis || analyzeError(err.message);
+        return failApiRun(runId, provider, startTime, output, errorAnalysis, err.message, {
+          usage,
+          toolCalls: toolCallCount
+        }, onComplete);
+      });
+
+      return runId;
     },
 
     /**
-     * Execute a CLI run
+     * Execute a run against the native Anthropic Messages API (/v1/messages).
+     * Takes the same options as executeApiRun except tools. Thinking is enabled
+     * with generationParams.thinkingBudget; thinking deltas are collected as reasoning.
      */
-    async executeCliRun(runId, provider, prompt, workspacePath, onData, onComplete, timeout) {
-      const runDir = join(RUNS_PATH, runId);
-      const outputPath = join(runDir, 'output.txt');
-      const metadataPath = join(runDir, 'metadata.json');
+    async executeAnthropicRun(runId, provider, model, prompt, workspacePath, screenshots, onData, onComplete, options = {}) {
+      const {
+        messages: conversation = null,
+        systemPrompt = null,
+        generationParams = {},
+        responseSchema = null,
+        limits = {}
+      } = options;
 
       const startTime = Date.now();
       let output = '';
+      let reasoning = '';
+      let usage = null;
+      let stopReason = null;
 
-      // Build command with args
-      const args = [...(provider.args || []), prompt];
-      console.log(`🚀 Executing CLI: ${provider.command} ${provider.args?.join(' ') || ''}`);
-
-      const childProcess = spawn(provider.command, args, {
-        cwd: workspacePath,
-        env: { ...process.env, ...provider.envVars },
-        shell: true
-      });
-
-      activeRuns.set(runId, childProcess);
-      hooks.onRunStarted?.({ runId, provider: provider.name, model: provider.defaultModel });
-
-      // Set timeout
-      const timeoutHandle = setTimeout(() => {
-        if (childProcess && !childProcess.killed) {
-          console.log(`⏱️ Run ${runId} timed out after ${timeout}ms`);
-          childProcess.kill('SIGTERM');
-        }
-      }, timeout);
+      const controller = new AbortController();
+      activeRuns.set(runId, controller);
+      const watchdog = watchRun(runId, limits);
 
-      childProcess.stdout?.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        onData?.(text);
-      });
+      await markRunStarted(runId, { runId, provider: provider.name, model });
 
-      childProcess.stderr?.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        onData?.(text);
+      const latestPrompt = conversation?.length ? conversation[conversation.length - 1].content : prompt;
+      const images = await loadScreenshots(screenshots);
+      const { system, messages } = toAnthropicMessages(conversation?.length ? conversation : [{ role: 'user', content: latestPrompt }], {
+        systemPrompt,
+        images
       });
 
-      childProcess.on('close', async (code) => {
-        clearTimeout(timeoutHandle);
-        activeRuns.delete(runId);
-
-        await writeFile(outputPath, output);
+      // The Messages API has no response_format, so the schema is spelled out in the system prompt
+      const fullSystem = [system, responseSchema && buildSchemaInstruction(responseSchema)].filter(Boolean).join('\n\n');
 
-        const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-        metadata.endTime = new Date().toISOString();
-        metadata.duration = Date.now() - startTime;
-        metadata.exitCode = code;
-        metadata.success = code === 0;
-        metadata.outputSize = Buffer.byteLength(output);
+      const response = await postJson(`${provider.endpoint || DEFAULT_ANTHROPIC_ENDPOINT}/messages`, getAnthropicHeaders(provider.apiKey), {
+        model: model || provider.defaultModel,
+        messages,
+        ...(fullSystem && { system: fullSystem }),
+        ...toAnthropicParams(generationParams),
+        stream: true
+      }, controller.signal);
 
-        // Analyze errors if the run failed
-        if (!metadata.success) {
-          const errorAnalysis = analyzeError(output, code);
-          metadata.error = errorAnalysis.message || `Process exited with code ${code}`;
-          metadata.errorCategory = errorAnalysis.category;
-          metadata.errorAnalysis = errorAnalysis;
+      if (!response.ok) {
+        const { errorAnalysis, responseBody } = await analyzeResponseError(response);
+        await failApiRun(runId, provider, startTime, output, errorAnalysis, responseBody || `API error: ${response.status}`, {}, onComplete);
+        return runId;
+      }
 
-          // Handle provider-level errors (rate limits, usage limits)
-          if (errorAnalysis.hasError &&
-              (errorAnalysis.category === ERROR_CATEGORIES.RATE_LIMIT ||
-               errorAnalysis.category === ERROR_CATEGORIES.USAGE_LIMIT)) {
-            await handleProviderError(provider.id, errorAnalysis, output);
+      const processStream = async () => {
+        // `error` events are thrown by the parser
+        await readSseJson(watchdog.watch(response.body), (event) => {
+          if (event?.type === 'message_start') {
+            usage = normalizeAnthropicUsage(event.message?.usage);
+          } else if (event?.type === 'content_block_delta') {
+            if (event.delta?.type === 'text_delta') {
+              output += event.delta.text;
+              watchdog.output(event.delta.text);
+              onData?.({ text: event.delta.text });
+            } else if (event.delta?.type === 'thinking_delta') {
+              reasoning += event.delta.thinking;
+            }
+          } else if (event?.type === 'message_delta') {
+            // Output tokens are reported cumulatively on message_delta
+            stopReason = event.delta?.stop_reason ?? stopReason;
+            usage = mergeAnthropicUsage(usage, event.usage);
           }
-        }
+        });
 
-        await writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+        const hadContent = Boolean(output.trim());
+        output = applyReasoningFallback(output, reasoning, onData);
 
-        if (metadata.success) {
-          hooks.onRunCompleted?.(metadata, output);
-        } else {
-          hooks.onRunFailed?.(metadata, metadata.error, output);
-        }
+        await completeApiRun(runId, provider, startTime, output, {
+          usage,
+          stopReason,
+          hadReasoning: reasoning.length > 0,
+          usedReasoningAsFallback: !hadContent && Boolean(reasoning.trim())
+        }, onComplete);
+      };
 
-        onComplete?.(metadata);
+      processStream().catch(err => {
+        const errorAnalysis = err.errorAnalysis || analyzeError(err.message);
+        return failApiRun(runId, provider, startTime, output, errorAnalysis, err.message, { usage, stopReason }, onComplete);
       });
 
       return runId;
     },
 
     /**
-     * Execute an API run
+     * Execute a run against the Gemini generateContent API (streamGenerateContent SSE).
+     * Takes the same options as executeApiRun except tools. A responseSchema is sent
+     * as responseJsonSchema; thoughts (generationParams.thinkingBudget) are collected as reasoning.
      */
-    async executeApiRun(runId, provider, model, prompt, workspacePath, screenshots, onData, onComplete) {
-      const runDir = join(RUNS_PATH, runId);
-      const outputPath = join(runDir, 'output.txt');
-      const metadataPath = join(runDir, 'metadata.json');
+    async executeGeminiRun(runId, provider, model, prompt, workspacePath, screenshots, onData, onComplete, options = {}) {
+      const {
+        messages: conversation = null,
+        systemPrompt = null,
+        generationParams = {},
+        responseSchema = null,
+        limits = {}
+      } = options;
 
       const startTime = Date.now();
       let output = '';
-
-      const headers = {
-        'Content-Type': 'application/json'
-      };
-      if (provider.apiKey) {
-        headers['Authorization'] = `Bearer ${provider.apiKey}`;
-      }
+      let reasoning = '';
+      let usage = null;
+      let finishReason = null;
 
       const controller = new AbortController();
       activeRuns.set(runId, controller);
+      const watchdog = watchRun(runId, limits);
 
-      hooks.onRunStarted?.({ runId, provider: provider.name, model });
+      await markRunStarted(runId, { runId, provider: provider.name, model });
 
-      // Build message content
-      let messageContent;
-      if (screenshots && screenshots.length > 0) {
-        console.log(`📸 Loading ${screenshots.length} screenshots for vision API`);
-        const contentParts = [];
-
-        for (const screenshotPath of screenshots) {
-          const imageDataUrl = await loadImageAsBase64(screenshotPath).catch(err => {
-            console.error(`❌ Failed to load screenshot ${screenshotPath}: ${err.message}`);
-            return null;
-          });
-          if (imageDataUrl) {
-            contentParts.push({
-              type: 'image_url',
-              image_url: { url: imageDataUrl }
-            });
-          }
-        }
+      const latestPrompt = conversation?.length ? conversation[conversation.length - 1].content : prompt;
+      const images = await loadScreenshots(screenshots);
+      const { systemInstruction, contents } = toGeminiContents(
+        conversation?.length ? conversation : [{ role: 'user', content: latestPrompt }],
+        { systemPrompt, images }
+      );
 
-        contentParts.push({ type: 'text', text: prompt });
-        messageContent = contentParts;
-      } else {
-        messageContent = prompt;
-      }
+      const modelName = (model || provider.defaultModel || '').replace(/^models\//, '');
+      const endpoint = provider.endpoint || DEFAULT_GEMINI_ENDPOINT;
+      const generationConfig = toGeminiGenerationConfig(generationParams, responseSchema);
 
-      const response = await fetch(`${provider.endpoint}/chat/completions`, {
-        method: 'POST',
-        headers,
-        signal: controller.signal,
-        body: JSON.stringify({
-          model: model || provider.defaultModel,
-          messages: [{ role: 'user', content: messageContent }],
-          stream: true
-        })
-      }).catch(err => ({ ok: false, error: err.message, status: 0 }));
+      const response = await postJson(`${endpoint}/models/${encodeURIComponent(modelName)}:streamGenerateContent?alt=sse`, getGeminiHeaders(provider.apiKey), {
+        contents,
+        ...(systemInstruction && { systemInstruction }),
+        ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+      }, controller.signal);
 
       if (!response.ok) {
-        activeRuns.delete(runId);
-        const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-        metadata.endTime = new Date().toISOString();
-        metadata.duration = Date.now() - startTime;
-        metadata.success = false;
+        const { errorAnalysis, responseBody } = await analyzeResponseError(response);
+        await failApiRun(runId, provider, startTime, output, errorAnalysis, responseBody || `API error: ${response.status}`, {}, onComplete);
+        return runId;
+      }
 
-        // Try to get response body for better error analysis
-        let responseBody = response.error || '';
-        if (response.text) {
-          responseBody = await response.text().catch(() => response.error || '');
-        }
+      const processStream = async () => {
+        await readSseJson(watchdog.watch(response.body), (parsed) => {
+          if (parsed?.usageMetadata) {
+            usage = normalizeGeminiUsage(parsed.usageMetadata);
+          }
 
-        const errorAnalysis = analyzeHttpError({
-          status: response.status || 0,
-          statusText: response.statusText || '',
-          body: responseBody
+          const candidate = parsed?.candidates?.[0];
+          finishReason = candidate?.finishReason ?? finishReason;
+
+          for (const part of candidate?.content?.parts || []) {
+            if (!part.text) continue;
+            if (part.thought) {
+              reasoning += part.text;
+            } else {
+              output += part.text;
+              watchdog.output(part.text);
+              onData?.({ text: part.text });
+            }
+          }
+        }, {
+          // Errors after the stream has started arrive as a Google error payload
+          analyze: (payload, message) => analyzeHttpError({
+            status: payload?.error?.code || 500,
+            statusText: '',
+            body: payload ? JSON.stringify(payload) : message
+          })
         });
 
-        metadata.error = errorAnalysis.message || `API error: ${response.status}`;
-        metadata.errorCategory = errorAnalysis.category;
-        metadata.errorAnalysis = errorAnalysis;
+        const hadContent = Boolean(output.trim());
+        output = applyReasoningFallback(output, reasoning, onData);
 
-        // Handle provider-level errors
-        if (errorAnalysis.hasError &&
-            (errorAnalysis.category === ERROR_CATEGORIES.RATE_LIMIT ||
-             errorAnalysis.category === ERROR_CATEGORIES.USAGE_LIMIT)) {
-          await handleProviderError(provider.id, errorAnalysis, responseBody);
-        }
+        await completeApiRun(runId, provider, startTime, output, {
+          usage,
+          finishReason,
+          hadReasoning: reasoning.length > 0,
+          usedReasoningAsFallback: !hadContent && Boolean(reasoning.trim())
+        }, onComplete);
+      };
 
-        await writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      processStream().catch(err => {
+        const errorAnalysis = err.errorAnalysis || analyzeError(err.message);
+        return failApiRun(runId, provider, startTime, output, errorAnalysis, err.message, { usage, finishReason }, onComplete);
+      });
 
-        hooks.onRunFailed?.(metadata, metadata.error, '');
-        onComplete?.(metadata);
-        return runId;
-      }
+      return runId;
+    },
 
-      // Handle streaming response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+    /**
+     * Execute a run against Ollama's native chat API (/api/chat NDJSON stream).
+     * Takes the same options as executeApiRun except tools. Ollama-specific
+     * generationParams (numCtx, keepAlive, format, ollamaOptions) are passed through,
+     * and the eval statistics of the final chunk are recorded as ollamaStats.
+     */
+    async executeOllamaRun(runId, provider, model, prompt, workspacePath, screenshots, onData, onComplete, options = {}) {
+      const {
+        messages: conversation = null,
+        systemPrompt = null,
+        generationParams = {},
+        responseSchema = null,
+        limits = {}
+      } = options;
 
-      // Track reasoning separately for reasoning models (like DeepSeek-R1, gpt-oss-20b)
+      const startTime = Date.now();
+      let output = '';
       let reasoning = '';
+      let usage = null;
+      let stopReason = null;
+      let ollamaStats = null;
 
-      const processStream = async () => {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
+      const controller = new AbortController();
+      activeRuns.set(runId, controller);
+      const watchdog = watchRun(runId, limits);
 
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n').filter(line => line.startsWith('data: '));
+      await markRunStarted(runId, { runId, provider: provider.name, model });
 
-          for (const line of lines) {
-            const data = line.slice(6);
-            if (data === '✅' || data === '[DONE]') continue;
+      const latestPrompt = conversation?.length ? conversation[conversation.length - 1].content : prompt;
+      const images = await loadScreenshots(screenshots);
+      const messages = toOllamaMessages(conversation?.length ? conversation : [{ role: 'user', content: latestPrompt }], {
+        systemPrompt,
+        images
+      });
 
-            const parsed = JSON.parse(data);
-            const delta = parsed?.choices?.[0]?.delta;
+      const response = await postJson(`${getOllamaBaseUrl(provider.endpoint)}/api/chat`, {}, {
+        model: model || provider.defaultModel,
+        messages,
+        ...toOllamaParams(generationParams, responseSchema),
+        stream: true
+      }, controller.signal);
 
-            // Handle regular content
-            if (delta?.content) {
-              const text = delta.content;
-              output += text;
-              onData?.({ text });
-            }
+      if (!response.ok) {
+        const { errorAnalysis, responseBody } = await analyzeResponseError(response);
+        await failApiRun(runId, provider, startTime, output, errorAnalysis, responseBody || `API error: ${response.status}`, {}, onComplete);
+        return runId;
+      }
 
-            // Handle reasoning content from reasoning models (LM Studio, DeepSeek-R1, etc.)
-            // Reasoning is collected but not streamed to client by default
-            if (delta?.reasoning) {
-              reasoning += delta.reasoning;
-            }
-          }
+      const handleChunk = (chunk) => {
+        if (chunk.error) {
+          throw new Error(chunk.error);
         }
-
-        // For reasoning models: if content is empty but we have reasoning, use reasoning as fallback
-        // This handles models like DeepSeek-R1, gpt-oss-20b that separate thinking from final answer
-        if (!output.trim() && reasoning.trim()) {
-          console.log(`🧠 Reasoning model detected - using reasoning as output (${reasoning.length} chars)`);
-          output = reasoning;
-          onData?.({ text: reasoning, isReasoning: true });
+        if (chunk.message?.thinking) {
+          reasoning += chunk.message.thinking;
+        }
+        if (chunk.message?.content) {
+          output += chunk.message.content;
+          watchdog.output(chunk.message.content);
+          onData?.({ text: chunk.message.content });
+        }
+        if (chunk.done) {
+          stopReason = chunk.done_reason ?? null;
+          usage = normalizeOllamaUsage(chunk);
+          ollamaStats = toOllamaStats(chunk);
         }
-
-        await writeFile(outputPath, output);
-        activeRuns.delete(runId);
-
-        const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-        metadata.endTime = new Date().toISOString();
-        metadata.duration = Date.now() - startTime;
-        metadata.exitCode = 0;
-        metadata.success = true;
-        metadata.outputSize = Buffer.byteLength(output);
-        metadata.hadReasoning = reasoning.length > 0;
-        metadata.usedReasoningAsFallback = !output.trim() && reasoning.trim();
-        await writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-
-        hooks.onRunCompleted?.(metadata, output);
-        onComplete?.(metadata);
       };
 
-      processStream().catch(async (err) => {
-        activeRuns.delete(runId);
-
-        if (output) {
-          await writeFile(outputPath, output).catch(() => {});
-        }
+      const processStream = async () => {
+        const reader = watchdog.watch(response.body).getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
 
-        const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-        metadata.endTime = new Date().toISOString();
-        metadata.duration = Date.now() - startTime;
-        metadata.success = false;
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
 
-        const errorAnalysis = analyzeError(err.message);
-        metadata.error = errorAnalysis.message || err.message;
-        metadata.errorCategory = errorAnalysis.category;
-        metadata.errorAnalysis = errorAnalysis;
-        metadata.outputSize = Buffer.byteLength(output);
+          // NDJSON objects can be split across network chunks
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
 
-        // Handle provider-level errors
-        if (errorAnalysis.hasError &&
-            (errorAnalysis.category === ERROR_CATEGORIES.RATE_LIMIT ||
-             errorAnalysis.category === ERROR_CATEGORIES.USAGE_LIMIT)) {
-          await handleProviderError(provider.id, errorAnalysis, output);
+          for (const line of lines) {
+            if (line.trim()) handleChunk(JSON.parse(line));
+          }
         }
+        if (buffer.trim()) handleChunk(JSON.parse(buffer));
+
+        const hadContent = Boolean(output.trim());
+        output = applyReasoningFallback(output, reasoning, onData);
+
+        await completeApiRun(runId, provider, startTime, output, {
+          usage,
+          stopReason,
+          ollamaStats,
+          hadReasoning: reasoning.length > 0,
+          usedReasoningAsFallback: !hadContent && Boolean(reasoning.trim())
+        }, onComplete);
+      };
 
-        await writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-
-        hooks.onRunFailed?.(metadata, metadata.error, output);
-        onComplete?.(metadata);
+      processStream().catch(err => {
+        const errorAnalysis = err.errorAnalysis || analyzeError(err.message);
+        return failApiRun(runId, provider, startTime, output, errorAnalysis, err.message, { usage, stopReason }, onComplete);
       });
 
       return runId;
@@ -477,24 +2387,44 @@ export function createRunnerService(config = {}) {
      * Stop a running run
      */
     async stopRun(runId) {
-      const active = activeRuns.get(runId);
-      if (!active) return false;
+      const cancelRetry = pendingRetries.get(runId);
+      if (cancelRetry) {
+        await cancelRetry();
+        return true;
+      }
 
-      if (active.kill) {
-        active.kill('SIGTERM');
-      } else if (active.abort) {
-        active.abort();
+      if (queue.remove(runId)) {
+        const metadata = await updateMetadata(runId, {
+          status: RUN_STATUSES.CANCELLED,
+          endTime: new Date().toISOString(),
+          success: false,
+          error: 'Cancelled before start'
+        });
+        events.emit('run:complete', { runId, metadata });
+        return true;
       }
 
-      activeRuns.delete(runId);
-      return true;
+      // A failed-over run is stopped through its current attempt
+      const attemptRunId = failoverAttempts.get(runId) || runId;
+      if (abortRun(attemptRunId, 'stopped')) {
+        activeRuns.delete(attemptRunId);
+        return true;
+      }
+
+      // Dispatched but not executing yet: the start path finalizes it as stopped
+      const starting = startingRuns.get(attemptRunId);
+      if (starting) {
+        starting.stopRequested = true;
+        return true;
+      }
+      return false;
     },
 
     /**
      * Get run metadata
      */
     async getRun(runId) {
-      const runDir = join(RUNS_PATH, runId);
+      const runDir = runStore.dirFor(runId);
       if (!existsSync(runDir)) return null;
 
       const metadata = safeJsonParse(await readFile(join(runDir, 'metadata.json'), 'utf-8').catch(() => '{}'));
@@ -505,64 +2435,268 @@ export function createRunnerService(config = {}) {
      * Get run output
      */
     async getRunOutput(runId) {
-      const runDir = join(RUNS_PATH, runId);
+      const runDir = runStore.dirFor(runId);
       if (!existsSync(runDir)) return null;
 
       return readFile(join(runDir, 'output.txt'), 'utf-8');
     },
 
     /**
-     * Get run prompt
+     * Get the parsed structured output of a run (result.json).
+     * Returns null when the run does not exist or has no valid result.
      */
-    async getRunPrompt(runId) {
-      const runDir = join(RUNS_PATH, runId);
+    async getRunResult(runId) {
+      const content = await readFile(join(runStore.dirFor(runId), 'result.json'), 'utf-8').catch(() => null);
+      return content === null ? null : safeJsonParse(content, null);
+    },
+
+    /**
+     * Get a run's event history (tool calls, in order)
+     */
+    async getRunEvents(runId) {
+      const runDir = runStore.dirFor(runId);
       if (!existsSync(runDir)) return null;
 
-      return readFile(join(runDir, 'prompt.txt'), 'utf-8');
+      const content = await readFile(join(runDir, 'events.jsonl'), 'utf-8').catch(() => '');
+      return content.split('\n').filter(Boolean).map(line => safeJsonParse(line, null)).filter(Boolean);
     },
 
     /**
-     * List runs
+     * Get a run's conversation (all turns, including the assistant reply once finished)
      */
-    async listRuns(limit = 50, offset = 0, source = 'all') {
-      await ensureRunsDir();
+    async getRunConversation(runId) {
+      const runDir = runStore.dirFor(runId);
+      if (!existsSync(runDir)) return null;
 
-      const entries = await readdir(RUNS_PATH, { withFileTypes: true });
-      const runIds = entries.filter(e => e.isDirectory()).map(e => e.name);
+      return readConversation(runId);
+    },
 
-      const runs = [];
-      for (const runId of runIds) {
-        const metadataPath = join(RUNS_PATH, runId, 'metadata.json');
-        if (existsSync(metadataPath)) {
-          const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-          if (metadata.id) runs.push(metadata);
+    /**
+     * Continue a finished run's conversation with a new user turn.
+     * Creates a new run whose conversation replays the stored turns; queue it with enqueueRun.
+     * The provider and model default to those of the previous turn.
+     */
+    async continueRun(runId, options = {}) {
+      const { prompt, providerId, model, ...rest } = options;
+
+      const previous = await service.getRun(runId);
+      if (!previous) {
+        throw new Error('Run not found');
+      }
+      if (previous.success === null || activeRuns.has(runId) || queue.isQueued(runId)) {
+        throw new Error('Run is still in progress');
+      }
+
+      const conversation = await readConversation(runId);
+      const request = safeJsonParse(await readFile(join(runStore.dirFor(runId), 'request.json'), 'utf-8').catch(() => '{}'));
+      const sameProvider = !providerId || providerId === previous.providerId;
+
+      return service.createRun({
+        workspacePath: previous.workspacePath,
+        workspaceName: previous.workspaceName,
+        source: previous.source,
+        headless: previous.headless,
+        systemPrompt: request.systemPrompt,
+        generationParams: request.generationParams,
+        tools: request.tools,
+        ...rest,
+        providerId: providerId || previous.providerId,
+        model: model || (sameProvider ? previous.model : undefined),
+        prompt,
+        messages: [...conversation, { role: 'user', content: prompt }],
+        continuedFrom: runId
+      });
+    },
+
+    /**
+     * Run an existing run's full prompt again, optionally with another provider,
+     * model, timeout or workspace. The new run (rerunOf: runId) reuses the stored
+     * conversation, screenshots and request settings; queue it with enqueueRun.
+     * A run that failed over is repeated on the provider it first targeted. The
+     * model and timeout default to the original's only when the provider is unchanged.
+     */
+    async rerun(runId, overrides = {}) {
+      const { providerId, model, timeout, workspacePath, workspaceName, priority } = overrides;
+
+      const original = await service.getRun(runId);
+      if (!original) {
+        throw new Error('Run not found');
+      }
+
+      const runDir = runStore.dirFor(runId);
+      const request = safeJsonParse(await readFile(join(runDir, 'request.json'), 'utf-8').catch(() => '{}'));
+      const prompt = await readFile(join(runDir, 'prompt.txt'), 'utf-8');
+      // Later turns (the reply, schema repairs) were added while the run executed
+      const conversation = (await readConversation(runId)).slice(0, original.conversationTurns || 1);
+      const target = getOriginalTarget(original);
+      const sameProvider = !providerId || providerId === target.providerId;
+
+      return service.createRun({
+        providerId: providerId || target.providerId,
+        model: model || (sameProvider ? target.model : undefined),
+        prompt,
+        messages: conversation.length > 1 ? conversation : null,
+        workspacePath: workspacePath || original.workspacePath,
+        workspaceName: workspaceName || original.workspaceName,
+        timeout: timeout || (sameProvider ? request.timeout : undefined),
+        firstTokenTimeout: request.firstTokenTimeout,
+        idleTimeout: request.idleTimeout,
+        maxOutputBytes: request.maxOutputBytes,
+        screenshots: request.screenshots,
+        priority: priority ?? original.priority,
+        headless: original.headless,
+        source: original.source,
+        retryPolicy: request.retryPolicy,
+        systemPrompt: request.systemPrompt,
+        generationParams: request.generationParams,
+        responseSchema: request.responseSchema,
+        repairAttempts: request.repairAttempts,
+        tools: request.tools,
+        rerunOf: runId
+      });
+    },
+
+    /**
+     * Run one prompt on several targets ({ providerId, model }) side by side.
+     * Creates a run per target under a shared comparisonId and queues them all,
+     * so they stream concurrently as run slots allow. Other options are passed
+     * to createRun for every target. Returns { comparisonId, runs }.
+     * Throws an error with invalidComparison set when a target cannot run.
+     */
+    async compareRuns(options) {
+      const { targets, ...shared } = options;
+      if (!Array.isArray(targets) || targets.length === 0) {
+        throw new Error('targets is required');
+      }
+
+      const invalid = (message) => Object.assign(new Error(message), { invalidComparison: true });
+
+      // Check every target up front so a bad one does not leave a partial comparison
+      for (const { providerId } of targets) {
+        const provider = await providerService?.getProviderById(providerId);
+        if (!provider) {
+          throw invalid(`Provider not found: ${providerId}`);
+        }
+        if (!provider.enabled) {
+          throw invalid(`Provider is disabled: ${providerId}`);
+        }
+        try {
+          checkRunOptions(provider, shared);
+        } catch (err) {
+          throw invalid(err.message);
         }
       }
 
-      let filteredRuns = runs;
-      if (source !== 'all') {
-        filteredRuns = runs.filter(run => {
-          const runSource = run.source || 'devtools';
-          return runSource === source;
+      const comparisonId = createRunId();
+      const created = [];
+      for (const [comparisonIndex, { providerId, model }] of targets.entries()) {
+        const run = await service.createRun({ ...shared, providerId, model, comparisonId, comparisonIndex }).catch(async (err) => {
+          // Nothing is queued yet, so the runs created so far can simply be removed
+          for (const { runId } of created) {
+            await service.deleteRun(runId).catch(() => {});
+          }
+          throw err;
+        });
+        created.push(run);
+      }
+
+      const runs = [];
+      for (const { runId, metadata } of created) {
+        const { queued, queuePosition } = await service.enqueueRun(runId, { priority: metadata.priority });
+        runs.push({
+          runId,
+          providerId: metadata.providerId,
+          model: metadata.model,
+          status: queued ? 'queued' : 'started',
+          queuePosition
         });
       }
 
-      filteredRuns.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+      console.log(`⚖️ Comparison ${comparisonId}: ${runs.length} targets`);
+      return { comparisonId, runs };
+    },
+
+    /**
+     * Results of a comparison in target order, or null when no runs belong to
+     * it. Each result has the run's status, success, duration and output size;
+     * pass includeOutput to add the output text.
+     */
+    async getComparison(comparisonId, { includeOutput = false } = {}) {
+      const runs = (await runStore.all())
+        .filter(run => run.comparisonId === comparisonId)
+        .sort((a, b) => (a.comparisonIndex ?? 0) - (b.comparisonIndex ?? 0));
+      if (runs.length === 0) return null;
+
+      const results = await Promise.all(runs.map(async (run) => ({
+        runId: run.id,
+        providerId: run.providerId,
+        providerName: run.providerName,
+        model: run.model,
+        status: run.status,
+        success: run.success,
+        duration: run.duration,
+        outputSize: run.outputSize,
+        error: run.error,
+        errorCategory: run.errorCategory,
+        usage: run.usage,
+        cost: run.cost,
+        ...(includeOutput && { output: await service.getRunOutput(run.id) })
+      })));
 
       return {
-        total: filteredRuns.length,
-        runs: filteredRuns.slice(offset, offset + limit)
+        comparisonId,
+        prompt: runs[0].prompt,
+        startTime: runs[0].startTime,
+        complete: runs.every(isRunSettled),
+        results
       };
     },
 
+    /**
+     * Get run prompt
+     */
+    async getRunPrompt(runId) {
+      const runDir = runStore.dirFor(runId);
+      if (!existsSync(runDir)) return null;
+
+      return readFile(join(runDir, 'prompt.txt'), 'utf-8');
+    },
+
+    /**
+     * List runs, newest first, from the run index. Takes a filter object
+     * { limit, offset, cursor, q, ...filters } (see matchesRunFilters; q searches
+     * prompt.txt and output.txt) or the positional (limit, offset, source,
+     * status, cursor) form. Pass the returned nextCursor as cursor to get the
+     * next page; offset is still accepted for callers without a cursor.
+     */
+    async listRuns(limit = 50, offset = 0, source = 'all', status = null, cursor = null) {
+      const options = typeof limit === 'object' && limit !== null ? limit : { limit, offset, source, status, cursor };
+      return findRuns(options);
+    },
+
+    /**
+     * Rebuild the run index from the run directories, e.g. after runs were
+     * copied in or removed by hand. Returns the number of runs indexed.
+     */
+    async rebuildRunIndex() {
+      await ensureRunsDir();
+      return runStore.rebuild();
+    },
+
     /**
      * Delete a run
      */
     async deleteRun(runId) {
-      const runDir = join(RUNS_PATH, runId);
-      if (!existsSync(runDir)) return false;
+      const runDir = runStore.dirFor(runId);
+      if (!existsSync(runDir)) {
+        await runStore.remove(runId); // Drop a stale index entry
+        return false;
+      }
 
+      queue.remove(runId);
+      zodSchemas.delete(runId);
       await rm(runDir, { recursive: true });
+      await runStore.remove(runId);
       return true;
     },
 
@@ -572,29 +2706,140 @@ export function createRunnerService(config = {}) {
     async deleteFailedRuns() {
       await ensureRunsDir();
 
-      const entries = await readdir(RUNS_PATH, { withFileTypes: true });
-      const runIds = entries.filter(e => e.isDirectory()).map(e => e.name);
-
-      let deletedCount = 0;
-      for (const runId of runIds) {
-        const metadataPath = join(RUNS_PATH, runId, 'metadata.json');
-        if (existsSync(metadataPath)) {
-          const metadata = safeJsonParse(await readFile(metadataPath, 'utf-8').catch(() => '{}'));
-          if (metadata.success === false) {
-            await rm(join(RUNS_PATH, runId), { recursive: true });
-            deletedCount++;
-          }
+      const failedRuns = (await runStore.all()).filter(run => run.success === false);
+      for (const run of failedRuns) {
+        await rm(runStore.dirFor(run.id), { recursive: true, force: true });
+        await runStore.remove(run.id);
+      }
+
+      return failedRuns.length;
+    },
+
+    /**
+     * Delete finished runs beyond the retention policy: the configured one,
+     * with any limits in options.policy overriding it (null disables a limit).
+     * Runs still queued, executing or awaiting a retry are never deleted.
+     * With dryRun, nothing is deleted and the result reports what would be.
+     * Returns { dryRun, count, bytes, runs: [{ id, reason, startTime, status, size }] }.
+     */
+    async pruneRuns(options = {}) {
+      const { dryRun = false, policy = {} } = options;
+      const effectivePolicy = { ...retention, ...policy };
+      if (!hasRetentionLimits(effectivePolicy)) {
+        return { dryRun, count: 0, bytes: 0, runs: [] };
+      }
+
+      const runs = [];
+      for (const run of await runStore.all()) {
+        runs.push(effectivePolicy.maxTotalBytes != null ? { ...run, size: await runStore.sizeOf(run.id) } : run);
+      }
+
+      const pruned = [];
+      for (const { run, reason } of planRunPruning(runs, effectivePolicy, { isDeletable: isRunSettled })) {
+        const size = run.size ?? await runStore.sizeOf(run.id);
+        if (!dryRun) await service.deleteRun(run.id);
+        pruned.push({ id: run.id, reason, startTime: run.startTime, status: run.status ?? null, size });
+      }
+
+      const bytes = pruned.reduce((total, run) => total + run.size, 0);
+      if (!dryRun && pruned.length > 0) {
+        console.log(`🧹 Pruned ${pruned.length} runs (${bytes} bytes)`);
+      }
+      return { dryRun, count: pruned.length, bytes, runs: pruned };
+    },
+
+    /**
+     * Export runs matching filters (as for listRuns, all pages unless a limit
+     * is given) as NDJSON archive lines: a header, then one line per run
+     */
+    async *exportRuns(filters = {}) {
+      const { runs } = await findRuns({ ...filters, limit: filters.limit ?? Infinity });
+
+      yield `${JSON.stringify({ format: RUN_ARCHIVE_FORMAT, version: RUN_ARCHIVE_VERSION, exportedAt: new Date().toISOString() })}\n`;
+      for (const run of runs) {
+        const metadata = await readMetadata(run.id);
+        if (!metadata.id) continue;
+        yield `${JSON.stringify(await createArchiveEntry(metadata))}\n`;
+      }
+    },
+
+    /**
+     * Import an NDJSON run archive, given as text or an iterable of chunks (e.g.
+     * a request stream). Entries failing runArchiveEntrySchema are reported and
+     * skipped. options.onConflict handles IDs that already exist: 'rename'
+     * (default; the run gets a new ID and importedFrom), 'skip' or 'overwrite'.
+     * Links between imported runs follow renames, and runs exported before
+     * finishing are imported as interrupted.
+     * Returns { imported: [{ id, originalId }], skipped: [id], errors: [{ line, error }] }.
+     * Throws an error with invalidArchive set when the header is missing.
+     */
+    async importRuns(source, options = {}) {
+      const { onConflict = 'rename' } = options;
+      if (!RUN_IMPORT_CONFLICT_MODES.includes(onConflict)) {
+        throw new Error(`Unknown onConflict mode: ${onConflict}`);
+      }
+      await ensureRunsDir();
+
+      const result = { imported: [], skipped: [], errors: [] };
+      const importedRuns = [];
+      const idMap = new Map(); // original ID -> new ID of renamed runs
+      let lineNumber = 0;
+      let hasHeader = false;
+
+      for await (const line of readLines(source)) {
+        lineNumber++;
+        if (lineNumber === 1) {
+          hasHeader = validate(runArchiveHeaderSchema, parseArchiveLine(line)).success;
+          if (!hasHeader) break;
+          continue;
+        }
+        if (!line.trim()) continue;
+
+        const entry = validate(runArchiveEntrySchema, parseArchiveLine(line));
+        if (!entry.success) {
+          result.errors.push({ line: lineNumber, error: entry.errors.map(e => `${e.path}: ${e.message}`).join('; ') });
+          continue;
+        }
+
+        const outcome = await importArchiveEntry(entry.data, onConflict).catch(err => {
+          result.errors.push({ line: lineNumber, error: err.message });
+          return null;
+        });
+        if (outcome?.skipped) {
+          result.skipped.push(outcome.id);
+        } else if (outcome) {
+          if (outcome.id !== outcome.originalId) idMap.set(outcome.originalId, outcome.id);
+          importedRuns.push(outcome);
+          result.imported.push({ id: outcome.id, originalId: outcome.originalId });
         }
       }
 
-      return deletedCount;
+      if (!hasHeader) {
+        throw Object.assign(new Error(`Not a run archive: expected a ${RUN_ARCHIVE_FORMAT} v${RUN_ARCHIVE_VERSION} header`), { invalidArchive: true });
+      }
+
+      for (const { id, metadata } of importedRuns) {
+        const remapped = remapRunReferences(metadata, idMap);
+        if (JSON.stringify(remapped) !== JSON.stringify(metadata)) {
+          await saveMetadata(id, remapped);
+        }
+      }
+
+      console.log(`📦 Imported ${result.imported.length} runs (${result.skipped.length} skipped, ${result.errors.length} errors)`);
+      return result;
     },
 
     /**
      * Check if a run is active
      */
     async isRunActive(runId) {
-      return activeRuns.has(runId);
+      return activeRuns.has(runId) || startingRuns.has(runId) || failoverAttempts.has(runId) || pendingRetries.has(runId);
     }
   };
+
+  for (const tool of initialTools) {
+    service.registerTool(tool);
+  }
+
+  return service;
 }
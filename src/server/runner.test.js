@@ -0,0 +1,2827 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, rm, writeFile, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { createServer } from 'http';
+import { z } from 'zod';
+import { createRunnerService } from './runner.js';
+import { createProviderStatusService } from './providerStatus.js';
+
+const TEST_DATA_DIR = join(process.cwd(), 'test-data-runner');
+
+/**
+ * Minimal in-memory provider service
+ */
+function createMockProviderService(providers) {
+  return {
+    async getAllProviders() {
+      return { activeProvider: null, providers: Object.values(providers) };
+    },
+    async getProviderById(id) {
+      return providers[id] || null;
+    }
+  };
+}
+
+/**
+ * Start a local HTTP server standing in for an API provider
+ */
+async function startMockApi(handler) {
+  const server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    endpoint: `http://127.0.0.1:${port}/v1`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // Responses left hanging by stall tests would otherwise hold the server open
+      server.closeAllConnections();
+    })
+  };
+}
+
+/**
+ * Resolve when the runner emits run:complete for the given run
+ */
+function waitForComplete(runner, runId) {
+  return new Promise(resolve => {
+    const listener = ({ runId: id, metadata }) => {
+      if (id !== runId) return;
+      runner.events.off('run:complete', listener);
+      resolve(metadata);
+    };
+    runner.events.on('run:complete', listener);
+  });
+}
+
+describe('Runner Service', () => {
+  let providers;
+
+  beforeEach(async () => {
+    if (!existsSync(TEST_DATA_DIR)) {
+      await mkdir(TEST_DATA_DIR, { recursive: true });
+    }
+
+    providers = {
+      sleeper: {
+        id: 'sleeper',
+        name: 'Sleeper',
+        type: 'cli',
+        command: 'sleep',
+        args: [],
+        timeout: 10000,
+        enabled: true
+      },
+      echo: {
+        id: 'echo',
+        name: 'Echo',
+        type: 'cli',
+        command: 'echo',
+        args: ['--print'],
+        modelArgs: ['--model', '{{model}}'],
+        defaultModel: 'default-model',
+        timeout: 10000,
+        enabled: true
+      }
+    };
+  });
+
+  afterEach(async () => {
+    if (existsSync(TEST_DATA_DIR)) {
+      await rm(TEST_DATA_DIR, { recursive: true });
+    }
+  });
+
+  function createRunner(config = {}) {
+    return createRunnerService({
+      dataDir: TEST_DATA_DIR,
+      providerService: createMockProviderService(providers),
+      ...config
+    });
+  }
+
+  describe('queue', () => {
+    it('should queue runs beyond maxConcurrentRuns', async () => {
+      const runner = createRunner({ maxConcurrentRuns: 1 });
+      await runner.init();
+
+      const first = await runner.createRun({ providerId: 'sleeper', prompt: '0.2' });
+      const second = await runner.createRun({ providerId: 'sleeper', prompt: '0.1' });
+
+      const firstDone = waitForComplete(runner, first.runId);
+      const secondDone = waitForComplete(runner, second.runId);
+
+      const firstQueued = await runner.enqueueRun(first.runId);
+      const secondQueued = await runner.enqueueRun(second.runId);
+
+      expect(firstQueued.queued).toBe(false);
+      expect(secondQueued.queued).toBe(true);
+      expect(secondQueued.queuePosition).toBe(1);
+      expect(runner.getQueuePosition(second.runId)).toBe(1);
+
+      const firstMetadata = await firstDone;
+      expect(firstMetadata.success).toBe(true);
+      expect(firstMetadata.status).toBe('succeeded');
+
+      const secondMetadata = await secondDone;
+      expect(secondMetadata.success).toBe(true);
+      expect(new Date(secondMetadata.endTime).getTime())
+        .toBeGreaterThanOrEqual(new Date(firstMetadata.endTime).getTime());
+    });
+
+    it('should start higher priority runs first', async () => {
+      const runner = createRunner({ maxConcurrentRuns: 1 });
+      await runner.init();
+
+      const blocker = await runner.createRun({ providerId: 'sleeper', prompt: '0.2' });
+      const low = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+      const high = await runner.createRun({ providerId: 'sleeper', prompt: '0', priority: 5 });
+
+      await runner.enqueueRun(blocker.runId);
+      await runner.enqueueRun(low.runId);
+      await runner.enqueueRun(high.runId, { priority: 5 });
+
+      expect(runner.getQueuePosition(high.runId)).toBe(1);
+      expect(runner.getQueuePosition(low.runId)).toBe(2);
+
+      await waitForComplete(runner, low.runId);
+      const highMetadata = await runner.getRun(high.runId);
+      expect(highMetadata.status).toBe('succeeded');
+    });
+
+    it('should cancel a queued run on stop', async () => {
+      const runner = createRunner({ maxConcurrentRuns: 1 });
+      await runner.init();
+
+      const blocker = await runner.createRun({ providerId: 'sleeper', prompt: '0.1' });
+      const queued = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+      const blockerDone = waitForComplete(runner, blocker.runId);
+
+      await runner.enqueueRun(blocker.runId);
+      await runner.enqueueRun(queued.runId);
+
+      expect(await runner.stopRun(queued.runId)).toBe(true);
+      expect(runner.getQueuePosition(queued.runId)).toBeNull();
+
+      const metadata = await runner.getRun(queued.runId);
+      expect(metadata.status).toBe('cancelled');
+      expect(metadata.success).toBe(false);
+
+      await blockerDone;
+    });
+
+    it('should stop a run that is still starting', async () => {
+      const providerService = createMockProviderService(providers);
+      const runner = createRunner({
+        providerService: {
+          ...providerService,
+          // Holds the run in the starting state for a moment
+          getProviderById: async (id) => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return providerService.getProviderById(id);
+          }
+        }
+      });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      expect(await runner.stopRun(runId)).toBe(true);
+      const metadata = await done;
+      expect(metadata).toMatchObject({ status: 'cancelled', success: false, error: 'Stopped by user' });
+      expect(await runner.getRunOutput(runId)).toBe('');
+      expect(await runner.isRunActive(runId)).toBe(false);
+    });
+
+    it('should resume queued runs and mark interrupted runs after restart', async () => {
+      const runner = createRunner({ maxConcurrentRuns: 1 });
+      await runner.init();
+
+      const interrupted = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+      const pending = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+
+      // Simulate a queue file left behind by a process that stopped mid-run
+      await writeFile(join(TEST_DATA_DIR, 'run-queue.json'), JSON.stringify({
+        queued: [{ runId: pending.runId, priority: 0, enqueuedAt: new Date().toISOString() }],
+        running: [interrupted.runId]
+      }));
+
+      const restarted = createRunner({ maxConcurrentRuns: 1 });
+      const pendingDone = waitForComplete(restarted, pending.runId);
+      await restarted.init();
+
+      const interruptedMetadata = await restarted.getRun(interrupted.runId);
+      expect(interruptedMetadata.success).toBe(false);
+      expect(interruptedMetadata.error).toContain('interrupted');
+      expect(interruptedMetadata.status).toBe('interrupted');
+
+      const pendingMetadata = await pendingDone;
+      expect(pendingMetadata.success).toBe(true);
+    });
+
+    it('should mark failover runs that were in flight as interrupted after restart', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const root = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+      const setStatus = async (runDir, status) => {
+        const metadataPath = join(runDir, 'metadata.json');
+        const metadata = JSON.parse(await readFile(metadataPath, 'utf-8'));
+        await writeFile(metadataPath, JSON.stringify({ ...metadata, status }));
+      };
+
+      // Simulate a process that stopped while a failover child of a running root was in flight
+      const child = await runner.createRun({ providerId: 'echo', prompt: 'hi', retryOf: root.runId });
+      const finished = await runner.createRun({ providerId: 'echo', prompt: 'hi', retryOf: root.runId });
+      await setStatus(child.runDir, 'running');
+      await setStatus(finished.runDir, 'cancelled');
+      await writeFile(join(TEST_DATA_DIR, 'run-queue.json'), JSON.stringify({ queued: [], running: [root.runId] }));
+
+      const restarted = createRunner();
+      await restarted.init();
+
+      expect(await restarted.getRun(root.runId)).toMatchObject({ status: 'interrupted', success: false });
+      expect(await restarted.getRun(child.runId)).toMatchObject({ status: 'interrupted', success: false });
+      expect((await restarted.getRun(finished.runId)).status).toBe('cancelled');
+    });
+
+    it('should restore the persisted queue before enqueueing when init was not called', async () => {
+      const setup = createRunner();
+      const pending = await setup.createRun({ providerId: 'sleeper', prompt: '0.1' });
+      await writeFile(join(TEST_DATA_DIR, 'run-queue.json'), JSON.stringify({
+        queued: [{ runId: pending.runId, priority: 0, enqueuedAt: new Date().toISOString() }],
+        running: []
+      }));
+
+      const runner = createRunner({ maxConcurrentRuns: 1 });
+      const fresh = await runner.createRun({ providerId: 'sleeper', prompt: '0' });
+      const pendingDone = waitForComplete(runner, pending.runId);
+      const freshDone = waitForComplete(runner, fresh.runId);
+
+      const [first, second] = await Promise.all([runner.enqueueRun(fresh.runId), runner.init()]);
+      expect(first.queued).toBe(true);
+      expect(second).toBeUndefined();
+
+      expect((await pendingDone).success).toBe(true);
+      expect((await freshDone).success).toBe(true);
+    });
+  });
+
+  describe('CLI model arguments', () => {
+    it('should pass the selected model through the modelArgs template', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', model: 'picked-model', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('--print --model picked-model hello');
+      expect(metadata.model).toBe('picked-model');
+      expect(metadata.modelApplied).toBe(true);
+    });
+
+    it('should fall back to the provider default model', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('--print --model default-model hello');
+    });
+
+    it('should not pass a model when the provider has no modelArgs', async () => {
+      delete providers.echo.modelArgs;
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('--print hello');
+      expect(metadata.modelApplied).toBe(false);
+    });
+  });
+
+  describe('headless execution', () => {
+    it('should append headlessArgs for headless runs', async () => {
+      providers.echo.headlessArgs = ['--no-session-persistence', '--tools', ''];
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello', headless: true });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('--print --no-session-persistence --tools  --model default-model hello');
+      expect(metadata.headless).toBe(true);
+    });
+
+    it('should not append headlessArgs by default', async () => {
+      providers.echo.headlessArgs = ['--no-session-persistence'];
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output).not.toContain('--no-session-persistence');
+    });
+
+    it('should inject secret env vars without recording them in metadata', async () => {
+      providers.env = {
+        id: 'env',
+        name: 'Env',
+        type: 'cli',
+        command: 'printenv',
+        args: [],
+        timeout: 10000,
+        enabled: true,
+        envVars: { RUNNER_TEST_SECRET: 'super-secret-value' },
+        secretEnvVars: ['RUNNER_TEST_SECRET']
+      };
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'env', prompt: 'RUNNER_TEST_SECRET', headless: true });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('super-secret-value');
+      expect(JSON.stringify(metadata)).not.toContain('super-secret-value');
+    });
+  });
+
+  describe('failover', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    it('should re-dispatch a rate limited run to the fallback provider', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Too many requests' }));
+      });
+
+      providers.limited = {
+        id: 'limited',
+        name: 'Limited API',
+        type: 'api',
+        endpoint: api.endpoint,
+        defaultModel: 'local-model',
+        fallbackProvider: 'echo',
+        timeout: 10000,
+        enabled: true
+      };
+
+      const providerStatusService = createProviderStatusService({
+        dataDir: TEST_DATA_DIR,
+        defaultFallbackPriority: []
+      });
+      await providerStatusService.init();
+
+      const runner = createRunner({ providerStatusService });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'limited', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.success).toBe(true);
+      expect(metadata.providerId).toBe('echo');
+      expect(metadata.originalProviderId).toBe('limited');
+      expect(metadata.attempts).toHaveLength(2);
+      expect(metadata.attempts[0].errorCategory).toBe('rate-limit');
+
+      const child = await runner.getRun(metadata.attempts[1].runId);
+      expect(child.retryOf).toBe(runId);
+
+      const output = await runner.getRunOutput(runId);
+      expect(output.trim()).toBe('--print --model default-model hello');
+    });
+
+    it('should fail the run when no fallback is available', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(429);
+        res.end();
+      });
+
+      providers.limited = {
+        id: 'limited',
+        name: 'Limited API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+
+      const providerStatusService = createProviderStatusService({
+        dataDir: TEST_DATA_DIR,
+        defaultFallbackPriority: []
+      });
+      await providerStatusService.init();
+
+      const runner = createRunner({ providerStatusService });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'limited', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('rate-limit');
+      expect(metadata.attempts).toBeUndefined();
+    });
+  });
+
+  describe('retry policy', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    it('should retry transient errors with backoff and emit retry events', async () => {
+      let requests = 0;
+      api = await startMockApi((req, res) => {
+        requests++;
+        if (requests === 1) {
+          res.writeHead(429);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'recovered' } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      });
+
+      providers.flaky = {
+        id: 'flaky',
+        name: 'Flaky API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const retries = [];
+      runner.events.on('run:retry', ({ retry }) => retries.push(retry));
+
+      const { runId } = await runner.createRun({
+        providerId: 'flaky',
+        prompt: 'hello',
+        retryPolicy: { maxAttempts: 3, backoffMs: 10, jitter: 0 }
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.success).toBe(true);
+      expect(metadata.attempts).toHaveLength(2);
+      expect(metadata.attempts[0].errorCategory).toBe('rate-limit');
+      expect(metadata.attempts[0].retryDelay).toBe(10);
+      expect(retries).toEqual([expect.objectContaining({ attempt: 2, maxAttempts: 3, delay: 10 })]);
+      expect(await runner.getRunOutput(runId)).toBe('recovered');
+    });
+
+    it('should use the provider retry policy and stop after maxAttempts', async () => {
+      // Nothing listens on a port once its server is closed
+      const closed = await startMockApi(() => {});
+      await closed.close();
+
+      providers.offline = {
+        id: 'offline',
+        name: 'Offline API',
+        type: 'api',
+        endpoint: closed.endpoint,
+        timeout: 10000,
+        enabled: true,
+        retryPolicy: { maxAttempts: 2, backoffMs: 0 }
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'offline', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('network-error');
+      expect(metadata.attempts).toHaveLength(2);
+    });
+
+    it('should not retry by default', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(429);
+        res.end();
+      });
+
+      providers.flaky = {
+        id: 'flaky',
+        name: 'Flaky API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'flaky', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.success).toBe(false);
+      expect(metadata.attempts).toBeUndefined();
+    });
+  });
+
+  describe('conversations', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Mock chat endpoint that replies with the number of messages it received
+     */
+    async function startCountingApi(received) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const { messages } = JSON.parse(body);
+          received.push(messages);
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: `reply ${messages.length}` } }] })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        });
+      });
+    }
+
+    it('should send a messages array and record the assistant turn', async () => {
+      const received = [];
+      api = await startCountingApi(received);
+      providers.chat = { id: 'chat', name: 'Chat', type: 'api', endpoint: api.endpoint, timeout: 10000, enabled: true };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({
+        providerId: 'chat',
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'hello' }
+        ]
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await done;
+
+      expect(received[0]).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'hello' }
+      ]);
+      expect(await runner.getRunPrompt(runId)).toBe('hello');
+
+      const conversation = await runner.getRunConversation(runId);
+      expect(conversation.at(-1)).toEqual({ role: 'assistant', content: 'reply 2' });
+    });
+
+    it('should replay prior turns when continuing a run', async () => {
+      const received = [];
+      api = await startCountingApi(received);
+      providers.chat = { id: 'chat', name: 'Chat', type: 'api', endpoint: api.endpoint, timeout: 10000, enabled: true };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const first = await runner.createRun({ providerId: 'chat', prompt: 'hello' });
+      const firstDone = waitForComplete(runner, first.runId);
+      await runner.enqueueRun(first.runId);
+      await firstDone;
+
+      const second = await runner.continueRun(first.runId, { prompt: 'and then?' });
+      const secondDone = waitForComplete(runner, second.runId);
+      await runner.enqueueRun(second.runId);
+      const metadata = await secondDone;
+
+      expect(metadata.continuedFrom).toBe(first.runId);
+      expect(received[1]).toEqual([
+        { role: 'user', content: 'hello' },
+        { role: 'assistant', content: 'reply 1' },
+        { role: 'user', content: 'and then?' }
+      ]);
+
+      const conversation = await runner.getRunConversation(second.runId);
+      expect(conversation).toHaveLength(4);
+      expect(conversation.at(-1)).toEqual({ role: 'assistant', content: 'reply 3' });
+    });
+
+    it('should refuse to continue a run that is still in progress', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'sleeper', prompt: '0.1' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      await expect(runner.continueRun(runId, { prompt: 'next' })).rejects.toThrow('in progress');
+      await done;
+    });
+  });
+
+  describe('generation parameters', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    it('should merge provider defaults with run overrides', async () => {
+      const received = [];
+      api = await startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.end('data: [DONE]\n\n');
+        });
+      });
+
+      providers.local = {
+        id: 'local',
+        name: 'Local',
+        type: 'api',
+        endpoint: api.endpoint,
+        defaultModel: 'local-model',
+        systemPrompt: 'You extract JSON.',
+        generationParams: { temperature: 0.7, maxTokens: 100 },
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({
+        providerId: 'local',
+        prompt: 'extract',
+        generationParams: { temperature: 0, seed: 42, stop: ['\n\n'] }
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0]).toMatchObject({
+        model: 'local-model',
+        temperature: 0,
+        max_tokens: 100,
+        seed: 42,
+        stop: ['\n\n']
+      });
+      expect(received[0]).not.toHaveProperty('top_p');
+      expect(received[0].messages[0]).toEqual({ role: 'system', content: 'You extract JSON.' });
+      expect(metadata.generationParams).toEqual({ temperature: 0, maxTokens: 100, seed: 42, stop: ['\n\n'] });
+      expect(metadata.systemPrompt).toBe('You extract JSON.');
+    });
+
+    it('should let a run override the system prompt', async () => {
+      const received = [];
+      api = await startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.end('data: [DONE]\n\n');
+        });
+      });
+
+      providers.local = {
+        id: 'local',
+        name: 'Local',
+        type: 'api',
+        endpoint: api.endpoint,
+        systemPrompt: 'Provider prompt',
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'hi', systemPrompt: 'Run prompt' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await done;
+
+      expect(received[0].messages).toEqual([
+        { role: 'system', content: 'Run prompt' },
+        { role: 'user', content: 'hi' }
+      ]);
+    });
+  });
+
+  describe('usage accounting', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    it('should record usage and cost from the final API stream chunk', async () => {
+      const received = [];
+      api = await startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\n`);
+          res.write(`data: ${JSON.stringify({
+            choices: [],
+            usage: {
+              prompt_tokens: 1000,
+              completion_tokens: 500,
+              total_tokens: 1500,
+              completion_tokens_details: { reasoning_tokens: 200 }
+            }
+          })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        });
+      });
+
+      providers.local = {
+        id: 'local',
+        name: 'Local',
+        type: 'api',
+        endpoint: api.endpoint,
+        defaultModel: 'priced-model',
+        pricing: { 'priced-model': { input: 2, output: 10 } },
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0].stream_options).toEqual({ include_usage: true });
+      expect(metadata.usage).toEqual({
+        promptTokens: 1000,
+        completionTokens: 500,
+        reasoningTokens: 200,
+        cachedTokens: 0,
+        totalTokens: 1500
+      });
+      expect(metadata.cost.total).toBeCloseTo(0.007);
+      expect(metadata.cost.source).toBe('pricing');
+    });
+
+    it('should parse usage from Claude CLI JSON output', async () => {
+      const result = {
+        type: 'result',
+        subtype: 'success',
+        result: 'Hello from JSON',
+        total_cost_usd: 0.0123,
+        usage: { input_tokens: 10, cache_read_input_tokens: 90, output_tokens: 25 }
+      };
+      providers.claude = {
+        id: 'claude',
+        name: 'Claude JSON',
+        type: 'cli',
+        command: process.execPath,
+        args: ['-e', `console.log(${JSON.stringify(JSON.stringify(result))})`, '--'],
+        outputFormat: 'claude-json',
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'claude', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(true);
+      expect(await runner.getRunOutput(runId)).toBe('Hello from JSON');
+      expect(metadata.usage).toMatchObject({ promptTokens: 100, completionTokens: 25, cachedTokens: 90, totalTokens: 125 });
+      expect(metadata.cost).toMatchObject({ total: 0.0123, source: 'reported' });
+    });
+
+    it('should leave usage empty for plain-text CLIs', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.usage).toBeNull();
+      expect(metadata.cost).toBeNull();
+    });
+  });
+
+  describe('structured output', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Mock API answering each request with the next canned reply
+     */
+    async function startReplyingApi(replies, received) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          const content = replies[Math.min(received.length - 1, replies.length - 1)];
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        });
+      });
+    }
+
+    function addApiProvider() {
+      providers.local = {
+        id: 'local',
+        name: 'Local',
+        type: 'api',
+        endpoint: api.endpoint,
+        defaultModel: 'local-model',
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    const schema = {
+      type: 'object',
+      properties: { answer: { type: 'integer' } },
+      required: ['answer']
+    };
+
+    it('should send response_format and store the validated result', async () => {
+      const received = [];
+      api = await startReplyingApi(['```json\n{"answer": 42}\n```'], received);
+      addApiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'answer?', responseSchema: schema });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0].response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'response', schema }
+      });
+      expect(metadata.success).toBe(true);
+      expect(metadata.structuredOutput).toEqual({ valid: true, errors: [], repairAttempts: 0 });
+      expect(await runner.getRunResult(runId)).toEqual({ answer: 42 });
+    });
+
+    it('should re-prompt with the validation errors until the output is valid', async () => {
+      const received = [];
+      api = await startReplyingApi(['{"answer": "forty-two"}', '{"answer": 42}'], received);
+      addApiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({
+        providerId: 'local',
+        prompt: 'answer?',
+        responseSchema: z.object({ answer: z.number().int() }),
+        repairAttempts: 2
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received).toHaveLength(2);
+      const repairMessages = received[1].messages;
+      expect(repairMessages.at(-2)).toEqual({ role: 'assistant', content: '{"answer": "forty-two"}' });
+      expect(repairMessages.at(-1).content).toContain('- answer:');
+      expect(received[1].response_format.json_schema.schema).toMatchObject({ properties: { answer: { type: 'integer' } } });
+
+      expect(metadata.success).toBe(true);
+      expect(metadata.structuredOutput).toMatchObject({ valid: true, repairAttempts: 1 });
+      expect(await runner.getRunResult(runId)).toEqual({ answer: 42 });
+    });
+
+    it('should fail the run with the validation errors when repairs run out', async () => {
+      const received = [];
+      api = await startReplyingApi(['I cannot answer that.'], received);
+      addApiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'answer?', responseSchema: schema, repairAttempts: 1 });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received).toHaveLength(2);
+      expect(metadata.success).toBe(false);
+      expect(metadata.status).toBe('failed');
+      expect(metadata.errorCategory).toBe('invalid-output');
+      expect(metadata.structuredOutput).toEqual({
+        valid: false,
+        errors: [{ path: '', message: 'Output does not contain valid JSON' }],
+        repairAttempts: 1
+      });
+      expect(await runner.getRunResult(runId)).toBeNull();
+    });
+
+    it('should reject response schemas with invalid patterns', async () => {
+      const runner = createRunner();
+
+      await expect(runner.createRun({
+        providerId: 'echo',
+        prompt: 'hi',
+        responseSchema: { type: 'string', pattern: '[' }
+      })).rejects.toThrow('Invalid responseSchema pattern: [');
+      expect((await runner.listRuns()).total).toBe(0);
+    });
+  });
+
+  describe('tool calling', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Mock API that streams each request's scripted chunks
+     */
+    async function startScriptedApi(script, received) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(JSON.parse(body));
+          const chunks = script[Math.min(received.length - 1, script.length - 1)];
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const chunk of chunks) {
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+        });
+      });
+    }
+
+    const weatherTool = {
+      name: 'get_weather',
+      description: 'Current weather for a city',
+      parameters: {
+        type: 'object',
+        properties: { city: { type: 'string' } },
+        required: ['city']
+      }
+    };
+
+    function toolCallChunks(id, name, args) {
+      const serialized = JSON.stringify(args);
+      return [
+        { choices: [{ delta: { tool_calls: [{ index: 0, id, type: 'function', function: { name, arguments: '' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: serialized.slice(0, 5) } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: serialized.slice(5) } }] }, finish_reason: 'tool_calls' }] }
+      ];
+    }
+
+    it('should invoke tools and continue until the model answers', async () => {
+      const received = [];
+      api = await startScriptedApi([
+        toolCallChunks('call_1', 'get_weather', { city: 'Paris' }),
+        [{ choices: [{ delta: { content: 'It is sunny in Paris.' } }] }]
+      ], received);
+
+      providers.local = { id: 'local', name: 'Local', type: 'api', endpoint: api.endpoint, defaultModel: 'm', timeout: 10000, enabled: true };
+
+      const calls = [];
+      const runner = createRunner({
+        tools: [{ ...weatherTool, handler: async (args, context) => { calls.push({ args, runId: context.runId }); return { sky: 'sunny' }; } }]
+      });
+      await runner.init();
+
+      const toolEvents = [];
+      runner.events.on('run:tool', ({ event }) => toolEvents.push(event));
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'Weather in Paris?', tools: ['get_weather'] });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0].tools).toEqual([{ type: 'function', function: weatherTool }]);
+      expect(calls).toEqual([{ args: { city: 'Paris' }, runId }]);
+
+      const followUp = received[1].messages;
+      expect(followUp.at(-2)).toEqual({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      });
+      expect(followUp.at(-1)).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"sky":"sunny"}' });
+
+      expect(metadata.success).toBe(true);
+      expect(metadata.toolCalls).toBe(1);
+      expect(await runner.getRunOutput(runId)).toBe('It is sunny in Paris.');
+
+      const history = await runner.getRunEvents(runId);
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({
+        type: 'tool_call',
+        toolCallId: 'call_1',
+        name: 'get_weather',
+        arguments: { city: 'Paris' },
+        result: '{"sky":"sunny"}',
+        error: null
+      });
+      expect(toolEvents).toHaveLength(1);
+    });
+
+    it('should report invalid arguments and handler errors back to the model', async () => {
+      const received = [];
+      api = await startScriptedApi([
+        toolCallChunks('call_1', 'get_weather', { town: 'Paris' }),
+        toolCallChunks('call_2', 'get_weather', { city: 'Atlantis' }),
+        [{ choices: [{ delta: { content: 'Sorry.' } }] }]
+      ], received);
+
+      providers.local = { id: 'local', name: 'Local', type: 'api', endpoint: api.endpoint, defaultModel: 'm', timeout: 10000, enabled: true };
+
+      const runner = createRunner();
+      runner.registerTool({ ...weatherTool, handler: async ({ city }) => { throw new Error(`No weather for ${city}`); } });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'Weather?', tools: ['get_weather'] });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[1].messages.at(-1).content).toBe(JSON.stringify({ error: 'Invalid arguments: city: Required' }));
+      expect(received[2].messages.at(-1).content).toBe(JSON.stringify({ error: 'No weather for Atlantis' }));
+      expect(metadata.success).toBe(true);
+      expect(metadata.toolCalls).toBe(2);
+
+      const history = await runner.getRunEvents(runId);
+      expect(history.map(e => e.error)).toEqual(['Invalid arguments: city: Required', 'No weather for Atlantis']);
+    });
+
+    it('should fail the run when the model exceeds maxToolRounds', async () => {
+      const received = [];
+      api = await startScriptedApi([toolCallChunks('call_1', 'get_weather', { city: 'Paris' })], received);
+
+      providers.local = { id: 'local', name: 'Local', type: 'api', endpoint: api.endpoint, defaultModel: 'm', timeout: 10000, enabled: true };
+
+      const runner = createRunner({ maxToolRounds: 2, tools: [{ ...weatherTool, handler: () => 'sunny' }] });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'Weather?', tools: ['get_weather'] });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received).toHaveLength(3);
+      expect(metadata.success).toBe(false);
+      expect(metadata.error).toContain('Tool call limit reached');
+      expect(metadata.toolCalls).toBe(2);
+    });
+
+    it('should reject runs that reference unregistered tools', async () => {
+      const runner = createRunner();
+      await expect(runner.createRun({ providerId: 'echo', prompt: 'hi', tools: ['missing'] }))
+        .rejects.toThrow('Unknown tool: missing');
+    });
+
+    it('should reject tools on providers that cannot call them', async () => {
+      const runner = createRunner({ tools: [{ ...weatherTool, handler: () => ({}) }] });
+
+      await expect(runner.createRun({ providerId: 'echo', prompt: 'hi', tools: ['get_weather'] }))
+        .rejects.toThrow('Tools are only supported by api providers');
+    });
+
+    it('should fail and release a run whose tool was unregistered before it started', async () => {
+      providers.local = { id: 'local', name: 'Local', type: 'api', endpoint: 'http://127.0.0.1:9/v1', timeout: 10000, enabled: true };
+      const runner = createRunner({ tools: [{ ...weatherTool, handler: () => ({}) }] });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'hi', tools: ['get_weather'] });
+      runner.unregisterTool('get_weather');
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      const metadata = await done;
+      expect(metadata.status).toBe('failed');
+      expect(metadata.error).toBe('Unknown tool: get_weather');
+      expect(await runner.isRunActive(runId)).toBe(false);
+    });
+  });
+
+  describe('anthropic provider', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Stand-in for /v1/messages streaming the given SSE events
+     */
+    async function startMessagesApi(events, received, status = 200) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          if (status !== 200) {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Too many requests' } }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const event of events) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+          }
+          res.end();
+        });
+      });
+    }
+
+    function addAnthropicProvider() {
+      providers.claude = {
+        id: 'claude',
+        name: 'Claude API',
+        type: 'anthropic',
+        endpoint: api.endpoint,
+        apiKey: 'sk-ant-test',
+        defaultModel: 'claude-test',
+        systemPrompt: 'Be brief.',
+        pricing: { 'claude-test': { input: 3, output: 15 } },
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    it('should stream text from /messages and record thinking and usage', async () => {
+      const received = [];
+      api = await startMessagesApi([
+        { type: 'message_start', message: { usage: { input_tokens: 20, cache_read_input_tokens: 80, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me think.' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'ping' },
+        { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello ' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'there' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 50 } },
+        { type: 'message_stop' }
+      ], received);
+      addAnthropicProvider();
+
+      const screenshot = join(TEST_DATA_DIR, 'shot.png');
+      await writeFile(screenshot, Buffer.from('png-bytes'));
+
+      const runner = createRunner();
+      await runner.init();
+
+      const chunks = [];
+      runner.events.on('run:data', ({ data }) => chunks.push(data.text));
+
+      const { runId } = await runner.createRun({
+        providerId: 'claude',
+        prompt: 'Say hello',
+        screenshots: [screenshot],
+        generationParams: { temperature: 0.5, thinkingBudget: 1024 }
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      const [request] = received;
+      expect(request.url).toBe('/v1/messages');
+      expect(request.headers['x-api-key']).toBe('sk-ant-test');
+      expect(request.headers['anthropic-version']).toBe('2023-06-01');
+      expect(request.body).toMatchObject({
+        model: 'claude-test',
+        system: 'Be brief.',
+        temperature: 0.5,
+        thinking: { type: 'enabled', budget_tokens: 1024 },
+        stream: true
+      });
+      expect(request.body.messages[0].content[0]).toEqual({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: Buffer.from('png-bytes').toString('base64') }
+      });
+
+      expect(chunks).toEqual(['Hello ', 'there']);
+      expect(metadata.success).toBe(true);
+      expect(metadata.hadReasoning).toBe(true);
+      expect(metadata.stopReason).toBe('end_turn');
+      expect(metadata.usage).toMatchObject({ promptTokens: 100, completionTokens: 50, cachedTokens: 80, totalTokens: 150 });
+      expect(metadata.cost.total).toBeCloseTo((100 * 3 + 50 * 15) / 1e6);
+      expect(await runner.getRunOutput(runId)).toBe('Hello there');
+    });
+
+    it('should fail on stream error events', async () => {
+      const received = [];
+      api = await startMessagesApi([
+        { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 1 } } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ], received);
+      addAnthropicProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'claude', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.error).toContain('Overloaded');
+    });
+
+    it('should categorize HTTP rate limits', async () => {
+      const received = [];
+      api = await startMessagesApi([], received, 429);
+      addAnthropicProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'claude', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('rate-limit');
+    });
+  });
+
+  describe('gemini provider', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Stand-in for models/{model}:streamGenerateContent streaming the given SSE chunks
+     */
+    async function startGenerateContentApi(chunks, received, errorBody = null) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          if (errorBody) {
+            res.writeHead(errorBody.error.code, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(errorBody));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const chunk of chunks) {
+            res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+          }
+          res.end();
+        });
+      });
+    }
+
+    function addGeminiProvider() {
+      providers.gemini = {
+        id: 'gemini',
+        name: 'Gemini API',
+        type: 'gemini',
+        endpoint: api.endpoint,
+        apiKey: 'AIza-test',
+        defaultModel: 'gemini-test',
+        systemPrompt: 'Be brief.',
+        pricing: { 'gemini-test': { input: 1, output: 4 } },
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    it('should stream text parts and record thoughts and usage', async () => {
+      const received = [];
+      api = await startGenerateContentApi([
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'Thinking it over.', thought: true }] } }] },
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello ' }] } }] },
+        {
+          candidates: [{ content: { role: 'model', parts: [{ text: 'there' }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 10, thoughtsTokenCount: 30, totalTokenCount: 80 }
+        }
+      ], received);
+      addGeminiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const chunks = [];
+      runner.events.on('run:data', ({ data }) => chunks.push(data.text));
+
+      const { runId } = await runner.createRun({
+        providerId: 'gemini',
+        prompt: 'Say hello',
+        generationParams: { temperature: 0.5, thinkingBudget: 1024 }
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      const [request] = received;
+      expect(request.url).toBe('/v1/models/gemini-test:streamGenerateContent?alt=sse');
+      expect(request.headers['x-goog-api-key']).toBe('AIza-test');
+      expect(request.body).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Say hello' }] }],
+        systemInstruction: { parts: [{ text: 'Be brief.' }] },
+        generationConfig: { temperature: 0.5, thinkingConfig: { thinkingBudget: 1024, includeThoughts: true } }
+      });
+
+      expect(chunks).toEqual(['Hello ', 'there']);
+      expect(metadata.success).toBe(true);
+      expect(metadata.hadReasoning).toBe(true);
+      expect(metadata.finishReason).toBe('STOP');
+      expect(metadata.usage).toMatchObject({ promptTokens: 40, completionTokens: 40, reasoningTokens: 30, totalTokens: 80 });
+      expect(metadata.cost.total).toBeCloseTo((40 * 1 + 40 * 4) / 1e6);
+      expect(await runner.getRunOutput(runId)).toBe('Hello there');
+    });
+
+    it('should send a response schema as responseJsonSchema', async () => {
+      const received = [];
+      api = await startGenerateContentApi([
+        { candidates: [{ content: { parts: [{ text: '{"ok":true}' }] }, finishReason: 'STOP' }] }
+      ], received);
+      addGeminiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const responseSchema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+      const { runId } = await runner.createRun({ providerId: 'gemini', prompt: 'Are you ok?', responseSchema });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0].body.generationConfig).toEqual({
+        responseMimeType: 'application/json',
+        responseJsonSchema: responseSchema
+      });
+      expect(metadata.structuredOutput.valid).toBe(true);
+      expect(await runner.getRunResult(runId)).toEqual({ ok: true });
+    });
+
+    it('should categorize errors sent mid-stream', async () => {
+      const received = [];
+      api = await startGenerateContentApi([
+        { candidates: [{ content: { parts: [{ text: 'Partial' }] } }] },
+        { error: { code: 503, status: 'UNAVAILABLE', message: 'The model is overloaded.' } }
+      ], received);
+      addGeminiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'gemini', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('network-error');
+      expect(metadata.error).toContain('overloaded');
+    });
+
+    it('should categorize exhausted quotas as usage limits', async () => {
+      const received = [];
+      api = await startGenerateContentApi([], received, {
+        error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota exceeded for metric: requests per day' }
+      });
+      addGeminiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'gemini', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('usage-limit');
+    });
+  });
+
+  describe('ollama provider', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Stand-in for /api/chat streaming the given NDJSON chunks, split mid-object
+     * to exercise line buffering
+     */
+    async function startChatApi(chunks, received) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+          received.push({ url: req.url, body: JSON.parse(body) });
+          res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+          for (const chunk of chunks) {
+            const line = `${JSON.stringify(chunk)}\n`;
+            const middle = Math.floor(line.length / 2);
+            res.write(line.slice(0, middle));
+            await new Promise(resolve => setTimeout(resolve, 5));
+            res.write(line.slice(middle));
+          }
+          res.end();
+        });
+      });
+    }
+
+    function addOllamaProvider(generationParams = {}) {
+      providers.ollama = {
+        id: 'ollama',
+        name: 'Ollama',
+        type: 'ollama',
+        endpoint: api.endpoint,
+        defaultModel: 'llama-test',
+        generationParams,
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    it('should stream NDJSON from /api/chat and record eval stats', async () => {
+      const received = [];
+      api = await startChatApi([
+        { model: 'llama-test', message: { role: 'assistant', content: 'Hello ' }, done: false },
+        { model: 'llama-test', message: { role: 'assistant', content: 'there' }, done: false },
+        {
+          model: 'llama-test',
+          message: { role: 'assistant', content: '' },
+          done: true,
+          done_reason: 'stop',
+          total_duration: 1_500_000_000,
+          load_duration: 200_000_000,
+          prompt_eval_count: 12,
+          prompt_eval_duration: 100_000_000,
+          eval_count: 40,
+          eval_duration: 1_000_000_000
+        }
+      ], received);
+      addOllamaProvider({ numCtx: 8192, keepAlive: '10m', temperature: 0.2 });
+
+      const runner = createRunner();
+      await runner.init();
+
+      const chunks = [];
+      runner.events.on('run:data', ({ data }) => chunks.push(data.text));
+
+      const { runId } = await runner.createRun({ providerId: 'ollama', prompt: 'Say hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      const [request] = received;
+      expect(request.url).toBe('/api/chat');
+      expect(request.body).toEqual({
+        model: 'llama-test',
+        messages: [{ role: 'user', content: 'Say hello' }],
+        options: { temperature: 0.2, num_ctx: 8192 },
+        keep_alive: '10m',
+        stream: true
+      });
+
+      expect(chunks).toEqual(['Hello ', 'there']);
+      expect(metadata.success).toBe(true);
+      expect(metadata.stopReason).toBe('stop');
+      expect(metadata.usage).toMatchObject({ promptTokens: 12, completionTokens: 40, totalTokens: 52 });
+      expect(metadata.ollamaStats).toMatchObject({ totalDurationMs: 1500, evalCount: 40, tokensPerSecond: 40 });
+      expect(await runner.getRunOutput(runId)).toBe('Hello there');
+    });
+
+    it('should send the response schema as format', async () => {
+      const received = [];
+      api = await startChatApi([
+        { message: { role: 'assistant', content: '{"ok":true}' }, done: true, done_reason: 'stop', eval_count: 4 }
+      ], received);
+      addOllamaProvider({ format: 'json' });
+
+      const runner = createRunner();
+      await runner.init();
+
+      const responseSchema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+      const { runId } = await runner.createRun({ providerId: 'ollama', prompt: 'Are you ok?', responseSchema });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(received[0].body.format).toEqual(responseSchema);
+      expect(metadata.structuredOutput.valid).toBe(true);
+    });
+
+    it('should fail on error chunks', async () => {
+      const received = [];
+      api = await startChatApi([
+        { message: { role: 'assistant', content: 'Partial' }, done: false },
+        { error: 'model runner has unexpectedly stopped' }
+      ], received);
+      addOllamaProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'ollama', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.error).toContain('unexpectedly stopped');
+    });
+  });
+
+  describe('embeddings', () => {
+    let api;
+    let fallbackApi;
+
+    afterEach(async () => {
+      await api?.close();
+      await fallbackApi?.close();
+      api = null;
+      fallbackApi = null;
+    });
+
+    /**
+     * Stand-in for an OpenAI-compatible /embeddings endpoint returning [text length, index]
+     */
+    async function startEmbeddingsApi(received) {
+      return startMockApi((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const request = JSON.parse(body);
+          received.push({ url: req.url, headers: req.headers, body: request });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            data: request.input.map((text, index) => ({ index, embedding: [text.length, index] })).reverse(),
+            usage: { prompt_tokens: request.input.length * 2, total_tokens: request.input.length * 2 }
+          }));
+        });
+      });
+    }
+
+    function addEmbeddingProvider(id, endpoint, extra = {}) {
+      providers[id] = {
+        id,
+        name: id,
+        type: 'api',
+        endpoint,
+        apiKey: 'sk-test',
+        embeddingModel: 'embed-small',
+        timeout: 10000,
+        enabled: true,
+        ...extra
+      };
+    }
+
+    it('should embed inputs in batches and reuse cached vectors', async () => {
+      const received = [];
+      api = await startEmbeddingsApi(received);
+      addEmbeddingProvider('openai', api.endpoint);
+
+      const runner = createRunner({ embeddingBatchSize: 2 });
+
+      const result = await runner.embed({ providerId: 'openai', input: ['a', 'bb', 'ccc'] });
+
+      expect(received.map(r => r.body.input)).toEqual([['a', 'bb'], ['ccc']]);
+      expect(received[0].url).toBe('/v1/embeddings');
+      expect(received[0].headers.authorization).toBe('Bearer sk-test');
+      expect(result).toMatchObject({
+        providerId: 'openai',
+        model: 'embed-small',
+        embeddings: [[1, 0], [2, 1], [3, 0]],
+        dimensions: 2,
+        cached: 0,
+        usedFallback: false
+      });
+      expect(result.usage.promptTokens).toBe(6);
+
+      const again = await runner.embed({ providerId: 'openai', input: ['ccc', 'dddd'] });
+      expect(received.at(-1).body.input).toEqual(['dddd']);
+      expect(again.embeddings).toEqual([[3, 0], [4, 0]]);
+      expect(again.cached).toBe(1);
+
+      await runner.embed({ providerId: 'openai', input: 'ccc', cache: false });
+      expect(received.at(-1).body.input).toEqual(['ccc']);
+    });
+
+    it('should fail over to a fallback provider on rate limits', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Too many requests' }));
+      });
+      const received = [];
+      fallbackApi = await startEmbeddingsApi(received);
+      addEmbeddingProvider('limited', api.endpoint, { fallbackProvider: 'backup' });
+      addEmbeddingProvider('backup', fallbackApi.endpoint, { embeddingModel: 'embed-backup' });
+
+      const providerStatusService = createProviderStatusService({
+        dataDir: TEST_DATA_DIR,
+        defaultFallbackPriority: []
+      });
+      await providerStatusService.init();
+
+      const runner = createRunner({ providerStatusService });
+
+      const result = await runner.embed({ providerId: 'limited', model: 'embed-small', input: ['hello'] });
+
+      expect(result).toMatchObject({ providerId: 'backup', model: 'embed-backup', usedFallback: true });
+      expect(received[0].body.model).toBe('embed-backup');
+      expect(providerStatusService.isAvailable('limited')).toBe(false);
+    });
+
+    it('should give up on embedding requests that exceed the provider timeout', async () => {
+      api = await startMockApi(() => {}); // Never responds
+      addEmbeddingProvider('slow', api.endpoint, { timeout: 200 });
+      const runner = createRunner();
+
+      await expect(runner.embed({ providerId: 'slow', input: ['hello'] }))
+        .rejects.toThrow('Embedding request timed out after 200ms');
+    });
+
+    it('should reject providers without an embeddings endpoint', async () => {
+      providers.claude = { id: 'claude', name: 'Claude', type: 'anthropic', embeddingModel: 'x', enabled: true };
+      const runner = createRunner();
+
+      await expect(runner.embed({ providerId: 'claude', input: ['hi'] }))
+        .rejects.toThrow('does not support embeddings');
+      await expect(runner.embed({ providerId: 'claude', input: [] }))
+        .rejects.toThrow('input must be');
+    });
+  });
+
+  describe('api streaming', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    function addApiProvider() {
+      providers.local = {
+        id: 'local',
+        name: 'Local API',
+        type: 'api',
+        endpoint: api.endpoint,
+        defaultModel: 'local-model',
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    it('should reassemble events and characters split across network chunks', async () => {
+      api = await startMockApi(async (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const bytes = Buffer.from([
+          `data: ${JSON.stringify({ choices: [{ delta: { content: 'Grüße ' } }] })}\r\n\r\n`,
+          ': keep-alive\r\n\r\n',
+          `data: ${JSON.stringify({ choices: [{ delta: { content: '👋' } }] })}\r\n\r\n`,
+          'data: [DONE]\r\n\r\n'
+        ].join(''));
+        // Split every few bytes so JSON events and multi-byte characters straddle chunks
+        for (let i = 0; i < bytes.length; i += 7) {
+          res.write(bytes.subarray(i, i + 7));
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+        res.end();
+      });
+      addApiProvider();
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(true);
+      expect(await runner.getRunOutput(runId)).toBe('Grüße 👋');
+    });
+
+    it('should fail with a categorized error on error events', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Partial' } }] })}\n\n`);
+        res.end(`event: error\ndata: ${JSON.stringify({ error: { message: 'Rate limit exceeded, slow down' } })}\n\n`);
+      });
+      addApiProvider();
+
+      const runner = createRunner({ retryPolicy: { maxAttempts: 1 } });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'local', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.errorCategory).toBe('rate-limit');
+      expect(await runner.getRunOutput(runId)).toBe('Partial');
+    });
+  });
+
+  describe('cli prompt delivery', () => {
+    const marker = join(TEST_DATA_DIR, 'pwned');
+    const hostilePrompt = [
+      `it's "quoted" \`touch ${marker}\` $(touch ${marker}) $HOME`,
+      `; touch ${marker} && echo done | cat > ${marker} \\ 'end'`,
+      '-- --help * ~ ${PATH} 🚀'
+    ].join('\n');
+
+    /**
+     * CLI provider running a node script that prints the prompt it received
+     */
+    function addPrintingProvider(promptDelivery, script, extraArgs = []) {
+      providers.printer = {
+        id: 'printer',
+        name: 'Printer',
+        type: 'cli',
+        command: process.execPath,
+        args: ['-e', script, ...extraArgs],
+        promptDelivery,
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    async function runPrinter(prompt, options = {}) {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'printer', prompt, ...options });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+      return { runner, runId, metadata, output: await runner.getRunOutput(runId) };
+    }
+
+    it('should pass a hostile prompt literally as the last argument', async () => {
+      addPrintingProvider('arg', 'process.stdout.write(process.argv.at(-1))', ['--']);
+
+      const { metadata, output } = await runPrinter(hostilePrompt);
+
+      expect(metadata.success).toBe(true);
+      expect(output).toBe(hostilePrompt);
+      expect(existsSync(marker)).toBe(false);
+    });
+
+    it('should write a hostile prompt to stdin, even for headless runs', async () => {
+      addPrintingProvider('stdin', 'process.stdin.pipe(process.stdout)');
+
+      const { metadata, output } = await runPrinter(hostilePrompt, { headless: true });
+
+      expect(metadata.success).toBe(true);
+      expect(output).toBe(hostilePrompt);
+      expect(existsSync(marker)).toBe(false);
+    });
+
+    it('should pass a private temp prompt file in place of {{promptFile}} and remove it afterwards', async () => {
+      addPrintingProvider(
+        'file',
+        'const fs = require("fs"); const f = process.argv[1].slice(9); const mode = (p) => (fs.statSync(p).mode & 0o777).toString(8); ' +
+          'process.stdout.write([f, mode(f), mode(require("path").dirname(f)), fs.readFileSync(f, "utf-8")].join("\\n"))',
+        ['--', '--prompt={{promptFile}}']
+      );
+
+      const { metadata, output } = await runPrinter(hostilePrompt);
+      const [promptFile, fileMode, dirMode, ...content] = output.split('\n');
+
+      expect(metadata.success).toBe(true);
+      expect(content.join('\n')).toBe(hostilePrompt);
+      expect([fileMode, dirMode]).toEqual(['600', '700']);
+      expect(existsSync(dirname(promptFile))).toBe(false);
+      expect(existsSync(marker)).toBe(false);
+    });
+
+    it('should deliver prompts longer than ARG_MAX through stdin', async () => {
+      addPrintingProvider('stdin', 'let n = 0; process.stdin.on("data", d => { n += d.length; }); process.stdin.on("end", () => process.stdout.write(String(n)))');
+
+      const { metadata, output } = await runPrinter('x'.repeat(4 * 1024 * 1024));
+
+      expect(metadata.success).toBe(true);
+      expect(output).toBe(String(4 * 1024 * 1024));
+    });
+
+    it('should fail the run when the command does not exist', async () => {
+      providers.missing = {
+        id: 'missing',
+        name: 'Missing',
+        type: 'cli',
+        command: 'portos-definitely-missing-cli',
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'missing', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(await runner.getRunOutput(runId)).toContain('ENOENT');
+    });
+
+    it('should send continued conversations to CLIs as a transcript', async () => {
+      addPrintingProvider('stdin', 'process.stdin.pipe(process.stdout)');
+
+      const { runner, runId } = await runPrinter('hello');
+
+      const second = await runner.continueRun(runId, { prompt: 'and then?' });
+      const done = waitForComplete(runner, second.runId);
+      await runner.enqueueRun(second.runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(true);
+      expect(await runner.getRunOutput(second.runId)).toBe('User: hello\n\nAssistant: hello\n\nUser: and then?');
+    });
+  });
+
+  describe('process termination', () => {
+    /**
+     * CLI provider running a node script; the prompt is passed as its first argument
+     */
+    function addScriptProvider(script, timeout = 10000) {
+      providers.script = {
+        id: 'script',
+        name: 'Script',
+        type: 'cli',
+        command: process.execPath,
+        args: ['-e', script, '--'],
+        timeout,
+        enabled: true
+      };
+    }
+
+    function isAlive(pid) {
+      try {
+        process.kill(pid, 0);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    async function waitFor(check, timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+
+    it.skipIf(process.platform === 'win32')('should kill the whole process tree when a run is stopped', async () => {
+      // The CLI spawns a long-lived grandchild and reports its pid
+      addScriptProvider([
+        "const { spawn } = require('child_process');",
+        "const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });",
+        "console.log('grandchild ' + child.pid);",
+        'setInterval(() => {}, 1000);'
+      ].join('\n'));
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'script', prompt: 'go' });
+      let output = '';
+      runner.events.on('run:data', ({ runId: id, data }) => {
+        if (id === runId) output += data;
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      await waitFor(() => /grandchild \d+/.test(output));
+      const grandchildPid = Number(output.match(/grandchild (\d+)/)[1]);
+      expect(isAlive(grandchildPid)).toBe(true);
+
+      expect(await runner.stopRun(runId)).toBe(true);
+      const metadata = await done;
+
+      expect(metadata.status).toBe('cancelled');
+      expect(metadata.termination).toBe('stopped');
+      expect(metadata.error).toBe('Stopped by user');
+      expect(metadata.errorCategory).toBeNull();
+      await waitFor(() => !isAlive(grandchildPid));
+    });
+
+    it.skipIf(process.platform === 'win32')('should escalate to SIGKILL when a timed-out CLI ignores SIGTERM', async () => {
+      addScriptProvider("process.on('SIGTERM', () => {}); console.log('ready'); setInterval(() => {}, 1000);", 1500);
+
+      const runner = createRunner({ killGracePeriodMs: 100 });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'script', prompt: 'go' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.success).toBe(false);
+      expect(metadata.status).toBe('timed_out');
+      expect(metadata.termination).toBe('timeout');
+      expect(metadata.errorCategory).toBe('timeout');
+      expect(metadata.error).toBe('Timed out after 1500ms');
+      expect(metadata.killEscalated).toBe(true);
+      expect(metadata.signal).toBe('SIGKILL');
+    });
+
+    it('should record a stopped API run as cancelled', async () => {
+      let requested;
+      const received = new Promise(resolve => { requested = resolve; });
+      // Never responds, so the run only ends when it is aborted
+      const api = await startMockApi(() => requested());
+
+      providers.hanging = {
+        id: 'hanging',
+        name: 'Hanging API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'hanging', prompt: 'hi' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await received;
+
+      expect(await runner.stopRun(runId)).toBe(true);
+      const metadata = await done;
+      api.close();
+
+      expect(metadata.status).toBe('cancelled');
+      expect(metadata.termination).toBe('stopped');
+      expect(metadata.error).toBe('Stopped by user');
+      expect(metadata.errorCategory).toBeNull();
+    });
+
+    it('should record a CLI that exits on its own as completed', async () => {
+      addScriptProvider("console.log('done')");
+
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'script', prompt: 'go' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(metadata.status).toBe('succeeded');
+      expect(metadata.termination).toBe('completed');
+      expect(metadata.killEscalated).toBe(false);
+    });
+  });
+
+  describe('run lifecycle', () => {
+    /**
+     * Collect run:status events for one run
+     */
+    function collectStatuses(runner, runId) {
+      const statuses = [];
+      runner.events.on('run:status', ({ runId: id, status, previousStatus }) => {
+        if (id === runId) statuses.push([previousStatus, status]);
+      });
+      return statuses;
+    }
+
+    it('should move a run through starting and running to succeeded', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId, metadata: created } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      expect(created.status).toBe('queued');
+
+      const statuses = collectStatuses(runner, runId);
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+
+      expect(statuses).toEqual([['queued', 'starting'], ['starting', 'running'], ['running', 'succeeded']]);
+      expect(metadata.status).toBe('succeeded');
+      expect(metadata.statusHistory.map(entry => entry.status)).toEqual(['queued', 'starting', 'running', 'succeeded']);
+      expect(metadata.statusHistory.every(entry => !Number.isNaN(Date.parse(entry.at)))).toBe(true);
+    });
+
+    it('should record a stopped run as cancelled', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'sleeper', prompt: '5' });
+      const statuses = collectStatuses(runner, runId);
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+
+      await new Promise(resolve => {
+        const check = () => (statuses.some(([, status]) => status === 'running') ? resolve() : setTimeout(check, 10));
+        check();
+      });
+      await runner.stopRun(runId);
+      const metadata = await done;
+
+      expect(metadata.status).toBe('cancelled');
+      expect(statuses.at(-1)).toEqual(['running', 'cancelled']);
+    });
+
+    it('should re-queue a failed attempt while it waits to be retried', async () => {
+      let calls = 0;
+      const api = await startMockApi((req, res) => {
+        calls++;
+        if (calls === 1) {
+          res.writeHead(429);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end('data: {"choices":[{"delta":{"content":"ok"}}]}\n\ndata: [DONE]\n\n');
+      });
+
+      providers.flaky = {
+        id: 'flaky',
+        name: 'Flaky API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+
+      const runner = createRunner({ retryPolicy: { maxAttempts: 2, backoffMs: 10, jitter: 0 } });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'flaky', prompt: 'hi' });
+      const statuses = collectStatuses(runner, runId);
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+      await api.close();
+
+      expect(metadata.status).toBe('succeeded');
+      expect(statuses.map(([, status]) => status)).toEqual([
+        'starting', 'running', 'failed', 'queued', 'starting', 'running', 'succeeded'
+      ]);
+    });
+
+    it('should filter listed runs by status', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const succeeded = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, succeeded.runId);
+      await runner.enqueueRun(succeeded.runId);
+      await done;
+      const queued = await runner.createRun({ providerId: 'echo', prompt: 'later' });
+
+      const onlyQueued = await runner.listRuns(50, 0, 'all', 'queued');
+      expect(onlyQueued.runs.map(run => run.id)).toEqual([queued.runId]);
+
+      const both = await runner.listRuns(50, 0, 'all', ['queued', 'succeeded']);
+      expect(both.total).toBe(2);
+    });
+  });
+
+  describe('run limits', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * API provider backed by a mock server; handler(res) writes the response
+     */
+    async function addStreamingApi(handler) {
+      api = await startMockApi((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        handler(res);
+      });
+      providers.stream = {
+        id: 'stream',
+        name: 'Streaming API',
+        type: 'api',
+        endpoint: api.endpoint,
+        timeout: 10000,
+        enabled: true
+      };
+    }
+
+    async function runToCompletion(options) {
+      const runner = createRunner();
+      await runner.init();
+      const { runId } = await runner.createRun({ prompt: 'hi', ...options });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+      return { metadata, output: await runner.getRunOutput(runId) };
+    }
+
+    const chunk = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+    it('should time out an API run that sends nothing', async () => {
+      await addStreamingApi(res => res.flushHeaders());
+
+      const { metadata } = await runToCompletion({ providerId: 'stream', firstTokenTimeout: 200 });
+
+      expect(metadata.status).toBe('timed_out');
+      expect(metadata.errorCategory).toBe('first-token-timeout');
+      expect(metadata.termination).toBe('first-token-timeout');
+      expect(metadata.error).toContain('first token timeout');
+    });
+
+    it('should time out an API stream that stalls', async () => {
+      await addStreamingApi(res => res.write(chunk('partial')));
+
+      const { metadata, output } = await runToCompletion({ providerId: 'stream', idleTimeout: 200 });
+
+      expect(metadata.status).toBe('timed_out');
+      expect(metadata.errorCategory).toBe('idle-timeout');
+      expect(output).toBe('partial');
+    });
+
+    it('should apply the total timeout to API runs', async () => {
+      await addStreamingApi(res => res.write(chunk('slow')));
+
+      const { metadata } = await runToCompletion({ providerId: 'stream', timeout: 300 });
+
+      expect(metadata.status).toBe('timed_out');
+      expect(metadata.errorCategory).toBe('timeout');
+      expect(metadata.error).toBe('Timed out after 300ms');
+    });
+
+    it('should abort an API run whose output exceeds maxOutputBytes', async () => {
+      await addStreamingApi(res => {
+        const timer = setInterval(() => res.write(chunk('0123456789')), 5);
+        res.on('close', () => clearInterval(timer));
+      });
+
+      const { metadata, output } = await runToCompletion({ providerId: 'stream', maxOutputBytes: 50 });
+
+      expect(metadata.status).toBe('failed');
+      expect(metadata.errorCategory).toBe('output-limit');
+      expect(output.length).toBeGreaterThan(50);
+      expect(output.length).toBeLessThan(200);
+    });
+
+    it('should time out a CLI run that stops producing output', async () => {
+      providers.stall = {
+        id: 'stall',
+        name: 'Stall',
+        type: 'cli',
+        command: process.execPath,
+        args: ['-e', "console.log('started'); setInterval(() => {}, 1000);", '--'],
+        timeout: 10000,
+        idleTimeout: 300,
+        enabled: true
+      };
+
+      const { metadata, output } = await runToCompletion({ providerId: 'stall' });
+
+      expect(metadata.status).toBe('timed_out');
+      expect(metadata.termination).toBe('idle-timeout');
+      expect(metadata.errorCategory).toBe('idle-timeout');
+      expect(output).toContain('started');
+    });
+  });
+
+  describe('run storage', () => {
+    const LEGACY_RUN_ID = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+
+    /**
+     * Write a run in the flat layout used before date sharding
+     */
+    async function writeLegacyRun(fields = {}) {
+      const runDir = join(TEST_DATA_DIR, 'runs', LEGACY_RUN_ID);
+      await mkdir(runDir, { recursive: true });
+      await writeFile(join(runDir, 'metadata.json'), JSON.stringify({
+        id: LEGACY_RUN_ID, source: 'devtools', startTime: '2025-01-01T00:00:00.000Z', success: true, ...fields
+      }));
+      await writeFile(join(runDir, 'output.txt'), 'legacy output');
+    }
+
+    it('should store new runs in a date shard', async () => {
+      const runner = createRunner();
+      const { runId, runDir } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+
+      const shard = new Date().toISOString().slice(0, 10);
+      expect(runDir).toBe(join(TEST_DATA_DIR, 'runs', shard, runId));
+      expect(existsSync(join(runDir, 'metadata.json'))).toBe(true);
+      expect((await runner.getRun(runId)).id).toBe(runId);
+    });
+
+    it('should list and read runs from the flat layout', async () => {
+      await writeLegacyRun();
+      const runner = createRunner();
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+
+      const { runs } = await runner.listRuns();
+
+      expect(runs.map(run => run.id)).toEqual([runId, LEGACY_RUN_ID]);
+      expect(await runner.getRunOutput(LEGACY_RUN_ID)).toBe('legacy output');
+    });
+
+    it('should page through runs with nextCursor', async () => {
+      const runner = createRunner();
+      const created = [];
+      for (const prompt of ['one', 'two', 'three']) {
+        created.push((await runner.createRun({ providerId: 'echo', prompt })).runId);
+      }
+
+      const first = await runner.listRuns(2);
+      const second = await runner.listRuns(2, 0, 'all', null, first.nextCursor);
+
+      expect([...first.runs, ...second.runs].map(run => run.id).sort()).toEqual([...created].sort());
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should keep the index current when runs change or are deleted', async () => {
+      await writeLegacyRun({ success: false });
+      const runner = createRunner();
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await done;
+
+      expect((await runner.listRuns()).runs.find(run => run.id === runId).status).toBe('succeeded');
+      expect(await runner.deleteFailedRuns()).toBe(1);
+      expect(await runner.deleteRun(runId)).toBe(true);
+
+      const reloaded = createRunner();
+      expect((await reloaded.listRuns()).total).toBe(0);
+    });
+
+    it('should pick up run directories added by hand after a rebuild', async () => {
+      const runner = createRunner();
+      await runner.listRuns();
+      await writeLegacyRun();
+
+      expect((await runner.listRuns()).total).toBe(0);
+      expect(await runner.rebuildRunIndex()).toBe(1);
+      expect((await runner.listRuns()).runs[0].id).toBe(LEGACY_RUN_ID);
+    });
+  });
+
+  describe('run search', () => {
+    it('should filter listed runs by metadata', async () => {
+      const runner = createRunner();
+      await runner.createRun({ providerId: 'echo', prompt: 'one', workspaceName: 'alpha' });
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'two', workspaceName: 'beta', model: 'big' });
+
+      const { total, runs } = await runner.listRuns({ providerId: 'echo', model: ['big'], workspace: 'beta', since: '2000-01-01' });
+
+      expect(total).toBe(1);
+      expect(runs[0].id).toBe(runId);
+    });
+
+    it('should search prompts and outputs', async () => {
+      const runner = createRunner();
+      await runner.init();
+
+      const finished = await runner.createRun({ providerId: 'echo', prompt: 'Find the Unicorn' });
+      const done = waitForComplete(runner, finished.runId);
+      await runner.enqueueRun(finished.runId);
+      await done;
+      const pending = await runner.createRun({ providerId: 'echo', prompt: 'another unicorn' });
+
+      const byPrompt = await runner.listRuns({ q: 'UNICORN' });
+      expect(byPrompt.runs.map(run => run.id).sort()).toEqual([finished.runId, pending.runId].sort());
+
+      // Only the finished run has output, which includes the CLI args echoed back
+      const byOutput = await runner.listRuns({ q: '--print' });
+      expect(byOutput.runs.map(run => run.id)).toEqual([finished.runId]);
+
+      const combined = await runner.listRuns({ q: 'unicorn', success: true });
+      expect(combined.runs.map(run => run.id)).toEqual([finished.runId]);
+    });
+  });
+
+  describe('run retention', () => {
+    /**
+     * Create a run and backdate its start time by some days
+     */
+    async function createAgedRun(runner, days, fields = {}) {
+      const { runId, runDir } = await runner.createRun({ providerId: 'echo', prompt: 'hello' });
+      const metadataPath = join(runDir, 'metadata.json');
+      const metadata = JSON.parse(await readFile(metadataPath, 'utf-8'));
+      Object.assign(metadata, {
+        startTime: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+        status: 'succeeded',
+        success: true,
+        ...fields
+      });
+      await writeFile(metadataPath, JSON.stringify(metadata));
+      return runId;
+    }
+
+    it('should report what would be deleted without deleting in a dry run', async () => {
+      const runner = createRunner({ retention: { maxAgeDays: 30 } });
+      const old = await createAgedRun(runner, 40);
+      await createAgedRun(runner, 1);
+      await runner.rebuildRunIndex();
+
+      const result = await runner.pruneRuns({ dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.runs.map(run => [run.id, run.reason])).toEqual([[old, 'max-age']]);
+      expect(result.bytes).toBeGreaterThan(0);
+      expect(await runner.getRun(old)).not.toBeNull();
+    });
+
+    it('should delete runs beyond the policy and drop them from the index', async () => {
+      const runner = createRunner({ retention: { maxRuns: 1 } });
+      const older = await createAgedRun(runner, 2);
+      const newer = await createAgedRun(runner, 1);
+      await runner.rebuildRunIndex();
+
+      const result = await runner.pruneRuns();
+
+      expect(result.count).toBe(1);
+      expect(await runner.getRun(older)).toBeNull();
+      expect((await runner.listRuns()).runs.map(run => run.id)).toEqual([newer]);
+    });
+
+    it('should let options override the configured policy', async () => {
+      const runner = createRunner({ retention: { maxAgeDays: 30 } });
+      await createAgedRun(runner, 40);
+      await runner.rebuildRunIndex();
+
+      expect((await runner.pruneRuns({ dryRun: true, policy: { maxAgeDays: null } })).count).toBe(0);
+      expect((await runner.pruneRuns({ dryRun: true, policy: { maxTotalBytes: 0 } })).count).toBe(1);
+    });
+
+    it('should never delete runs that have not finished', async () => {
+      const runner = createRunner({ retention: { maxRuns: 0 } });
+      const queued = await runner.createRun({ providerId: 'echo', prompt: 'waiting' });
+
+      const result = await runner.pruneRuns();
+
+      expect(result.count).toBe(0);
+      expect(await runner.getRun(queued.runId)).not.toBeNull();
+    });
+
+    it('should sweep in the background after init', async () => {
+      const setup = createRunner();
+      const old = await createAgedRun(setup, 40);
+      await setup.rebuildRunIndex();
+
+      const runner = createRunner({ retention: { maxAgeDays: 30 } });
+      const swept = new Promise(resolve => {
+        const check = setInterval(async () => {
+          if (!(await runner.getRun(old))) {
+            clearInterval(check);
+            resolve();
+          }
+        }, 20);
+      });
+      await runner.init();
+      await swept;
+      runner.stopRetentionSweeper();
+
+      expect(await runner.getRun(old)).toBeNull();
+    });
+  });
+
+  describe('run archives', () => {
+    const SCREENSHOTS_DIR = join(TEST_DATA_DIR, 'screenshots');
+    const OTHER_DATA_DIR = join(TEST_DATA_DIR, 'other');
+
+    /**
+     * Collect an export into NDJSON text
+     */
+    async function exportText(runner, filters) {
+      let text = '';
+      for await (const line of runner.exportRuns(filters)) text += line;
+      return text;
+    }
+
+    const parseArchive = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+    /**
+     * Create a run and let it finish
+     */
+    async function completeRun(runner, options) {
+      const { runId } = await runner.createRun({ providerId: 'echo', ...options });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await done;
+      return runId;
+    }
+
+    it('should round-trip runs, their files and screenshots to another machine', async () => {
+      await mkdir(SCREENSHOTS_DIR, { recursive: true });
+      await writeFile(join(SCREENSHOTS_DIR, 'shot.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      const source = createRunner({ screenshotsDir: SCREENSHOTS_DIR });
+      await source.init();
+      const runId = await completeRun(source, { prompt: 'export me', screenshots: ['shot.png'] });
+
+      const archive = await exportText(source);
+      const [header, entry] = parseArchive(archive);
+      expect(header).toMatchObject({ format: 'portos-run-archive', version: 1 });
+      expect(entry.metadata.id).toBe(runId);
+      expect(entry.files['prompt.txt']).toBe('export me');
+      expect(entry.files['metadata.json']).toBeUndefined();
+      expect(entry.attachments.map(a => [a.path, a.name])).toEqual([['shot.png', '0-shot.png']]);
+
+      const otherScreenshots = join(OTHER_DATA_DIR, 'screenshots');
+      const target = createRunner({ dataDir: OTHER_DATA_DIR, screenshotsDir: otherScreenshots });
+      const result = await target.importRuns(archive);
+
+      expect(result).toEqual({ imported: [{ id: runId, originalId: runId }], skipped: [], errors: [] });
+      expect((await target.getRun(runId)).status).toBe('succeeded');
+      expect(await target.getRunOutput(runId)).toBe(await source.getRunOutput(runId));
+      expect((await target.listRuns()).runs.map(run => run.id)).toEqual([runId]);
+
+      const screenshot = await readFile(join(otherScreenshots, 'imported', runId, '0-shot.png'));
+      expect([...screenshot]).toEqual([0x89, 0x50, 0x4e, 0x47]);
+      const [, reexported] = parseArchive(await exportText(target));
+      expect(JSON.parse(reexported.files['request.json']).screenshots).toEqual([join('imported', runId, '0-shot.png')]);
+    });
+
+    it('should export only runs matching the filters', async () => {
+      const runner = createRunner();
+      await runner.createRun({ providerId: 'echo', prompt: 'keep', workspaceName: 'alpha' });
+      await runner.createRun({ providerId: 'echo', prompt: 'leave', workspaceName: 'beta' });
+
+      const entries = parseArchive(await exportText(runner, { workspace: 'alpha' })).slice(1);
+
+      expect(entries.map(entry => entry.files['prompt.txt'])).toEqual(['keep']);
+    });
+
+    it('should rename colliding runs and relink them', async () => {
+      const runner = createRunner();
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'original' });
+      const [header, entry] = parseArchive(await exportText(runner));
+      const child = {
+        ...entry,
+        metadata: { ...entry.metadata, id: 'child-run', retryOf: runId, startTime: new Date().toISOString() }
+      };
+      const archive = [header, child, entry].map(line => JSON.stringify(line)).join('\n');
+
+      const result = await runner.importRuns(archive);
+
+      expect(result.imported).toHaveLength(2);
+      const renamed = result.imported.find(run => run.originalId === runId);
+      expect(renamed.id).not.toBe(runId);
+      expect((await runner.getRun(renamed.id)).importedFrom).toBe(runId);
+      expect((await runner.getRun('child-run')).retryOf).toBe(renamed.id);
+      expect((await runner.getRun(runId)).prompt).toBe('original');
+    });
+
+    it('should skip or overwrite colliding runs on request', async () => {
+      const runner = createRunner();
+      const runId = await completeRun(runner, { prompt: 'original' });
+      const [header, entry] = parseArchive(await exportText(runner));
+      const changed = { ...entry, files: { ...entry.files, 'output.txt': 'replaced' } };
+      const archive = [header, changed].map(line => JSON.stringify(line)).join('\n');
+
+      expect(await runner.importRuns(archive, { onConflict: 'skip' })).toMatchObject({ imported: [], skipped: [runId] });
+      expect(await runner.getRunOutput(runId)).not.toBe('replaced');
+
+      expect((await runner.importRuns(archive, { onConflict: 'overwrite' })).imported).toEqual([{ id: runId, originalId: runId }]);
+      expect(await runner.getRunOutput(runId)).toBe('replaced');
+    });
+
+    it('should mark runs exported before finishing as interrupted', async () => {
+      const runner = createRunner();
+      await runner.createRun({ providerId: 'echo', prompt: 'queued' });
+      const archive = await exportText(runner);
+
+      const target = createRunner({ dataDir: OTHER_DATA_DIR });
+      const { imported } = await target.importRuns(archive);
+      const metadata = await target.getRun(imported[0].id);
+
+      expect(metadata.status).toBe('interrupted');
+      expect(metadata.success).toBe(false);
+      expect(metadata.statusHistory.map(entry => entry.status)).toEqual(['queued', 'interrupted']);
+    });
+
+    it('should mark runs exported while starting or running as interrupted', async () => {
+      const runner = createRunner();
+      await runner.createRun({ providerId: 'echo', prompt: 'in flight' });
+      const [header, entry] = parseArchive(await exportText(runner));
+      const archive = ['starting', 'running'].map(status => ({ ...entry, metadata: { ...entry.metadata, status } }));
+
+      const target = createRunner({ dataDir: OTHER_DATA_DIR });
+      const { imported } = await target.importRuns([header, ...archive].map(line => JSON.stringify(line)).join('\n'));
+
+      expect(imported).toHaveLength(2);
+      for (const { id } of imported) {
+        expect(await target.getRun(id)).toMatchObject({ status: 'interrupted', success: false });
+      }
+    });
+
+    it('should report invalid entries and reject archives without a header', async () => {
+      const runner = createRunner();
+      const header = JSON.stringify({ format: 'portos-run-archive', version: 1 });
+      const archive = [header, '{"metadata":{"id":"../escape","startTime":"2026-01-01"}}', 'not json'].join('\n');
+
+      const result = await runner.importRuns(archive);
+      expect(result.imported).toEqual([]);
+      expect(result.errors.map(error => error.line)).toEqual([2, 3]);
+      expect(existsSync(join(TEST_DATA_DIR, 'escape'))).toBe(false);
+
+      await expect(runner.importRuns('{"metadata":{}}')).rejects.toMatchObject({ invalidArchive: true });
+      await expect(runner.importRuns('')).rejects.toMatchObject({ invalidArchive: true });
+    });
+  });
+
+  describe('rerun', () => {
+    it('should rerun the full prompt and request settings, linked by rerunOf', async () => {
+      const runner = createRunner({ screenshotsDir: join(TEST_DATA_DIR, 'screenshots') });
+      await runner.init();
+      const prompt = `Summarize: ${'x'.repeat(800)}`;
+      const { runId } = await runner.createRun({
+        providerId: 'echo',
+        prompt,
+        model: 'big',
+        screenshots: ['shot.png'],
+        timeout: 5000,
+        idleTimeout: 2000,
+        workspaceName: 'alpha'
+      });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      await done;
+
+      const rerun = await runner.rerun(runId);
+
+      expect(rerun.metadata.rerunOf).toBe(runId);
+      expect(rerun.metadata.model).toBe('big');
+      expect(rerun.metadata.workspaceName).toBe('alpha');
+      expect(await runner.getRunPrompt(rerun.runId)).toBe(prompt);
+      expect(await runner.getRunConversation(rerun.runId)).toEqual([{ role: 'user', content: prompt }]);
+      expect(rerun.timeout).toBe(5000);
+
+      const request = JSON.parse(await readFile(join(rerun.runDir, 'request.json'), 'utf-8'));
+      expect(request).toMatchObject({ screenshots: ['shot.png'], idleTimeout: 2000 });
+    });
+
+    it('should replay the original turns of a multi-turn run', async () => {
+      const runner = createRunner();
+      const messages = [
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'reply' },
+        { role: 'user', content: 'second' }
+      ];
+      const { runId } = await runner.createRun({ providerId: 'echo', messages });
+
+      const rerun = await runner.rerun(runId);
+
+      expect(await runner.getRunConversation(rerun.runId)).toEqual(messages);
+    });
+
+    it('should apply overrides and use the new provider defaults', async () => {
+      providers.other = { ...providers.echo, id: 'other', name: 'Other', defaultModel: 'other-model', timeout: 20000 };
+      const runner = createRunner();
+      const { runId } = await runner.createRun({ providerId: 'echo', prompt: 'hello', model: 'big', timeout: 5000 });
+
+      const moved = await runner.rerun(runId, { providerId: 'other', workspaceName: 'beta' });
+      expect(moved.metadata).toMatchObject({ providerId: 'other', model: 'other-model', workspaceName: 'beta', rerunOf: runId });
+      expect(moved.timeout).toBe(20000);
+
+      const pinned = await runner.rerun(runId, { providerId: 'other', model: 'pinned', timeout: 7000 });
+      expect(pinned.metadata.model).toBe('pinned');
+      expect(pinned.timeout).toBe(7000);
+    });
+
+    it('should rerun a failed-over run on the provider and model it first targeted', async () => {
+      const api = await startMockApi((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Too many requests' }));
+      });
+      providers.limited = {
+        id: 'limited',
+        name: 'Limited API',
+        type: 'api',
+        endpoint: api.endpoint,
+        fallbackProvider: 'echo',
+        timeout: 10000,
+        enabled: true
+      };
+      const providerStatusService = createProviderStatusService({
+        dataDir: TEST_DATA_DIR,
+        defaultFallbackPriority: []
+      });
+      await providerStatusService.init();
+      const runner = createRunner({ providerStatusService });
+      await runner.init();
+
+      const { runId } = await runner.createRun({ providerId: 'limited', model: 'first-choice', prompt: 'hello' });
+      const done = waitForComplete(runner, runId);
+      await runner.enqueueRun(runId);
+      const metadata = await done;
+      await api.close();
+      expect(metadata).toMatchObject({ providerId: 'echo', originalProviderId: 'limited' });
+
+      // Without provider status, the rerun is not sent to the fallback up front
+      const rerun = await createRunner().rerun(runId);
+      expect(rerun.metadata).toMatchObject({ providerId: 'limited', model: 'first-choice', rerunOf: runId });
+    });
+
+    it('should reject unknown runs', async () => {
+      const runner = createRunner();
+
+      await expect(runner.rerun('missing')).rejects.toThrow('Run not found');
+    });
+  });
+
+  describe('comparisons', () => {
+    let api;
+
+    afterEach(async () => {
+      await api?.close();
+      api = null;
+    });
+
+    /**
+     * Resolve with the metadata of the first count comparison runs to complete
+     */
+    function waitForComparison(runner, count) {
+      return new Promise(resolve => {
+        const completed = [];
+        const listener = ({ metadata }) => {
+          if (!metadata.comparisonId) return;
+          completed.push(metadata);
+          if (completed.length < count) return;
+          runner.events.off('run:complete', listener);
+          resolve(completed);
+        };
+        runner.events.on('run:complete', listener);
+      });
+    }
+
+    it('should run the prompt on every target and group the results', async () => {
+      providers.other = { ...providers.echo, id: 'other', name: 'Other', defaultModel: 'other-model' };
+      const runner = createRunner();
+      await runner.init();
+      const done = waitForComparison(runner, 2);
+
+      const { comparisonId, runs } = await runner.compareRuns({
+        prompt: 'hello',
+        targets: [{ providerId: 'echo', model: 'small' }, { providerId: 'other' }],
+        workspaceName: 'alpha'
+      });
+      expect(runs.map(run => [run.providerId, run.model])).toEqual([['echo', 'small'], ['other', 'other-model']]);
+      expect(runs.every(run => run.status === 'started')).toBe(true);
+      await done;
+
+      const comparison = await runner.getComparison(comparisonId, { includeOutput: true });
+      expect(comparison).toMatchObject({ comparisonId, prompt: 'hello', complete: true });
+      expect(comparison.results.map(result => result.runId)).toEqual(runs.map(run => run.runId));
+      expect(comparison.results[0]).toMatchObject({ providerId: 'echo', model: 'small', status: 'succeeded', success: true });
+      expect(comparison.results[0].output.trim()).toBe('--print --model small hello');
+      expect(comparison.results[1].outputSize).toBeGreaterThan(0);
+      expect(typeof comparison.results[1].duration).toBe('number');
+
+      const listed = await runner.listRuns({ comparisonId });
+      expect(listed.total).toBe(2);
+      expect(listed.runs.every(run => run.workspaceName === 'alpha')).toBe(true);
+    });
+
+    it('should create no runs when a target provider is unknown', async () => {
+      const runner = createRunner();
+
+      await expect(runner.compareRuns({
+        prompt: 'hello',
+        targets: [{ providerId: 'echo' }, { providerId: 'missing' }]
+      })).rejects.toThrow('Provider not found: missing');
+      expect((await runner.listRuns()).total).toBe(0);
+    });
+
+    it('should create no runs when a target cannot use the shared options', async () => {
+      providers.local = { id: 'local', name: 'Local', type: 'api', endpoint: 'http://127.0.0.1:9/v1', timeout: 10000, enabled: true };
+      const runner = createRunner({ tools: [{ name: 'lookup', handler: () => ({}) }] });
+
+      await expect(runner.compareRuns({
+        prompt: 'hello',
+        tools: ['lookup'],
+        targets: [{ providerId: 'local' }, { providerId: 'echo' }]
+      })).rejects.toMatchObject({ invalidComparison: true, message: expect.stringContaining('Tools are only supported by api providers') });
+      expect((await runner.listRuns()).total).toBe(0);
+    });
+
+    it('should return null for unknown comparisons', async () => {
+      const runner = createRunner();
+
+      expect(await runner.getComparison('missing')).toBeNull();
+    });
+
+    it('should report a rate limited target instead of failing over', async () => {
+      api = await startMockApi((req, res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Too many requests' }));
+      });
+      providers.limited = {
+        id: 'limited',
+        name: 'Limited API',
+        type: 'api',
+        endpoint: api.endpoint,
+        fallbackProvider: 'echo',
+        timeout: 10000,
+        enabled: true
+      };
+      const providerStatusService = createProviderStatusService({
+        dataDir: TEST_DATA_DIR,
+        defaultFallbackPriority: []
+      });
+      await providerStatusService.init();
+      const runner = createRunner({ providerStatusService });
+      await runner.init();
+      const done = waitForComparison(runner, 2);
+
+      const { comparisonId } = await runner.compareRuns({
+        prompt: 'hello',
+        targets: [{ providerId: 'limited' }, { providerId: 'echo' }]
+      });
+      await done;
+
+      const { results } = await runner.getComparison(comparisonId);
+      expect(results[0]).toMatchObject({ providerId: 'limited', success: false, errorCategory: 'rate-limit' });
+      expect(results[1]).toMatchObject({ providerId: 'echo', success: true });
+      expect((await runner.listRuns()).total).toBe(2);
+    });
+  });
+});
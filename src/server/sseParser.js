@@ -0,0 +1,169 @@
+/**
+ * Server-Sent Events Parser
+ *
+ * Incremental parser for the text/event-stream responses of streaming API
+ * providers. Frames split across network chunks are buffered, bytes are
+ * decoded as a stream so multi-byte characters survive chunk boundaries,
+ * and error frames are surfaced with an error analysis.
+ */
+
+import { analyzeError, ERROR_CATEGORIES } from './errorDetection.js';
+
+/**
+ * Create an incremental SSE parser.
+ * push(chunk) accepts bytes or text and returns the events completed by it;
+ * finish() flushes the stream and returns any event still pending. Events are
+ * { event, data, id }, with multi-line data joined by "\n". Comment lines are
+ * skipped. Unlike a browser EventSource, an event left unterminated when the
+ * stream ends is still dispatched, since some providers omit the final blank line.
+ */
+export function createSseParser() {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let started = false;
+  let data = [];
+  let eventType = '';
+  let lastEventId = null;
+
+  const dispatch = (events) => {
+    if (data.length > 0) {
+      events.push({ event: eventType || 'message', data: data.join('\n'), id: lastEventId });
+    }
+    data = [];
+    eventType = '';
+  };
+
+  const processLine = (line, events) => {
+    if (line === '') {
+      dispatch(events);
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') {
+      data.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    } else if (field === 'id' && !value.includes('\0')) {
+      lastEventId = value;
+    }
+  };
+
+  const processText = (text, events, final) => {
+    buffer += text;
+    if (!started && buffer) {
+      started = true;
+      if (buffer.charCodeAt(0) === 0xfeff) buffer = buffer.slice(1);
+    }
+
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+    let match;
+    while ((match = lineBreak.exec(buffer))) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (match[0] === '\r' && match.index === buffer.length - 1 && !final) break;
+      processLine(buffer.slice(start, match.index), events);
+      start = match.index + match[0].length;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  return {
+    push(chunk) {
+      const events = [];
+      processText(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }), events, false);
+      return events;
+    },
+
+    finish() {
+      const events = [];
+      processText(decoder.decode(), events, true);
+      if (buffer) processLine(buffer, events);
+      buffer = '';
+      dispatch(events);
+      return events;
+    }
+  };
+}
+
+/**
+ * Read a ReadableStream of SSE bytes, awaiting onEvent for each event.
+ * The stream is cancelled when onEvent throws.
+ */
+export async function readSseStream(body, onEvent) {
+  const reader = body.getReader();
+  const parser = createSseParser();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (const event of parser.push(value)) {
+        await onEvent(event);
+      }
+    }
+    for (const event of parser.finish()) {
+      await onEvent(event);
+    }
+  } catch (err) {
+    await reader.cancel().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Human-readable message of a provider error payload, e.g.
+ * { error: { type, message } } (Anthropic/OpenAI) or { error: { status, message } } (Google)
+ */
+function describeStreamError(payload, raw) {
+  const error = payload?.error ?? payload;
+  if (typeof error === 'string') return error;
+  const message = [error?.type || error?.status, error?.message].filter(Boolean).join(': ');
+  return message || raw || 'Stream error';
+}
+
+/**
+ * Categorize a mid-stream error message, as unknown when no pattern matches
+ */
+function analyzeStreamError(message) {
+  const analysis = analyzeError(message);
+  if (analysis.hasError) return analysis;
+  return { ...analysis, hasError: true, category: ERROR_CATEGORIES.UNKNOWN, message };
+}
+
+/**
+ * Read an SSE stream of JSON payloads, awaiting onPayload(payload, event) for each.
+ * `[DONE]` sentinels and data that is not JSON are skipped. Error frames
+ * (`event: error`, or a payload with a top-level `error`) throw an Error
+ * carrying `errorAnalysis` and the error `payload`. options.analyze(payload, message)
+ * replaces the default analyzeError-based categorization.
+ */
+export async function readSseJson(body, onPayload, options = {}) {
+  const { analyze = (payload, message) => analyzeStreamError(message) } = options;
+
+  await readSseStream(body, async (event) => {
+    if (event.data === '[DONE]') return;
+
+    let payload = null;
+    try {
+      payload = JSON.parse(event.data);
+    } catch {
+      if (event.event !== 'error') {
+        console.log(`⚠️ Skipping non-JSON stream data: ${event.data.slice(0, 100)}`);
+        return;
+      }
+    }
+
+    if (event.event === 'error' || payload?.error) {
+      const message = describeStreamError(payload, event.data);
+      throw Object.assign(new Error(message), { errorAnalysis: analyze(payload, message), payload });
+    }
+
+    await onPayload(payload, event);
+  });
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { createSseParser, readSseStream, readSseJson } from './sseParser.js';
+import { ERROR_CATEGORIES } from './errorDetection.js';
+
+/**
+ * ReadableStream emitting the given chunks (strings are UTF-8 encoded)
+ */
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+      }
+      controller.close();
+    }
+  });
+}
+
+describe('SSE Parser', () => {
+  describe('createSseParser', () => {
+    it('should buffer frames split across chunks', () => {
+      const parser = createSseParser();
+      expect(parser.push('data: {"a":')).toEqual([]);
+      expect(parser.push('1}\n')).toEqual([]);
+      expect(parser.push('\ndata: 2\n\n')).toEqual([
+        { event: 'message', data: '{"a":1}', id: null },
+        { event: 'message', data: '2', id: null }
+      ]);
+    });
+
+    it('should decode multi-byte characters split across chunks', () => {
+      const bytes = new TextEncoder().encode('data: héllo 👋\n\n');
+      const parser = createSseParser();
+      const events = [];
+      for (const byte of bytes) {
+        events.push(...parser.push(new Uint8Array([byte])));
+      }
+      expect(events).toEqual([{ event: 'message', data: 'héllo 👋', id: null }]);
+    });
+
+    it('should handle CRLF and CR line endings, including a CRLF split across chunks', () => {
+      const parser = createSseParser();
+      const events = [
+        ...parser.push('data: one\r'),
+        ...parser.push('\n\r\n'),
+        ...parser.push('data: two\r\rdata: three\r\n\r\n')
+      ];
+      expect(events.map(e => e.data)).toEqual(['one', 'two', 'three']);
+    });
+
+    it('should skip comments and join multi-line data', () => {
+      const parser = createSseParser();
+      expect(parser.push(': keep-alive\n\nevent: update\nid: 7\ndata: first\ndata:second\n\n')).toEqual([
+        { event: 'update', data: 'first\nsecond', id: '7' }
+      ]);
+    });
+
+    it('should strip a leading BOM and dispatch an unterminated final event', () => {
+      const parser = createSseParser();
+      expect(parser.push('\uFEFFdata: last')).toEqual([]);
+      expect(parser.finish()).toEqual([{ event: 'message', data: 'last', id: null }]);
+    });
+  });
+
+  describe('readSseStream', () => {
+    it('should await onEvent for every event in the stream', async () => {
+      const events = [];
+      await readSseStream(streamOf(['data: a\n\nda', 'ta: b\n\n']), async (event) => {
+        events.push(event.data);
+      });
+      expect(events).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('readSseJson', () => {
+    it('should parse JSON payloads and skip [DONE] and non-JSON data', async () => {
+      const payloads = [];
+      await readSseJson(streamOf(['data: {"n":1}\n\ndata: ✅\n\ndata: [DONE]\n\n']), (payload) => {
+        payloads.push(payload);
+      });
+      expect(payloads).toEqual([{ n: 1 }]);
+    });
+
+    it('should throw on error events with an error analysis', async () => {
+      const stream = streamOf([
+        'data: {"n":1}\n\n',
+        'event: error\ndata: {"type":"error","error":{"type":"rate_limit_error","message":"Rate limit exceeded"}}\n\n'
+      ]);
+
+      const error = await readSseJson(stream, () => {}).catch(err => err);
+
+      expect(error.message).toBe('rate_limit_error: Rate limit exceeded');
+      expect(error.errorAnalysis.category).toBe(ERROR_CATEGORIES.RATE_LIMIT);
+      expect(error.payload.error.type).toBe('rate_limit_error');
+    });
+
+    it('should treat payloads with a top-level error as errors', async () => {
+      const error = await readSseJson(streamOf(['data: {"error":{"message":"Something odd happened"}}\n\n']), () => {})
+        .catch(err => err);
+
+      expect(error.message).toBe('Something odd happened');
+      expect(error.errorAnalysis).toMatchObject({ hasError: true, category: ERROR_CATEGORIES.UNKNOWN });
+    });
+
+    it('should use a custom analyzer when given', async () => {
+      const error = await readSseJson(streamOf(['event: error\ndata: overloaded\n\n']), () => {}, {
+        analyze: (payload, message) => ({ hasError: true, category: 'custom', message })
+      }).catch(err => err);
+
+      expect(error.errorAnalysis).toEqual({ hasError: true, category: 'custom', message: 'overloaded' });
+    });
+  });
+});
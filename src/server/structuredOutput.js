@@ -0,0 +1,238 @@
+/**
+ * Structured Output
+ *
+ * Extracts JSON from model output and validates it against a JSON Schema.
+ * Zod schemas (in-process callers) are converted to JSON Schema for storage
+ * and for providers' response_format.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Whether a schema is a zod schema rather than a plain JSON Schema object
+ */
+export function isZodSchema(schema) {
+  return typeof schema?.safeParse === 'function';
+}
+
+/**
+ * Convert a zod schema to JSON Schema; JSON Schema objects are returned as-is
+ */
+export function toJsonSchema(schema) {
+  if (!isZodSchema(schema)) return schema;
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema);
+  return jsonSchema;
+}
+
+/**
+ * Extract a JSON value from model output: the whole text, a fenced
+ * ```json block, or the outermost object/array embedded in prose.
+ * Returns { found: false } when nothing parses.
+ */
+export function extractJson(text) {
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const start = text.search(/[{[]/);
+  if (start !== -1) {
+    const close = text[start] === '{' ? '}' : ']';
+    const end = text.lastIndexOf(close);
+    if (end > start) candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { found: true, value: JSON.parse(candidate) };
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return { found: false };
+}
+
+/**
+ * JSON type name of a value, distinguishing integers, arrays and null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Compile a schema pattern, or null when it is not a valid regular expression
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the `pattern` keywords anywhere in a JSON Schema that do not compile
+ */
+export function findInvalidPatterns(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  return Object.entries(schema).flatMap(([key, value]) =>
+    key === 'pattern' && typeof value === 'string'
+      ? (compilePattern(value) ? [] : [value])
+      : findInvalidPatterns(value));
+}
+
+/**
+ * Validate a value against the commonly used JSON Schema keywords
+ * (type, enum, const, properties, required, additionalProperties, items,
+ * length/size/range bounds, pattern, anyOf/oneOf/allOf).
+ * Returns a list of { path, message } errors, empty when valid.
+ */
+export function validateJsonSchema(schema, value, path = '') {
+  if (schema === true || !schema) return [];
+  if (schema === false) return [{ path, message: 'No value is allowed here' }];
+
+  const errors = [];
+  const at = (key) => (path ? `${path}.${key}` : String(key));
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path, message: `Expected ${types.join(' or ')}, received ${typeOf(value)}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `Expected ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern) {
+      const pattern = compilePattern(schema.pattern);
+      if (!pattern) {
+        errors.push({ path, message: `Schema pattern ${schema.pattern} is not a valid regular expression` });
+      } else if (!pattern.test(value)) {
+        errors.push({ path, message: `Must match pattern ${schema.pattern}` });
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `Must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `Must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `Must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `Must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `Must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(schema.items, item, at(index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: at(key), message: 'Required' });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(properties[key], propertyValue, at(key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: at(key), message: 'Unexpected property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(schema.additionalProperties, propertyValue, at(key)));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateJsonSchema(subschema, value, path));
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(subschema, value, path).length === 0)) {
+    errors.push({ path, message: 'Does not match any allowed schema' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validateJsonSchema(subschema, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `Must match exactly one schema (matched ${matches})` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extract and validate structured output.
+ * Zod schemas validate with zod itself so refinements and transforms apply.
+ * Returns { value, errors }; errors is empty when the output is valid.
+ */
+export function validateStructuredOutput(schema, text) {
+  const extracted = extractJson(text);
+  if (!extracted.found) {
+    return { value: null, errors: [{ path: '', message: 'Output does not contain valid JSON' }] };
+  }
+
+  if (isZodSchema(schema)) {
+    const result = schema.safeParse(extracted.value);
+    if (result.success) return { value: result.data, errors: [] };
+    return {
+      value: extracted.value,
+      errors: result.error.issues.map(e => ({ path: e.path.join('.'), message: e.message }))
+    };
+  }
+
+  return { value: extracted.value, errors: validateJsonSchema(schema, extracted.value) };
+}
+
+/**
+ * Instruction appended to prompts for providers without response_format support
+ */
+export function buildSchemaInstruction(jsonSchema) {
+  return `Respond with only a JSON value that matches this JSON Schema, without any other text:\n${JSON.stringify(jsonSchema, null, 2)}`;
+}
+
+/**
+ * Follow-up prompt asking the model to fix output that failed validation
+ */
+export function buildRepairPrompt(errors) {
+  const list = errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n');
+  return `Your previous response did not match the required JSON Schema:\n${list}\n\nRespond again with only the corrected JSON.`;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+import {
+  extractJson,
+  validateJsonSchema,
+  findInvalidPatterns,
+  validateStructuredOutput,
+  toJsonSchema,
+  buildRepairPrompt
+} from './structuredOutput.js';
+import { validate, responseSchemaSchema } from './validation.js';
+
+describe('Structured Output', () => {
+  describe('extractJson', () => {
+    it('should parse plain JSON output', () => {
+      expect(extractJson(' {"a": 1} ')).toEqual({ found: true, value: { a: 1 } });
+    });
+
+    it('should parse a fenced json block', () => {
+      expect(extractJson('Here you go:\n```json\n[1, 2]\n```\nDone.')).toEqual({ found: true, value: [1, 2] });
+    });
+
+    it('should parse an object embedded in prose', () => {
+      expect(extractJson('The answer is {"ok": true} as requested.')).toEqual({ found: true, value: { ok: true } });
+    });
+
+    it('should report output without JSON', () => {
+      expect(extractJson('no json here')).toEqual({ found: false });
+    });
+  });
+
+  describe('validateJsonSchema', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { type: 'string' } },
+        role: { enum: ['admin', 'user'] }
+      },
+      required: ['name', 'age'],
+      additionalProperties: false
+    };
+
+    it('should accept a valid value', () => {
+      expect(validateJsonSchema(schema, { name: 'Ada', age: 36, tags: ['x'], role: 'admin' })).toEqual([]);
+    });
+
+    it('should report missing, mistyped and unexpected properties with paths', () => {
+      const errors = validateJsonSchema(schema, { age: 1.5, tags: ['x', 2], extra: true });
+      expect(errors).toEqual(expect.arrayContaining([
+        { path: 'name', message: 'Required' },
+        { path: 'age', message: 'Expected integer, received number' },
+        { path: 'tags.1', message: 'Expected string, received integer' },
+        { path: 'extra', message: 'Unexpected property' }
+      ]));
+    });
+
+    it('should support nullable types and anyOf', () => {
+      expect(validateJsonSchema({ type: ['string', 'null'] }, null)).toEqual([]);
+      expect(validateJsonSchema({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true)).toHaveLength(1);
+    });
+
+    it('should report an invalid pattern instead of throwing', () => {
+      expect(validateJsonSchema({ type: 'string', pattern: '^[a-z' }, 'abc')).toEqual([
+        { path: '', message: 'Schema pattern ^[a-z is not a valid regular expression' }
+      ]);
+    });
+  });
+
+  describe('findInvalidPatterns', () => {
+    it('should find patterns that do not compile at any depth', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          code: { type: 'string', pattern: '^[A-Z]{3}$' },
+          pattern: { type: 'string' },
+          items: { type: 'array', items: { type: 'string', pattern: '(' } }
+        }
+      };
+
+      expect(findInvalidPatterns(schema)).toEqual(['(']);
+      expect(validate(responseSchemaSchema, schema).success).toBe(false);
+      expect(validate(responseSchemaSchema, { type: 'string', pattern: '^a' }).success).toBe(true);
+    });
+  });
+
+  describe('validateStructuredOutput', () => {
+    it('should validate with a JSON Schema', () => {
+      const result = validateStructuredOutput({ type: 'object', required: ['x'] }, '{"y": 1}');
+      expect(result.value).toEqual({ y: 1 });
+      expect(result.errors).toEqual([{ path: 'x', message: 'Required' }]);
+    });
+
+    it('should validate with a zod schema and return parsed data', () => {
+      const schema = z.object({ count: z.number().int() });
+      expect(validateStructuredOutput(schema, '{"count": 3}')).toEqual({ value: { count: 3 }, errors: [] });
+      expect(validateStructuredOutput(schema, '{"count": "3"}').errors[0].path).toBe('count');
+    });
+
+    it('should report output that is not JSON', () => {
+      expect(validateStructuredOutput({ type: 'object' }, 'sorry').errors).toEqual([
+        { path: '', message: 'Output does not contain valid JSON' }
+      ]);
+    });
+  });
+
+  describe('toJsonSchema', () => {
+    it('should convert zod schemas and pass JSON Schema through', () => {
+      const jsonSchema = toJsonSchema(z.object({ a: z.string() }));
+      expect(jsonSchema).toMatchObject({ type: 'object', properties: { a: { type: 'string' } }, required: ['a'] });
+      expect(jsonSchema).not.toHaveProperty('$schema');
+
+      const plain = { type: 'string' };
+      expect(toJsonSchema(plain)).toBe(plain);
+    });
+  });
+
+  describe('buildRepairPrompt', () => {
+    it('should list each validation error', () => {
+      const prompt = buildRepairPrompt([{ path: '', message: 'Output does not contain valid JSON' }, { path: 'a', message: 'Required' }]);
+      expect(prompt).toContain('- (root): Output does not contain valid JSON');
+      expect(prompt).toContain('- a: Required');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Usage Accounting
+ *
+ * Normalizes token usage reported by API providers and CLI JSON output modes,
+ * and computes run cost from a provider's per-model price table.
+ */
+
+/**
+ * CLI output formats. JSON formats are parsed for the response text and usage;
+ * `text` keeps the raw output and records no usage.
+ */
+export const CLI_OUTPUT_FORMATS = {
+  TEXT: 'text',
+  CLAUDE_JSON: 'claude-json',
+  CODEX_JSON: 'codex-json'
+};
+
+/**
+ * Arguments that switch a CLI into its JSON output mode
+ */
+const OUTPUT_FORMAT_ARGS = {
+  [CLI_OUTPUT_FORMATS.CLAUDE_JSON]: ['--output-format', 'json'],
+  [CLI_OUTPUT_FORMATS.CODEX_JSON]: ['--json']
+};
+
+export function getOutputFormatArgs(format) {
+  return OUTPUT_FORMAT_ARGS[format] || [];
+}
+
+/**
+ * Build a usage record, returning null when no token counts were reported
+ */
+function toUsage({ promptTokens = 0, completionTokens = 0, reasoningTokens = 0, cachedTokens = 0, totalTokens }) {
+  if (!promptTokens && !completionTokens && !totalTokens) return null;
+  return {
+    promptTokens,
+    completionTokens,
+    reasoningTokens,
+    cachedTokens,
+    totalTokens: totalTokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Normalize an OpenAI-style usage object (the final chunk of a stream
+ * requested with stream_options.include_usage)
+ */
+export function normalizeOpenAIUsage(usage) {
+  if (!usage) return null;
+  return toUsage({
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+    cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+    totalTokens: usage.total_tokens
+  });
+}
+
+/**
+ * Normalize Anthropic usage (Messages API or a Claude CLI result). Cache reads
+ * and writes are input tokens, so they count towards promptTokens.
+ */
+export function normalizeAnthropicUsage(usage) {
+  if (!usage) return null;
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  return toUsage({
+    promptTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + cachedTokens,
+    completionTokens: usage.output_tokens || 0,
+    cachedTokens
+  });
+}
+
+/**
+ * Apply the cumulative output token count of an Anthropic message_delta event
+ */
+export function mergeAnthropicUsage(usage, delta) {
+  if (!delta?.output_tokens) return usage;
+  return toUsage({
+    promptTokens: usage?.promptTokens || 0,
+    completionTokens: delta.output_tokens,
+    cachedTokens: usage?.cachedTokens || 0
+  });
+}
+
+/**
+ * Normalize Gemini usageMetadata. Thought tokens are billed as output,
+ * so they count towards completionTokens as well as reasoningTokens.
+ */
+export function normalizeGeminiUsage(usage) {
+  if (!usage) return null;
+  const reasoningTokens = usage.thoughtsTokenCount || 0;
+  return toUsage({
+    promptTokens: usage.promptTokenCount || 0,
+    completionTokens: (usage.candidatesTokenCount || 0) + reasoningTokens,
+    reasoningTokens,
+    cachedTokens: usage.cachedContentTokenCount || 0,
+    totalTokens: usage.totalTokenCount
+  });
+}
+
+/**
+ * Normalize the token counts of Ollama's final /api/chat chunk
+ */
+export function normalizeOllamaUsage(chunk) {
+  if (!chunk) return null;
+  return toUsage({
+    promptTokens: chunk.prompt_eval_count || 0,
+    completionTokens: chunk.eval_count || 0
+  });
+}
+
+/**
+ * Add Codex turn usage to a running total (a run can span several turns)
+ */
+function addCodexUsage(total, usage) {
+  return toUsage({
+    promptTokens: (total?.promptTokens || 0) + (usage.input_tokens || 0),
+    completionTokens: (total?.completionTokens || 0) + (usage.output_tokens || 0),
+    reasoningTokens: (total?.reasoningTokens || 0) + (usage.reasoning_output_tokens || 0),
+    cachedTokens: (total?.cachedTokens || 0) + (usage.cached_input_tokens || 0)
+  });
+}
+
+/**
+ * Safe JSON parse of a single output line, null when it is not a JSON object
+ */
+function parseJsonLine(line) {
+  if (!line.startsWith('{')) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a line-buffered parser for a CLI's JSON output.
+ * push(chunk) returns the response text found in the chunk, so it can be
+ * streamed as it arrives; finish() flushes the remainder and returns the
+ * text still to emit along with the usage and any cost the CLI reported.
+ * Lines that are not JSON events are passed through as text.
+ */
+export function createCliOutputParser(format) {
+  let buffer = '';
+  let usage = null;
+  let reportedCost = null;
+  let streamedText = false;
+
+  const handleEvent = (event) => {
+    if (format === CLI_OUTPUT_FORMATS.CLAUDE_JSON) {
+      if (event.type === 'assistant') {
+        const text = (event.message?.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+        if (text) streamedText = true;
+        return text;
+      }
+      if (event.type === 'result') {
+        usage = normalizeAnthropicUsage(event.usage);
+        reportedCost = typeof event.total_cost_usd === 'number' ? event.total_cost_usd : null;
+        // stream-json emits the answer as assistant messages before the result
+        return streamedText ? '' : (event.result || '');
+      }
+      return '';
+    }
+
+    if (format === CLI_OUTPUT_FORMATS.CODEX_JSON) {
+      if (event.type === 'item.completed' && event.item?.type === 'agent_message') {
+        return `${event.item.text || ''}\n`;
+      }
+      if (event.type === 'turn.completed' && event.usage) {
+        usage = addCodexUsage(usage, event.usage);
+        return '';
+      }
+      if (event.type === 'turn.failed' || event.type === 'error') {
+        return `${event.error?.message || event.message || 'Unknown error'}\n`;
+      }
+      return '';
+    }
+
+    return '';
+  };
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return '';
+    const event = parseJsonLine(trimmed);
+    return event ? handleEvent(event) : `${line}\n`;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      return lines.map(handleLine).join('');
+    },
+
+    finish() {
+      const text = handleLine(buffer);
+      buffer = '';
+      return { text, usage, reportedCost };
+    }
+  };
+}
+
+/**
+ * Look up a model's prices (USD per million tokens), falling back to the "*" entry
+ */
+function getModelPricing(pricing, model) {
+  if (!pricing) return null;
+  return pricing[model] || pricing['*'] || null;
+}
+
+/**
+ * Compute the cost of a run.
+ * pricing: { [model | "*"]: { input, output, cachedInput? } } in USD per million tokens.
+ * Reasoning tokens are part of completionTokens and billed as output.
+ * Without a price for the model the CLI-reported cost is used when available.
+ */
+export function calculateCost(usage, pricing, model, reportedCost = null) {
+  const prices = getModelPricing(pricing, model);
+
+  if (usage && prices) {
+    const cachedTokens = prices.cachedInput !== undefined ? usage.cachedTokens : 0;
+    const input = ((usage.promptTokens - cachedTokens) * (prices.input || 0) +
+      cachedTokens * (prices.cachedInput || 0)) / 1e6;
+    const output = usage.completionTokens * (prices.output || 0) / 1e6;
+    return { currency: 'USD', input, output, total: input + output, source: 'pricing' };
+  }
+
+  if (typeof reportedCost === 'number') {
+    return { currency: 'USD', input: null, output: null, total: reportedCost, source: 'reported' };
+  }
+
+  return null;
+}
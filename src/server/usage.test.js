@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCliOutputParser,
+  normalizeOpenAIUsage,
+  calculateCost,
+  getOutputFormatArgs,
+  CLI_OUTPUT_FORMATS
+} from './usage.js';
+
+describe('Usage Accounting', () => {
+  describe('normalizeOpenAIUsage', () => {
+    it('should map OpenAI usage fields', () => {
+      expect(normalizeOpenAIUsage({
+        prompt_tokens: 12,
+        completion_tokens: 30,
+        total_tokens: 42,
+        prompt_tokens_details: { cached_tokens: 4 },
+        completion_tokens_details: { reasoning_tokens: 20 }
+      })).toEqual({
+        promptTokens: 12,
+        completionTokens: 30,
+        reasoningTokens: 20,
+        cachedTokens: 4,
+        totalTokens: 42
+      });
+    });
+
+    it('should return null without usage', () => {
+      expect(normalizeOpenAIUsage(undefined)).toBeNull();
+      expect(normalizeOpenAIUsage({ prompt_tokens: 0, completion_tokens: 0 })).toBeNull();
+    });
+  });
+
+  describe('createCliOutputParser', () => {
+    it('should extract the result and usage from Claude JSON output split across chunks', () => {
+      const parser = createCliOutputParser(CLI_OUTPUT_FORMATS.CLAUDE_JSON);
+      const line = JSON.stringify({
+        type: 'result',
+        result: 'Done',
+        total_cost_usd: 0.5,
+        usage: { input_tokens: 3, cache_creation_input_tokens: 7, output_tokens: 5 }
+      });
+
+      expect(parser.push(line.slice(0, 20))).toBe('');
+      expect(parser.push(`${line.slice(20)}\n`)).toBe('Done');
+
+      const { text, usage, reportedCost } = parser.finish();
+      expect(text).toBe('');
+      expect(usage).toMatchObject({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+      expect(reportedCost).toBe(0.5);
+    });
+
+    it('should stream Claude assistant messages without repeating the result', () => {
+      const parser = createCliOutputParser(CLI_OUTPUT_FORMATS.CLAUDE_JSON);
+      const text = parser.push([
+        JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Hello' }] } }),
+        JSON.stringify({ type: 'result', result: 'Hello', usage: { input_tokens: 1, output_tokens: 1 } }),
+        ''
+      ].join('\n'));
+
+      expect(text).toBe('Hello');
+      expect(parser.finish().text).toBe('');
+    });
+
+    it('should collect Codex agent messages and sum turn usage', () => {
+      const parser = createCliOutputParser(CLI_OUTPUT_FORMATS.CODEX_JSON);
+      const text = parser.push([
+        JSON.stringify({ type: 'thread.started', thread_id: 't1' }),
+        JSON.stringify({ type: 'item.completed', item: { type: 'reasoning', text: 'thinking' } }),
+        JSON.stringify({ type: 'item.completed', item: { type: 'agent_message', text: 'Answer' } }),
+        JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 100, cached_input_tokens: 40, output_tokens: 20 } }),
+        JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 50, output_tokens: 10, reasoning_output_tokens: 5 } })
+      ].join('\n'));
+
+      expect(text).toBe('Answer\n');
+      expect(parser.finish().usage).toEqual({
+        promptTokens: 150,
+        completionTokens: 30,
+        reasoningTokens: 5,
+        cachedTokens: 40,
+        totalTokens: 180
+      });
+    });
+
+    it('should pass through lines that are not JSON events', () => {
+      const parser = createCliOutputParser(CLI_OUTPUT_FORMATS.CODEX_JSON);
+      expect(parser.push('warning: config not found\n')).toBe('warning: config not found\n');
+      expect(parser.finish().text).toBe('');
+    });
+
+    it('should surface Codex turn failures as text for error analysis', () => {
+      const parser = createCliOutputParser(CLI_OUTPUT_FORMATS.CODEX_JSON);
+      parser.push(JSON.stringify({ type: 'turn.failed', error: { message: 'You have hit your usage limit' } }));
+      expect(parser.finish().text).toBe('You have hit your usage limit\n');
+    });
+  });
+
+  describe('calculateCost', () => {
+    const usage = { promptTokens: 2000000, completionTokens: 1000000, reasoningTokens: 0, cachedTokens: 1000000, totalTokens: 3000000 };
+
+    it('should price usage from the model entry', () => {
+      const cost = calculateCost(usage, { 'model-a': { input: 3, output: 15 } }, 'model-a');
+      expect(cost).toEqual({ currency: 'USD', input: 6, output: 15, total: 21, source: 'pricing' });
+    });
+
+    it('should price cached input separately when a cachedInput price is set', () => {
+      const cost = calculateCost(usage, { '*': { input: 3, output: 15, cachedInput: 0.3 } }, 'any-model');
+      expect(cost.input).toBeCloseTo(3.3);
+      expect(cost.total).toBeCloseTo(18.3);
+    });
+
+    it('should fall back to the reported cost without a price', () => {
+      expect(calculateCost(usage, {}, 'model-a', 0.42)).toMatchObject({ total: 0.42, source: 'reported' });
+    });
+
+    it('should return null without usage or reported cost', () => {
+      expect(calculateCost(null, { 'model-a': { input: 1, output: 1 } }, 'model-a')).toBeNull();
+    });
+  });
+
+  describe('getOutputFormatArgs', () => {
+    it('should return the JSON mode flags for each format', () => {
+      expect(getOutputFormatArgs('claude-json')).toEqual(['--output-format', 'json']);
+      expect(getOutputFormatArgs('codex-json')).toEqual(['--json']);
+      expect(getOutputFormatArgs('text')).toEqual([]);
+    });
+  });
+});
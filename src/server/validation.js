@@ -1,24 +1,103 @@
 import { z } from 'zod';
+import { isRunStatus } from './runStatus.js';
+import { RUN_ARCHIVE_FORMAT, RUN_ARCHIVE_VERSION } from './runArchive.js';
+import { findInvalidPatterns } from './structuredOutput.js';
+
+/**
+ * Retry policy schema (provider-level or per-run)
+ */
+export const retryPolicySchema = z.object({
+  maxAttempts: z.number().int().min(1).max(10).optional(),
+  backoffMs: z.number().int().min(0).max(60000).optional(),
+  maxBackoffMs: z.number().int().min(0).max(600000).optional(),
+  jitter: z.number().min(0).max(1).optional(),
+  retryOn: z.array(z.string()).optional()
+});
+
+/**
+ * Generation parameters for API runs (provider defaults or per-run overrides)
+ */
+export const generationParamsSchema = z.object({
+  temperature: z.number().min(0).max(2).optional(),
+  maxTokens: z.number().int().min(1).optional(),
+  topP: z.number().min(0).max(1).optional(),
+  stop: z.union([z.string(), z.array(z.string()).max(4)]).optional(),
+  seed: z.number().int().optional(),
+  // Extended thinking budget (anthropic providers)
+  thinkingBudget: z.number().int().min(1024).optional(),
+  // Ollama providers: context window, model keep-alive ("5m", seconds, -1), JSON mode and raw options
+  numCtx: z.number().int().min(1).optional(),
+  keepAlive: z.union([z.string(), z.number()]).optional(),
+  format: z.literal('json').optional(),
+  ollamaOptions: z.record(z.string(), z.unknown()).optional()
+});
+
+/**
+ * Model prices in USD per million tokens
+ */
+export const modelPricingSchema = z.object({
+  input: z.number().min(0),
+  output: z.number().min(0),
+  cachedInput: z.number().min(0).optional()
+});
+
+/**
+ * JSON Schema describing the structured output a run must return
+ */
+export const responseSchemaSchema = z.record(z.string(), z.unknown()).refine(
+  schema => Object.keys(schema).length > 0,
+  { message: 'responseSchema must not be empty' }
+).refine(
+  schema => findInvalidPatterns(schema).length === 0,
+  { message: 'responseSchema has a pattern that is not a valid regular expression' }
+);
 
 /**
  * Provider schema
  */
 export const providerSchema = z.object({
   name: z.string().min(1).max(100),
-  type: z.enum(['cli', 'api']),
+  type: z.enum(['cli', 'api', 'anthropic', 'gemini', 'ollama']),
   command: z.string().optional(),
   args: z.array(z.string()).optional(),
+  modelArgs: z.array(z.string()).optional(),
   endpoint: z.string().url().optional(),
   apiKey: z.string().optional(),
   models: z.array(z.string()).optional(),
   defaultModel: z.string().nullable().optional(),
+  embeddingModel: z.string().nullable().optional(),
   timeout: z.number().int().min(1000).max(600000).optional(),
+  firstTokenTimeout: z.number().int().min(1000).max(600000).nullable().optional(),
+  idleTimeout: z.number().int().min(1000).max(600000).nullable().optional(),
+  maxOutputBytes: z.number().int().min(1).nullable().optional(),
   enabled: z.boolean().optional(),
   envVars: z.record(z.string()).optional(),
   secretEnvVars: z.array(z.string()).optional(),
-  headlessArgs: z.array(z.string()).optional()
+  headlessArgs: z.array(z.string()).optional(),
+  outputFormat: z.enum(['text', 'claude-json', 'codex-json']).optional(),
+  promptDelivery: z.enum(['arg', 'stdin', 'file']).optional(),
+  pricing: z.record(z.string(), modelPricingSchema).optional(),
+  retryPolicy: retryPolicySchema.optional(),
+  systemPrompt: z.string().nullable().optional(),
+  generationParams: generationParamsSchema.optional()
 });
 
+/**
+ * Conversation message schema
+ */
+export const messageSchema = z.object({
+  role: z.enum(['system', 'user', 'assistant']),
+  content: z.string()
+});
+
+/**
+ * Conversation schema: prior turns followed by the user turn to answer
+ */
+export const messagesSchema = z.array(messageSchema).min(1).refine(
+  messages => messages[messages.length - 1].role === 'user',
+  { message: 'The last message must be a user message' }
+);
+
 /**
  * Run schema
  */
@@ -30,8 +109,134 @@ export const runSchema = z.object({
   workspaceName: z.string().optional(),
   command: z.string().optional(),
   prompt: z.string().optional(),
+  messages: messagesSchema.optional(),
   screenshots: z.array(z.string()).optional(),
-  timeout: z.number().int().min(1000).max(600000).optional()
+  timeout: z.number().int().min(1000).max(600000).optional(),
+  firstTokenTimeout: z.number().int().min(1000).max(600000).nullable().optional(),
+  idleTimeout: z.number().int().min(1000).max(600000).nullable().optional(),
+  maxOutputBytes: z.number().int().min(1).nullable().optional(),
+  priority: z.number().int().optional(),
+  retryPolicy: retryPolicySchema.optional(),
+  systemPrompt: z.string().optional(),
+  generationParams: generationParamsSchema.optional(),
+  responseSchema: responseSchemaSchema.optional(),
+  repairAttempts: z.number().int().min(0).max(5).optional(),
+  tools: z.array(z.string()).optional(),
+  headless: z.boolean().optional()
+});
+
+/**
+ * Comparison request schema: one prompt run on up to 10 provider/model targets
+ */
+export const comparisonRequestSchema = runSchema.omit({ type: true, providerId: true, model: true, command: true }).extend({
+  targets: z.array(z.object({
+    providerId: z.string().min(1),
+    model: z.string().optional()
+  })).min(1).max(10)
+}).refine(data => data.prompt || data.messages, 'prompt or messages is required');
+
+/**
+ * Continue-run request schema: a follow-up prompt plus the POST /runs options a continuation may override
+ */
+export const continueRunSchema = runSchema.pick({
+  providerId: true,
+  model: true,
+  systemPrompt: true,
+  generationParams: true,
+  timeout: true,
+  screenshots: true,
+  priority: true,
+  retryPolicy: true,
+  headless: true
+}).extend({
+  prompt: z.string().min(1)
+});
+
+/**
+ * Rerun request schema: the POST /runs target and scheduling options a rerun may override
+ */
+export const rerunSchema = runSchema.pick({
+  providerId: true,
+  model: true,
+  timeout: true,
+  workspacePath: true,
+  workspaceName: true,
+  priority: true
+});
+
+const dateSchema = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date');
+
+/**
+ * Run list filters (GET /runs, listRuns)
+ */
+export const runFiltersSchema = z.object({
+  limit: z.number().int().min(1).optional(),
+  offset: z.number().int().min(0).optional(),
+  cursor: z.string().optional(),
+  source: z.string().optional(),
+  status: z.array(z.string().refine(isRunStatus, 'Unknown status')).optional(),
+  providerId: z.array(z.string()).optional(),
+  model: z.array(z.string()).optional(),
+  errorCategory: z.array(z.string()).optional(),
+  success: z.boolean().optional(),
+  usedFallback: z.boolean().optional(),
+  workspace: z.string().optional(),
+  comparisonId: z.string().optional(),
+  since: dateSchema.optional(),
+  until: dateSchema.optional(),
+  minDuration: z.number().int().min(0).optional(),
+  q: z.string().min(1).optional()
+});
+
+/**
+ * Run retention policy (null disables a limit)
+ */
+export const retentionPolicySchema = z.object({
+  maxAgeDays: z.number().positive().nullable().optional(),
+  keepFailedDays: z.number().min(0).nullable().optional(),
+  maxRuns: z.number().int().min(0).nullable().optional(),
+  maxTotalBytes: z.number().int().min(0).nullable().optional()
+});
+
+/**
+ * Run archive header (first line of an export)
+ */
+export const runArchiveHeaderSchema = z.object({
+  format: z.literal(RUN_ARCHIVE_FORMAT),
+  version: z.literal(RUN_ARCHIVE_VERSION),
+  exportedAt: z.string().optional()
+});
+
+// Names are written into the run or screenshot directory, so no path separators
+const archiveFileNameSchema = z.string().regex(/^\w[\w.-]*$/, 'Invalid file name');
+
+/**
+ * Run archive entry: one run's metadata, files and attachments
+ */
+export const runArchiveEntrySchema = z.object({
+  metadata: z.looseObject({
+    id: z.string().regex(/^[\w-]+$/, 'Invalid run ID'),
+    startTime: dateSchema,
+    // Runs from before statuses were tracked have none
+    status: z.string().refine(isRunStatus, 'Unknown status').nullish()
+  }),
+  files: z.record(archiveFileNameSchema, z.string()).default({}),
+  attachments: z.array(z.object({
+    path: z.string(),
+    name: archiveFileNameSchema,
+    data: z.string()
+  })).default([])
+});
+
+/**
+ * Embeddings request schema
+ */
+export const embeddingRequestSchema = z.object({
+  providerId: z.string().min(1),
+  model: z.string().optional(),
+  input: z.union([z.string(), z.array(z.string()).min(1).max(2048)]),
+  fallbackProviderId: z.string().optional(),
+  cache: z.boolean().optional()
 });
 
 /**
@@ -45,7 +250,7 @@ export function validate(schema, data) {
   }
   return {
     success: false,
-    errors: result.error.errors.map(e => ({
+    errors: result.error.issues.map(e => ({
       path: e.path.join('.'),
       message: e.message
     }))
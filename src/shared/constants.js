@@ -4,7 +4,10 @@
 
 export const PROVIDER_TYPES = {
   CLI: 'cli',
-  API: 'api'
+  API: 'api',
+  ANTHROPIC: 'anthropic',
+  GEMINI: 'gemini',
+  OLLAMA: 'ollama'
 };
 
 export const MODEL_TIERS = {
@@ -35,7 +38,11 @@ export const ERROR_CATEGORIES = {
   MODEL_NOT_FOUND: 'model-not-found',
   NETWORK_ERROR: 'network-error',
   TIMEOUT: 'timeout',
+  FIRST_TOKEN_TIMEOUT: 'first-token-timeout',
+  IDLE_TIMEOUT: 'idle-timeout',
+  OUTPUT_LIMIT: 'output-limit',
   QUOTA_EXCEEDED: 'quota-exceeded',
+  INVALID_OUTPUT: 'invalid-output',
   UNKNOWN: 'unknown'
 };
 